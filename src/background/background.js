@@ -5,13 +5,47 @@
 const dataManager = new PriceDataManager();
 // Note: logger is already created globally in Logger.js
 const viewModeManager = new ViewModeManager(logger);
-const notificationManager = new NotificationManager(logger);
-const priceTracker = new BackgroundPriceTracker(dataManager, logger, notificationManager);
-const priceCheckScheduler = new PriceCheckScheduler(dataManager, logger);
+const notificationManager = new NotificationManager(logger, dataManager);
+const providerFactory = new LLMProviderFactory(dataManager, logger);
+const priceTracker = new BackgroundPriceTracker(dataManager, logger, notificationManager, providerFactory);
+const priceCheckScheduler = new PriceCheckScheduler(dataManager, logger, notificationManager);
+const dataMigrator = new DataMigrator(dataManager, logger);
+const syncManager = new SyncManager(dataManager, logger);
+const importExportManager = new ImportExportManager(dataManager, logger);
+
+// Changes to tracked items and alerts requested by the popup, sidebar and options page. They are applied here,
+// in the write queue of the data manager, so they cannot overwrite the prices and alerts recorded by a running
+// check (or the other way around)
+const trackedDataOperations = {
+  deleteItem: ({ url }) => dataManager.removeTrackedItem(url),
+  deletePriceEntry: ({ url, timestamp }) => dataManager.deletePriceEntry(url, timestamp),
+  saveAlertRules: ({ url, rules }) => dataManager.saveAlertRules(url, rules),
+  snoozeItem: ({ url, snoozedUntil }) => dataManager.snoozeItem(url, snoozedUntil),
+  saveCheckInterval: async ({ url, checkInterval }) => {
+    const success = await dataManager.saveCheckInterval(url, checkInterval);
+    await priceCheckScheduler.rescheduleItems([url]);
+    return success;
+  },
+  clearPriceHistory: () => dataManager.clearPriceHistory(),
+  markAlertsRead: ({ alertIds }) => dataManager.markAlertsRead(alertIds),
+  clearAlerts: () => dataManager.clearAlerts(),
+  clearTrackedItems: () => dataManager.updateTrackedPrices(() => []),
+  mergeDuplicates: () => dataManager.mergeDuplicateItems(),
+  importItems: ({ items, mode }) => importExportManager.applyImport(items, mode)
+};
 
 // Set up the relationship between scheduler and price tracker
 priceCheckScheduler.setPriceTracker(priceTracker);
 
+// Route notification clicks and buttons to the items they were sent for
+notificationManager.setupListeners();
+
+// Run the due checks and release held notifications when their alarms wake up the background page
+priceCheckScheduler.setupListeners();
+
+// Show the unread alert count on the browser action
+notificationManager.updateUnreadBadge();
+
 // Listen for extension icon clicks (only called when the popup is disabled)
 browser.browserAction.onClicked.addListener((tab, info) => {
   viewModeManager.handleBrowserActionClick();
@@ -22,6 +56,19 @@ browser.storage.onChanged.addListener(async (changes, areaName) => {
   if (areaName === 'local' || areaName === 'sync') {
     await logger.log(`Storage changes detected in ${areaName} storage:`, changes);
     
+    // Sync the item list and settings with other browsers (when turned on)
+    syncManager.handleStorageChange(changes, areaName);
+    
+    // Tracked items were added, removed or checked, the next check may be due at another time
+    if (changes.itemsRevision) {
+      await priceCheckScheduler.handleScheduleChange();
+    }
+    
+    // Keep the unread alert badge in sync, alerts are also marked read by the popup and the options page
+    if (changes.alertsRevision) {
+      await notificationManager.updateUnreadBadge();
+    }
+    
     // Handle view mode changes
     if (changes.viewMode) {
       await viewModeManager.handleViewModeChange(changes.viewMode.newValue);
@@ -46,17 +93,16 @@ browser.storage.onChanged.addListener(async (changes, areaName) => {
       }
     }
     
-    // Handle check interval changes
+    // Handle check interval changes, the items following the global interval are due at new times
     if (changes.checkInterval !== undefined) {
-      const result = await browser.storage.local.get(['priceAlarmEnabled']);
-      const priceAlarmEnabled = result.priceAlarmEnabled === true;
-      
-      if (priceAlarmEnabled) {
-        // Restart the alarm with the new interval
-        await priceCheckScheduler.disableScheduledChecks();
-        await priceCheckScheduler.enableScheduledChecks();
-        await logger.log(`Check interval updated to ${changes.checkInterval.newValue} minutes`);
-      }
+      await priceCheckScheduler.rescheduleItems();
+      await logger.log(`Check interval updated to ${changes.checkInterval.newValue} minutes`);
+    }
+
+    // The check window moves the next check, quiet hours that ended early let the held notifications through
+    if (changes.schedulingWindows !== undefined) {
+      await priceCheckScheduler.handleScheduleChange();
+      await priceTracker.releaseHeldNotifications();
     }
   }
 });
@@ -65,36 +111,71 @@ browser.runtime.onInstalled.addListener((details) => {
   // Initialize view mode
   viewModeManager.initializeViewMode().then(r => "View mode initialized");
 
-  // Initialize price tracking scheduler (this will handle startup checks internally)
-  priceCheckScheduler.initialize().then(r => "Price checker initialized");
-
-  // Note: Removed duplicate checkAllTrackedItemsOnRefresh call since initialize() already handles startup checks
+  // Bring data stored by older versions up to the current schema and move it to IndexedDB before the
+  // scheduler reads it, then initialize price tracking scheduler (this catches up on overdue items)
+  dataMigrator.migrate()
+    .then(() => dataMigrator.moveToIndexedDB())
+    .then(() => priceCheckScheduler.initialize())
+    .then(() => syncManager.sync())
+    .then(r => "Price checker initialized");
 });
 
 browser.runtime.onStartup.addListener(() => {
   // Initialize view mode
   viewModeManager.initializeViewMode();
 
-  // Initialize price tracking scheduler (this will handle startup checks internally)
+  // Initialize price tracking scheduler (this catches up on overdue items)
   priceCheckScheduler.initialize();
+
+  // Pick up the changes other browsers synced while this one was closed
+  syncManager.sync();
 });
 
 // Listen for messages from the popup/sidebar
 browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'trackPrice') {
-    priceTracker.trackPrice(message.url, message.apiKey).then(async result => {
+    priceTracker.trackPrice(message.url).then(async result => {
+      // Another URL of an already tracked product adds to that item instead of tracking the product twice
+      const trackedItem = await dataManager.findTrackedItemByProductId(message.url, result.productId);
+      const url = trackedItem ? trackedItem.url : message.url;
+
       // Save the tracking data immediately in the background script
       // This ensures data is saved even if popup closes before receiving response
-      await dataManager.addPriceToHistory(message.url, result.name,
-          result.price, result.imageUrl);
+      if (!await dataManager.findOrCreateTrackedItem(url, result.name, result.imageUrl, result.productId)) {
+        throw new Error('Could not save the tracked item');
+      }
+      await dataManager.addPriceToHistory(url, result.name,
+          result.price, result.imageUrl, result.availability);
         
         // After tracking the price, set up periodic checking for this URL
-        priceTracker.setupPriceTracking(message.url, result.price, result.name, result.imageUrl);
-        sendResponse(result);
+        priceTracker.setupPriceTracking(url, result.price, result.name, result.imageUrl);
+        sendResponse({ ...result, url: url });
       })
-      .catch(error => sendResponse({ error: error.message }));
+      .catch(error => sendResponse({ error: error.message, errorCode: error.code }));
 
     // Return true to indicate we will send a response asynchronously
     return true;
   }
+
+  if (message.action === 'updateTrackedData') {
+    const operation = trackedDataOperations[message.operation];
+    if (!operation) {
+      sendResponse({ success: false, error: `Unknown tracked data operation: ${message.operation}` });
+      return;
+    }
+
+    operation(message.params || {})
+      .then(success => sendResponse({ success: success }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'syncNow') {
+    syncManager.sync().then(success => sendResponse({ success: success }));
+    return true;
+  }
+
+  if (message.action === 'priceElementPicked') {
+    priceTracker.savePickedElement(message.url, message.recipe, message.forDomain === true);
+  }
 });
\ No newline at end of file
@@ -0,0 +1,217 @@
+/**
+ * ElementPicker - Lets the user pick the price element on a product page
+ * Injected on demand from the popup/sidebar; highlights elements on hover and sends a
+ * selector recipe for the clicked element to the background script
+ */
+class ElementPicker {
+  constructor() {
+    this.overlay = null;
+    this.label = null;
+    this.currentElement = null;
+    this.handleMouseOver = this.handleMouseOver.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  /**
+   * Show the picker overlay and start listening for hover and click events
+   */
+  start() {
+    this.overlay = document.createElement('div');
+    Object.assign(this.overlay.style, {
+      position: 'fixed',
+      pointerEvents: 'none',
+      zIndex: '2147483647',
+      border: '2px solid #2196F3',
+      backgroundColor: 'rgba(33, 150, 243, 0.15)',
+      borderRadius: '3px',
+      transition: 'all 0.05s ease',
+      display: 'none'
+    });
+
+    this.label = document.createElement('div');
+    this.label.textContent = 'AI Price Tracker: click the price of this product (Shift+click to use it for every product of this site, Esc to cancel)';
+    Object.assign(this.label.style, {
+      position: 'fixed',
+      top: '12px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      zIndex: '2147483647',
+      padding: '10px 16px',
+      borderRadius: '8px',
+      backgroundColor: '#2196F3',
+      color: '#ffffff',
+      font: '500 14px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+      boxShadow: '0 2px 8px rgba(0, 0, 0, 0.3)',
+      pointerEvents: 'none'
+    });
+
+    document.documentElement.appendChild(this.overlay);
+    document.documentElement.appendChild(this.label);
+
+    document.addEventListener('mouseover', this.handleMouseOver, true);
+    document.addEventListener('click', this.handleClick, true);
+    document.addEventListener('keydown', this.handleKeyDown, true);
+  }
+
+  /**
+   * Remove the overlay and all listeners
+   */
+  stop() {
+    document.removeEventListener('mouseover', this.handleMouseOver, true);
+    document.removeEventListener('click', this.handleClick, true);
+    document.removeEventListener('keydown', this.handleKeyDown, true);
+    this.overlay?.remove();
+    this.label?.remove();
+    window.__aiPriceTrackerPicker = null;
+  }
+
+  /**
+   * Highlight the element under the mouse
+   */
+  handleMouseOver(event) {
+    this.currentElement = event.target;
+    const rect = this.currentElement.getBoundingClientRect();
+
+    Object.assign(this.overlay.style, {
+      display: 'block',
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+  }
+
+  /**
+   * Build the recipe for the clicked element and send it to the background script
+   * A Shift+click asks for the recipe to be used for the whole site, not only this product
+   */
+  handleClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const element = event.target;
+    this.stop();
+
+    browser.runtime.sendMessage({
+      action: 'priceElementPicked',
+      url: window.location.href,
+      recipe: this.buildRecipe(element),
+      forDomain: event.shiftKey
+    });
+  }
+
+  /**
+   * Cancel picking on Escape
+   */
+  handleKeyDown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      this.stop();
+    }
+  }
+
+  /**
+   * Build a selector recipe: several selectors for the element, most robust first
+   * Only selectors that match exactly the picked element are kept, the structural path is the last resort
+   */
+  buildRecipe(element) {
+    const candidates = [];
+    const tag = element.tagName.toLowerCase();
+
+    if (element.id && this.isStableToken(element.id)) {
+      candidates.push(`#${CSS.escape(element.id)}`);
+    }
+
+    ['itemprop', 'data-testid', 'data-test', 'data-qa', 'data-automation', 'data-price-type', 'aria-label'].forEach(attribute => {
+      const value = element.getAttribute(attribute);
+      if (value && value.length <= 60) {
+        candidates.push(`${tag}[${attribute}="${CSS.escape(value)}"]`);
+      }
+    });
+
+    const stableClasses = Array.from(element.classList).filter(className => this.isStableToken(className));
+    if (stableClasses.length > 0) {
+      candidates.push(`${tag}.${stableClasses.map(className => CSS.escape(className)).join('.')}`);
+
+      const anchor = this.findStableAncestor(element);
+      if (anchor) {
+        candidates.push(`#${CSS.escape(anchor.id)} ${tag}.${stableClasses.map(className => CSS.escape(className)).join('.')}`);
+      }
+    }
+
+    const selectors = candidates.filter(selector => this.matchesOnly(selector, element));
+    selectors.push(this.buildStructuralPath(element));
+
+    return {
+      selectors: [...new Set(selectors)],
+      sampleText: (element.getAttribute('content') || element.textContent || '').trim().substring(0, 200),
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Build a tag:nth-of-type path from the nearest ancestor with a stable ID (or the body)
+   */
+  buildStructuralPath(element) {
+    const parts = [];
+    let current = element;
+
+    while (current && current !== document.body && current !== document.documentElement) {
+      if (current !== element && current.id && this.isStableToken(current.id)) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        return parts.join(' > ');
+      }
+
+      const tag = current.tagName.toLowerCase();
+      const siblings = Array.from(current.parentElement?.children || []).filter(sibling => sibling.tagName === current.tagName);
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(current) + 1})` : tag);
+      current = current.parentElement;
+    }
+
+    parts.unshift('body');
+    return parts.join(' > ');
+  }
+
+  /**
+   * Find the nearest ancestor with a stable ID
+   */
+  findStableAncestor(element) {
+    let current = element.parentElement;
+    while (current && current !== document.body) {
+      if (current.id && this.isStableToken(current.id)) {
+        return current;
+      }
+      current = current.parentElement;
+    }
+    return null;
+  }
+
+  /**
+   * Check if a selector matches exactly the given element
+   */
+  matchesOnly(selector, element) {
+    try {
+      const matches = document.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === element;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check if an ID or class name looks hand-written rather than generated by a build tool
+   */
+  isStableToken(token) {
+    return token.length <= 40 &&
+      !/\d{3,}/.test(token) &&
+      !/^(css|sc|jsx|jss|emotion|styled)-/i.test(token) &&
+      !/^_/.test(token);
+  }
+}
+
+// Only one picker at a time, even if the script is injected twice
+if (!window.__aiPriceTrackerPicker) {
+  window.__aiPriceTrackerPicker = new ElementPicker();
+  window.__aiPriceTrackerPicker.start();
+}
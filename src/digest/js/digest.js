@@ -0,0 +1,94 @@
+// Logger dependency: Logger.js must be loaded before this script
+// Lists the changes found by an automatic check run, opened from a digest notification
+const dataManager = new PriceDataManager();
+
+// Create a table cell with text content
+function createCell(text, className = '') {
+  const cell = document.createElement('td');
+  cell.textContent = text;
+  if (className) {
+    cell.className = className;
+  }
+  return cell;
+}
+
+// Fill the check run dropdown with the stored digests
+function populateDigestOptions(digests, selectedId) {
+  const digestSelect = document.getElementById('digest-select');
+  digestSelect.innerHTML = '';
+
+  digests.forEach(digest => {
+    const option = document.createElement('option');
+    option.value = digest.id;
+    option.textContent = `${new Date(digest.createdAt).toLocaleString()} (${digest.trigger.replace('_', '-')} check)`;
+    digestSelect.appendChild(option);
+  });
+
+  digestSelect.value = selectedId;
+}
+
+// Display the changes of a digest in the table
+function displayDigest(digest) {
+  const tableBody = document.getElementById('digest-table-body');
+  const digestTable = document.getElementById('digest-table');
+  const emptyDigest = document.getElementById('empty-digest');
+  const summary = document.getElementById('digest-summary');
+
+  tableBody.innerHTML = '';
+
+  if (!digest) {
+    emptyDigest.classList.remove('hidden');
+    digestTable.classList.add('hidden');
+    summary.textContent = '';
+    return;
+  }
+
+  emptyDigest.classList.add('hidden');
+  digestTable.classList.remove('hidden');
+  summary.textContent = `${CheckDigest.summarize(digest.changes)}.`;
+
+  digest.changes.forEach(change => {
+    const row = document.createElement('tr');
+    row.appendChild(createCell(CheckDigest.label(change.type), `change-${change.type}`));
+    row.appendChild(createCell(change.productName));
+    row.appendChild(createCell(CheckDigest.describe(change)));
+
+    const actionCell = document.createElement('td');
+    const link = document.createElement('a');
+    link.href = change.url;
+    link.target = '_blank';
+    link.textContent = 'View Product';
+    actionCell.appendChild(link);
+    row.appendChild(actionCell);
+
+    tableBody.appendChild(row);
+  });
+}
+
+// Load the digest from the page URL, or the latest digest
+async function loadDigests() {
+  try {
+    const digests = await dataManager.getCheckDigests();
+    const requestedId = new URLSearchParams(window.location.search).get('id');
+    const digest = digests.find(entry => entry.id === requestedId) || digests[0] || null;
+
+    if (digest) {
+      populateDigestOptions(digests, digest.id);
+    }
+    displayDigest(digest);
+  } catch (error) {
+    logger.errorSync('Error loading check digests:', error);
+  }
+}
+
+// Show another check run when it is selected
+async function handleDigestChange() {
+  const digest = await dataManager.getCheckDigest(document.getElementById('digest-select').value);
+  displayDigest(digest);
+}
+
+// Initialize the digest page
+document.addEventListener('DOMContentLoaded', () => {
+  loadDigests();
+  document.getElementById('digest-select').addEventListener('change', handleDigestChange);
+});
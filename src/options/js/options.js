@@ -1,40 +1,102 @@
 // Logger dependency: Logger.js must be loaded before this script
-// Save the API key to storage
+// Data manager and LLM provider factory (used for provider labels, defaults and validation)
+const dataManager = new PriceDataManager();
+const providerFactory = new LLMProviderFactory(dataManager, logger);
+const usageTracker = new UsageTracker(dataManager, logger);
+const webhookNotifier = new WebhookNotifier(dataManager, logger);
+const importExportManager = new ImportExportManager(dataManager, logger);
+
+// Settings of every provider, kept in memory so switching providers does not lose unsaved input
+let llmProviderSettings = {};
+let selectedProvider = 'openai';
+
+// Items read from the selected import file, applied once the preview is confirmed
+let pendingImport = null;
+
+// Save the LLM provider settings to storage
 function saveOptions() {
-  const apiKey = document.getElementById('api-key').value.trim();
+  rememberProviderInputs();
 
-  if (!apiKey) {
-    showStatusMessage('Please enter an API key.', 'error');
-    return;
-  }
+  const provider = providerFactory.createProvider(selectedProvider);
+  const validationError = provider.validateSettings(llmProviderSettings[selectedProvider] || {});
 
-  // Validate API key format (basic check for sk- prefix)
-  if (!apiKey.startsWith('sk-')) {
-    showStatusMessage('API key should start with "sk-". Please check your key.', 'error');
+  if (validationError) {
+    showStatusMessage(validationError, 'error');
     return;
   }
 
-  browser.storage.local.set({ apiKey: apiKey })
-    .then(() => {
-      showStatusMessage('API key saved successfully!', 'success');
+  dataManager.saveLLMSettings(selectedProvider, llmProviderSettings)
+    .then(success => {
+      if (!success) {
+        throw new Error('Failed to save LLM settings');
+      }
+      showStatusMessage(`${provider.label} settings saved successfully!`, 'success');
     })
     .catch(error => {
-      logger.errorSync('Error saving API key:', error);
-      showStatusMessage('Error saving API key. Please try again.', 'error');
+      logger.errorSync('Error saving LLM settings:', error);
+      showStatusMessage('Error saving LLM settings. Please try again.', 'error');
     });
 }
 
+// Fill the provider dropdown with the available providers
+function populateProviderOptions() {
+  const providerSelect = document.getElementById('llm-provider');
+  providerSelect.innerHTML = '';
+
+  providerFactory.getAvailableProviders().forEach(provider => {
+    const option = document.createElement('option');
+    option.value = provider.id;
+    option.textContent = provider.label;
+    providerSelect.appendChild(option);
+  });
+}
+
+// Store the values currently in the provider inputs for the selected provider
+function rememberProviderInputs() {
+  llmProviderSettings[selectedProvider] = {
+    apiKey: document.getElementById('api-key').value.trim(),
+    model: document.getElementById('llm-model').value.trim(),
+    endpoint: document.getElementById('llm-endpoint').value.trim()
+  };
+}
+
+// Show the stored settings and defaults of a provider in the provider inputs
+function showProviderSettings(providerId) {
+  const provider = providerFactory.createProvider(providerId);
+  const settings = llmProviderSettings[provider.id] || {};
+
+  selectedProvider = provider.id;
+  document.getElementById('llm-provider').value = provider.id;
+
+  const apiKeyInput = document.getElementById('api-key');
+  apiKeyInput.value = settings.apiKey || '';
+  apiKeyInput.placeholder = provider.apiKeyPlaceholder;
+
+  const modelInput = document.getElementById('llm-model');
+  modelInput.value = settings.model || '';
+  modelInput.placeholder = provider.defaultModel || 'Model name';
+
+  const endpointInput = document.getElementById('llm-endpoint');
+  endpointInput.value = settings.endpoint || '';
+  endpointInput.placeholder = provider.defaultEndpoint || 'https://gateway.example.com/v1';
+}
+
+// Switch the provider inputs when another provider is selected
+function handleProviderChange() {
+  rememberProviderInputs();
+  showProviderSettings(document.getElementById('llm-provider').value);
+}
+
 // Load saved options from storage
 function loadOptions() {
-  // Get API key from local storage
-  browser.storage.local.get(['apiKey'])
-    .then(localResult => {
-      if (localResult.apiKey) {
-        document.getElementById('api-key').value = localResult.apiKey;
-      }
+  // Get LLM provider settings from local storage
+  dataManager.getLLMSettings()
+    .then(llmSettings => {
+      llmProviderSettings = llmSettings.providerSettings;
+      showProviderSettings(llmSettings.provider);
       
       // Get other settings from local storage
-      return browser.storage.local.get(['viewMode', 'priceAlarmEnabled', 'checkInterval']);
+      return browser.storage.local.get(['viewMode', 'priceAlarmEnabled', 'checkInterval', 'checkConcurrency', 'domainDelay']);
     })
     .then(syncResult => {
       if (syncResult.viewMode) {
@@ -52,8 +114,18 @@ function loadOptions() {
       const checkIntervalInput = document.getElementById('check-interval');
       checkIntervalInput.value = syncResult.checkInterval || 60;
       
-      // Load alarm timing information
+      // Set the check runner limits (default to 2 checks at a time, 10 seconds between checks of a shop)
+      document.getElementById('check-concurrency').value = syncResult.checkConcurrency || 2;
+      document.getElementById('domain-delay').value = syncResult.domainDelay ?? 10;
+      
+      // Load the check window and quiet hours, then the alarm timing information and the cache counters
+      loadSchedulingWindows();
       loadAlarmTimingInfo();
+      loadFingerprintStats();
+      loadUsageInfo();
+      loadNotificationMode();
+      loadWebhooks();
+      loadSyncSettings();
     })
     .catch(error => {
       logger.errorSync('Error loading options:', error);
@@ -109,10 +181,38 @@ function savePriceAlarmSetting() {
     return;
   }
 
+  const checkConcurrency = parseInt(document.getElementById('check-concurrency').value);
+  if (isNaN(checkConcurrency) || checkConcurrency < 1 || checkConcurrency > 10) {
+    showAlarmStatusMessage('Checks run at the same time must be between 1 and 10.', 'error');
+    return;
+  }
+
+  const domainDelay = parseInt(document.getElementById('domain-delay').value);
+  if (isNaN(domainDelay) || domainDelay < 0 || domainDelay > 600) {
+    showAlarmStatusMessage('Delay between checks of the same shop must be between 0 and 600 seconds.', 'error');
+    return;
+  }
+
+  const schedulingWindows = readSchedulingWindowsForm();
+  if (schedulingWindows.checkWindow.enabled && schedulingWindows.checkWindow.days.length === 0) {
+    showAlarmStatusMessage('Select at least one day to check on.', 'error');
+    return;
+  }
+
+  const hours = [schedulingWindows.checkWindow.startHour, schedulingWindows.checkWindow.endHour,
+    schedulingWindows.quietHours.startHour, schedulingWindows.quietHours.endHour];
+  if (hours.some(hour => isNaN(hour) || hour < 0 || hour > 23)) {
+    showAlarmStatusMessage('Hours must be between 0 and 23.', 'error');
+    return;
+  }
+
   browser.storage.local.set({ 
     priceAlarmEnabled: priceAlarmEnabled,
-    checkInterval: checkInterval
+    checkInterval: checkInterval,
+    checkConcurrency: checkConcurrency,
+    domainDelay: domainDelay
   })
+    .then(() => dataManager.saveSchedulingWindows(schedulingWindows))
     .then(() => {
       showAlarmStatusMessage(`Price alarm ${priceAlarmEnabled ? 'enabled' : 'disabled'} successfully! Check interval set to ${checkInterval} minutes.`, 'success');
       // Update timing info after saving
@@ -124,6 +224,40 @@ function savePriceAlarmSetting() {
     });
 }
 
+// Read the check window and quiet hours from the form
+function readSchedulingWindowsForm() {
+  return {
+    checkWindow: {
+      enabled: document.getElementById('check-window-enabled').checked,
+      startHour: parseInt(document.getElementById('check-window-start').value),
+      endHour: parseInt(document.getElementById('check-window-end').value),
+      days: CheckWindow.DAY_LABELS.map((label, day) => day)
+        .filter(day => document.getElementById(`check-window-day-${day}`).checked)
+    },
+    quietHours: {
+      enabled: document.getElementById('quiet-hours-enabled').checked,
+      startHour: parseInt(document.getElementById('quiet-hours-start').value),
+      endHour: parseInt(document.getElementById('quiet-hours-end').value)
+    }
+  };
+}
+
+// Load the check window and quiet hours into the form
+async function loadSchedulingWindows() {
+  const windows = await dataManager.getSchedulingWindows();
+
+  document.getElementById('check-window-enabled').checked = windows.checkWindow.enabled;
+  document.getElementById('check-window-start').value = windows.checkWindow.startHour;
+  document.getElementById('check-window-end').value = windows.checkWindow.endHour;
+  CheckWindow.DAY_LABELS.forEach((label, day) => {
+    document.getElementById(`check-window-day-${day}`).checked = windows.checkWindow.days.includes(day);
+  });
+
+  document.getElementById('quiet-hours-enabled').checked = windows.quietHours.enabled;
+  document.getElementById('quiet-hours-start').value = windows.quietHours.startHour;
+  document.getElementById('quiet-hours-end').value = windows.quietHours.endHour;
+}
+
 // Load and display alarm timing information using PriceCheckScheduler
 async function loadAlarmTimingInfo() {
   try {
@@ -141,13 +275,18 @@ async function loadAlarmTimingInfo() {
       lastCheckElement.textContent = 'Never';
     }
     
-    // Get next check time
-    const nextCheckTime = await scheduler.getNextCheckTime();
+    // Get next check time, the alarm may not have been moved into a check window that was just changed
+    const windows = await dataManager.getSchedulingWindows();
+    const alarmTime = await scheduler.getNextCheckTime();
+    const nextCheckTime = alarmTime && CheckWindow.getNextAllowedTime(windows, alarmTime);
     const nextCheckElement = document.getElementById('next-check-value');
     const isEnabled = await scheduler.isPriceTrackingEnabled();
+    document.getElementById('check-window-value').textContent = CheckWindow.describe(windows);
     
     if (nextCheckTime) {
       nextCheckElement.textContent = formatDateTime(nextCheckTime);
+    } else if (alarmTime) {
+      nextCheckElement.textContent = 'Never (no days selected in the check window)';
     } else if (isEnabled) {
       nextCheckElement.textContent = 'Within the next hour';
     } else {
@@ -160,6 +299,411 @@ async function loadAlarmTimingInfo() {
   }
 }
 
+// Format an estimated cost in USD, with more precision for the small amounts of single calls
+function formatCost(cost) {
+  return `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+}
+
+// Load and display the LLM usage, the budget and the most recent calls
+async function loadUsageInfo() {
+  try {
+    const monthTotals = await usageTracker.getCurrentMonthTotals();
+    const todayTotals = await usageTracker.getTodayTotals();
+    const budgetStatus = await usageTracker.getBudgetStatus();
+    const usageStats = await dataManager.getUsageStats();
+
+    const describeTotals = totals => `${formatCost(totals.cost)} (${totals.calls} call${totals.calls !== 1 ? 's' : ''}, ` +
+      `${totals.inputTokens.toLocaleString()} input / ${totals.outputTokens.toLocaleString()} output tokens` +
+      `${totals.unpricedCalls > 0 ? `, ${totals.unpricedCalls} unpriced` : ''})`;
+
+    document.getElementById('usage-month-value').textContent = describeTotals(monthTotals);
+    document.getElementById('usage-today-value').textContent = describeTotals(todayTotals);
+
+    const triggers = Object.entries(monthTotals.triggers)
+      .map(([trigger, totals]) => `${trigger.replace('_', '-')}: ${formatCost(totals.cost)} (${totals.calls})`);
+    document.getElementById('usage-triggers-value').textContent = triggers.length > 0 ? triggers.join(', ') : 'No calls yet';
+
+    document.getElementById('monthly-budget').value = budgetStatus.budget;
+    const budgetState = document.getElementById('usage-budget-state');
+    if (budgetStatus.exceeded) {
+      budgetState.textContent = `Budget of ${formatCost(budgetStatus.budget)} reached: scheduled checks are paused until next month.`;
+    } else if (budgetStatus.budget > 0) {
+      budgetState.textContent = `Budget: ${formatCost(budgetStatus.spent)} of ${formatCost(budgetStatus.budget)} spent this month.`;
+    } else {
+      budgetState.textContent = 'No monthly budget set.';
+    }
+
+    displayRecentUsage(usageStats.recentCalls.slice(0, 10));
+  } catch (error) {
+    logger.errorSync('Error loading LLM usage:', error);
+  }
+}
+
+// Display the most recent LLM calls in the usage table
+function displayRecentUsage(calls) {
+  const tableBody = document.getElementById('usage-table-body');
+  const usageTable = document.getElementById('usage-table');
+
+  tableBody.innerHTML = '';
+  usageTable.classList.toggle('hidden', calls.length === 0);
+
+  calls.forEach(call => {
+    const row = document.createElement('tr');
+    let page = call.url;
+    try {
+      page = new URL(call.url).hostname;
+    } catch (error) {
+      // Keep the raw value for calls without a valid URL
+    }
+
+    [
+      new Date(call.timestamp).toLocaleString(),
+      page,
+      call.trigger,
+      call.model,
+      `${call.inputTokens} / ${call.outputTokens}`,
+      call.unpriced ? 'Unknown' : formatCost(call.cost)
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+
+    tableBody.appendChild(row);
+  });
+}
+
+// Save the monthly LLM budget
+async function saveMonthlyBudget() {
+  const budget = parseFloat(document.getElementById('monthly-budget').value || '0');
+
+  if (isNaN(budget) || budget < 0) {
+    showBudgetStatusMessage('The budget must be a positive amount, or 0 for no limit.', 'error');
+    return;
+  }
+
+  if (await dataManager.saveMonthlyBudget(budget)) {
+    showBudgetStatusMessage(budget > 0 ? `Monthly budget set to ${formatCost(budget)}.` : 'Monthly budget removed.', 'success');
+    loadUsageInfo();
+  } else {
+    showBudgetStatusMessage('Error saving the monthly budget. Please try again.', 'error');
+  }
+}
+
+function showBudgetStatusMessage(message, type) {
+  StatusMessageManager.showBudgetStatusMessage(message, type);
+}
+
+// Load the notification delivery mode and the enabled alert types
+async function loadNotificationMode() {
+  document.getElementById('notification-mode').value = await dataManager.getNotificationMode();
+
+  const alertSettings = await dataManager.getAlertTypeSettings();
+  dataManager.alertTypes.forEach(type => {
+    document.getElementById(`alert-type-${type}`).checked = alertSettings.types[type];
+  });
+  document.getElementById('lowest-in-days').value = alertSettings.lowestInDays;
+}
+
+// Save the notification delivery mode and the enabled alert types
+async function saveNotificationMode() {
+  const mode = document.getElementById('notification-mode').value;
+  const lowestInDays = parseInt(document.getElementById('lowest-in-days').value, 10);
+
+  if (isNaN(lowestInDays) || lowestInDays < 1 || lowestInDays > 365) {
+    showNotificationStatusMessage('The number of days must be between 1 and 365.', 'error');
+    return;
+  }
+
+  const alertSettings = {
+    types: Object.fromEntries(dataManager.alertTypes.map(type => [type, document.getElementById(`alert-type-${type}`).checked])),
+    lowestInDays: lowestInDays
+  };
+
+  if (await dataManager.saveNotificationMode(mode) && await dataManager.saveAlertTypeSettings(alertSettings)) {
+    showNotificationStatusMessage(mode === 'digest' ?
+      'Automatic checks will send one summary notification per run.' :
+      'Automatic checks will send one notification per change.', 'success');
+  } else {
+    showNotificationStatusMessage('Error saving the notification setting. Please try again.', 'error');
+  }
+}
+
+function showNotificationStatusMessage(message, type) {
+  StatusMessageManager.showNotificationStatusMessage(message, type);
+}
+
+// Load the configured webhooks
+async function loadWebhooks() {
+  const webhookList = document.getElementById('webhook-list');
+  webhookList.innerHTML = '';
+
+  const webhooks = await dataManager.getWebhooks();
+  webhooks.forEach(webhook => addWebhookRow(webhook));
+}
+
+// Add a webhook row to the list
+function addWebhookRow(webhook = { url: '', template: 'json', enabled: true }) {
+  const row = document.createElement('div');
+  row.className = 'form-group webhook-row';
+  row.dataset.webhookId = webhook.id || '';
+
+  const urlInput = document.createElement('input');
+  urlInput.type = 'text';
+  urlInput.className = 'webhook-url';
+  urlInput.placeholder = 'https://hooks.example.com/...';
+  urlInput.value = webhook.url;
+
+  const templateSelect = document.createElement('select');
+  templateSelect.className = 'webhook-template';
+  Object.entries(WebhookNotifier.TEMPLATES).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    templateSelect.appendChild(option);
+  });
+  templateSelect.value = webhook.template;
+
+  const enabledCheckbox = document.createElement('input');
+  enabledCheckbox.type = 'checkbox';
+  enabledCheckbox.className = 'webhook-enabled';
+  enabledCheckbox.title = 'Enabled';
+  enabledCheckbox.checked = webhook.enabled;
+
+  const testButton = document.createElement('button');
+  testButton.textContent = 'Send Test';
+  testButton.addEventListener('click', () => testWebhook(row, testButton));
+
+  const removeButton = document.createElement('button');
+  removeButton.textContent = 'Remove';
+  removeButton.addEventListener('click', () => row.remove());
+
+  row.append(urlInput, templateSelect, enabledCheckbox, testButton, removeButton);
+  document.getElementById('webhook-list').appendChild(row);
+}
+
+// Read a webhook from its row
+function readWebhookRow(row) {
+  return {
+    id: row.dataset.webhookId || null,
+    url: row.querySelector('.webhook-url').value.trim(),
+    template: row.querySelector('.webhook-template').value,
+    enabled: row.querySelector('.webhook-enabled').checked
+  };
+}
+
+// Save the webhooks in the list
+async function saveWebhooks() {
+  const webhooks = Array.from(document.querySelectorAll('.webhook-row')).map(readWebhookRow);
+  const invalidWebhook = webhooks.find(webhook => !dataManager._validateWebhook(webhook));
+
+  if (invalidWebhook) {
+    showWebhookStatusMessage(`"${invalidWebhook.url || '(empty)'}" is not a valid http(s) URL.`, 'error');
+    return;
+  }
+
+  if (await dataManager.saveWebhooks(webhooks)) {
+    showWebhookStatusMessage('Webhooks saved successfully!', 'success');
+    loadWebhooks();
+  } else {
+    showWebhookStatusMessage('Error saving webhooks. Please try again.', 'error');
+  }
+}
+
+// Post a sample price drop to the webhook of a row
+async function testWebhook(row, testButton) {
+  const webhook = dataManager._validateWebhook(readWebhookRow(row));
+  if (!webhook) {
+    showWebhookStatusMessage('Please enter a valid http(s) URL first.', 'error');
+    return;
+  }
+
+  // Retries can take a few seconds, keep the button disabled until the result is known
+  testButton.disabled = true;
+  const result = await webhookNotifier.sendTest(webhook);
+  testButton.disabled = false;
+
+  if (result.ok) {
+    showWebhookStatusMessage('Test message sent successfully!', 'success');
+  } else {
+    showWebhookStatusMessage(`Test message failed after ${result.attempts} attempt(s): ${result.error}`, 'error');
+  }
+}
+
+function showWebhookStatusMessage(message, type) {
+  StatusMessageManager.showWebhookStatusMessage(message, type);
+}
+
+// Load the sync setting and the result of the last sync
+async function loadSyncSettings() {
+  const syncEnabled = await dataManager.getSyncEnabled();
+  const state = await dataManager.getSyncState();
+
+  document.getElementById('sync-enabled').checked = syncEnabled;
+  document.getElementById('sync-now-btn').disabled = !syncEnabled;
+  document.getElementById('sync-last-value').textContent =
+    state.lastSyncedAt ? new Date(state.lastSyncedAt).toLocaleString() : 'Never';
+  document.getElementById('sync-error-value').textContent = state.lastError || '';
+  document.getElementById('sync-error').classList.toggle('hidden', !state.lastError);
+}
+
+// Save the sync setting, the background syncs as soon as it is turned on
+async function saveSyncSetting() {
+  const syncEnabled = document.getElementById('sync-enabled').checked;
+
+  if (await dataManager.saveSyncEnabled(syncEnabled)) {
+    showSyncStatusMessage(syncEnabled ? 'Sync turned on!' : 'Sync turned off.', 'success');
+    loadSyncSettings();
+  } else {
+    showSyncStatusMessage('Error saving the sync setting. Please try again.', 'error');
+  }
+}
+
+// Ask the background to sync right away
+async function syncNow() {
+  const syncButton = document.getElementById('sync-now-btn');
+  syncButton.disabled = true;
+
+  try {
+    const response = await browser.runtime.sendMessage({ action: 'syncNow' });
+    if (response?.success) {
+      showSyncStatusMessage('Synced successfully!', 'success');
+    } else {
+      showSyncStatusMessage('Sync failed, see the last error below.', 'error');
+    }
+  } catch (error) {
+    logger.errorSync('Error requesting a sync:', error);
+    showSyncStatusMessage('Error requesting a sync. Please try again.', 'error');
+  }
+
+  await loadSyncSettings();
+}
+
+function showSyncStatusMessage(message, type) {
+  StatusMessageManager.showSyncStatusMessage(message, type);
+}
+
+// Download a file made from text
+function downloadFile(content, fileName, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Export the tracked items with their price history
+async function exportTrackedData(format) {
+  try {
+    const date = new Date().toISOString().split('T')[0];
+    if (format === 'csv') {
+      downloadFile(await importExportManager.exportCsv(), `ai-price-tracker-${date}.csv`, 'text/csv');
+    } else {
+      downloadFile(await importExportManager.exportJson(), `ai-price-tracker-${date}.json`, 'application/json');
+    }
+  } catch (error) {
+    logger.errorSync('Error exporting tracked data:', error);
+    showTransferStatusMessage('Error exporting the tracked items. Please try again.', 'error');
+  }
+}
+
+// Read the selected import file and preview it
+async function readImportFile(event) {
+  const file = event.target.files[0];
+  if (!file) {
+    return;
+  }
+
+  try {
+    pendingImport = importExportManager.parseImport(await file.text());
+    await showImportPreview();
+  } catch (error) {
+    cancelImport();
+    showTransferStatusMessage(`Cannot import ${file.name}: ${error.message}`, 'error');
+  }
+}
+
+// Show what the pending import changes in the selected mode
+async function showImportPreview() {
+  const mode = document.getElementById('import-mode').value;
+  const preview = await importExportManager.previewImport(pendingImport.items, mode);
+  const lines = [`${pendingImport.items.length} items in the file` +
+    (pendingImport.skipped > 0 ? `, ${pendingImport.skipped} invalid items will be skipped.` : '.')];
+
+  if (mode === 'replace') {
+    lines.push(`${preview.items} items with ${preview.entries} price entries replace the tracked items and their history.`);
+    if (preview.removed > 0) {
+      lines.push(`${preview.removed} tracked items are not in the file and will be removed.`);
+    }
+  } else {
+    lines.push(`New items: ${preview.added}`);
+    lines.push(`Tracked items with new price entries: ${preview.updated}`);
+    lines.push(`Unchanged items: ${preview.unchanged}`);
+    lines.push(`Price entries added: ${preview.addedEntries}`);
+  }
+
+  const summary = document.getElementById('import-summary');
+  summary.innerHTML = '';
+  lines.forEach(line => {
+    const div = document.createElement('div');
+    div.textContent = line;
+    summary.appendChild(div);
+  });
+  document.getElementById('import-preview').classList.remove('hidden');
+}
+
+// Apply the previewed import
+async function applyImport() {
+  if (!pendingImport) {
+    return;
+  }
+
+  const mode = document.getElementById('import-mode').value;
+  if (mode === 'replace' && !confirm('Replace all tracked items and their price history with the imported file? This action cannot be undone.')) {
+    return;
+  }
+
+  if (await importExportManager.requestImport(pendingImport.items, mode)) {
+    showTransferStatusMessage(`Imported ${pendingImport.items.length} items successfully!`, 'success');
+    cancelImport();
+  } else {
+    showTransferStatusMessage('Error importing the file. Please try again.', 'error');
+  }
+}
+
+// Discard the pending import
+function cancelImport() {
+  pendingImport = null;
+  document.getElementById('import-file').value = '';
+  document.getElementById('import-preview').classList.add('hidden');
+}
+
+function showTransferStatusMessage(message, type) {
+  StatusMessageManager.showTransferStatusMessage(message, type);
+}
+
+// Load and display the hit/miss counters of the unchanged page cache
+async function loadFingerprintStats() {
+  const stats = await dataManager.getFingerprintStats();
+  const lookups = stats.hits + stats.misses;
+
+  document.getElementById('fingerprint-hits-value').textContent = stats.hits;
+  document.getElementById('fingerprint-misses-value').textContent = stats.misses;
+  document.getElementById('fingerprint-rate-value').textContent =
+    lookups > 0 ? `${Math.round(stats.hits / lookups * 100)}%` : 'N/A';
+  document.getElementById('fingerprint-since-value').textContent =
+    stats.since ? new Date(stats.since).toLocaleString() : 'Never';
+}
+
+// Reset the hit/miss counters of the unchanged page cache
+async function resetFingerprintStats() {
+  await dataManager.resetFingerprintStats();
+  await loadFingerprintStats();
+}
+
 // Format date and time for display
 function formatDateTime(date) {
   const now = new Date();
@@ -200,20 +744,12 @@ function clearPriceHistory() {
 
   if (confirmed) {
     // Clear the history from all tracked items but keep the items themselves
-    browser.storage.local.get('trackedPrices')
-      .then(result => {
-        const trackedPrices = result.trackedPrices || [];
-        // Clear history array for each tracked item
-        trackedPrices.forEach(item => {
-          if (item.history) {
-            item.history = [];
-          }
-        });
-        
-        // Save the updated trackedPrices back to storage
-        return browser.storage.local.set({ trackedPrices: trackedPrices });
-      })
-      .then(() => {
+    dataManager.requestTrackedDataUpdate('clearPriceHistory')
+      .then(success => {
+        if (!success) {
+          throw new Error('Failed to save tracked prices');
+        }
+
         showClearStatusMessage('Price check history cleared successfully!', 'success');
         
         // Also refresh the price history display if we're on that tab
@@ -229,24 +765,45 @@ function clearPriceHistory() {
   }
 }
 
-// Clear tracked prices for alarm
-function clearPriceDropHistory() {
+// Merge tracked items that are the same product (different URLs of one product) into one item each
+async function mergeDuplicateItems() {
+  const duplicateGroups = dataManager.getDuplicateGroups(await dataManager.getTrackedPrices());
+  if (duplicateGroups.length === 0) {
+    showClearStatusMessage('No duplicate items found.', 'success');
+    return;
+  }
+
+  const duplicateCount = duplicateGroups.reduce((count, group) => count + group.length - 1, 0);
   const confirmed = confirm(
-    'Are you sure you want to clear all the price drop history? This action cannot be undone.'
+    `${duplicateCount} duplicate item(s) of ${duplicateGroups.length} product(s) were found. ` +
+    'Their price histories will be combined into the earliest tracked item of each product, which keeps its settings ' +
+    'and takes the alert rules, check interval, snooze and picked price element it does not have from the duplicates. ' +
+    'The duplicates will be removed. Continue?'
   );
 
   if (confirmed) {
-    // Clear only the tracked prices for alarm
-    browser.storage.local.set({
-      priceDropHistory: []
-    })
-    .then(() => {
-      showClearStatusMessage('Tracked prices for alarm cleared successfully!', 'success');
-    })
-    .catch(error => {
-      logger.errorSync('Error clearing tracked prices for alarm:', error);
-      showClearStatusMessage('Error clearing tracked prices for alarm. Please try again.', 'error');
-    });
+    if (await dataManager.requestTrackedDataUpdate('mergeDuplicates')) {
+      showClearStatusMessage(`Merged ${duplicateCount} duplicate item(s).`, 'success');
+      loadPriceHistory();
+    } else {
+      showClearStatusMessage('Error merging duplicate items. Please try again.', 'error');
+    }
+  }
+}
+
+// Clear the alert history
+async function clearPriceDropHistory() {
+  const confirmed = confirm(
+    'Are you sure you want to clear all the alert history? This action cannot be undone.'
+  );
+
+  if (confirmed) {
+    if (await dataManager.requestTrackedDataUpdate('clearAlerts')) {
+      showClearStatusMessage('Alert history cleared successfully!', 'success');
+      loadPriceDropHistory();
+    } else {
+      showClearStatusMessage('Error clearing the alert history. Please try again.', 'error');
+    }
   }
 }
 
@@ -277,9 +834,8 @@ function setupTabs() {
 
 // Load price history from storage and display it
 function loadPriceHistory() {
-  browser.storage.local.get('trackedPrices')
-    .then(result => {
-      const trackedPrices = result.trackedPrices || [];
+  dataManager.getTrackedPrices()
+    .then(trackedPrices => {
       // Extract all history entries from all tracked items
       const history = [];
       trackedPrices.forEach(item => {
@@ -288,6 +844,7 @@ function loadPriceHistory() {
             history.push({
               productName: item.name,
               price: historyEntry.price,
+              availability: historyEntry.availability,
               timestamp: historyEntry.timestamp,
               url: item.url
             });
@@ -335,7 +892,7 @@ function displayPriceHistory(history) {
     // Create table cells
     row.innerHTML = `
       <td>${item.productName}</td>
-      <td>${item.price}</td>
+      <td>${PriceParser.format(item.price)}${Availability.label(item.availability) ? ` (${Availability.label(item.availability)})` : ''}</td>
       <td>${formattedDate}</td>
       <td><a href="${item.url}" class="history-action" target="_blank">View Product</a></td>
     `;
@@ -344,16 +901,11 @@ function displayPriceHistory(history) {
   });
 }
 
-// Load price drop history from storage and display it
-function loadPriceDropHistory() {
-  browser.storage.local.get('priceDropHistory')
-    .then(result => {
-      const history = result.priceDropHistory || [];
-      displayPriceDropHistory(history);
-    })
-    .catch(error => {
-      logger.errorSync('Error loading price drop history:', error);
-    });
+// Load the alert history from storage and display it, the shown alerts are marked as read
+async function loadPriceDropHistory() {
+  const alerts = await dataManager.getAlerts();
+  displayPriceDropHistory(alerts);
+  await dataManager.requestTrackedDataUpdate('markAlertsRead', { alertIds: alerts.map(alert => alert.id) });
 }
 
 // Display price drop history in the table
@@ -387,6 +939,9 @@ function displayPriceDropHistory(history) {
   // Add rows to the table
   history.forEach(item => {
     const row = document.createElement('tr');
+    if (!item.read) {
+      row.className = 'unread';
+    }
     
     // Format the date
     const date = new Date(item.timestamp);
@@ -394,9 +949,10 @@ function displayPriceDropHistory(history) {
     
     // Create table cells
     row.innerHTML = `
+      <td>${CheckDigest.label(item.type)}</td>
       <td>${item.productName}</td>
-      <td>${item.oldPrice}</td>
-      <td>${item.newPrice}</td>
+      <td>${PriceParser.format(item.oldPrice)}</td>
+      <td>${PriceParser.format(item.newPrice)}</td>
       <td>${formattedDate}</td>
       <td><a href="${item.url}" class="history-action" target="_blank">View Product</a></td>
     `;
@@ -407,7 +963,8 @@ function displayPriceDropHistory(history) {
 
 // Initialize the options page
 document.addEventListener('DOMContentLoaded', () => {
-  // Load saved options
+  // Fill the provider dropdown and load saved options
+  populateProviderOptions();
   loadOptions();
   
   // Setup tabs
@@ -415,9 +972,24 @@ document.addEventListener('DOMContentLoaded', () => {
   
   // Add event listeners
   document.getElementById('save-btn').addEventListener('click', saveOptions);
+  document.getElementById('llm-provider').addEventListener('change', handleProviderChange);
   document.getElementById('show-hide-btn').addEventListener('click', toggleApiKeyVisibility);
   document.getElementById('save-view-btn').addEventListener('click', saveViewMode);
   document.getElementById('save-alarm-btn').addEventListener('click', savePriceAlarmSetting);
   document.getElementById('clear-price-check-history-btn').addEventListener('click', clearPriceHistory);
+  document.getElementById('merge-duplicates-btn').addEventListener('click', mergeDuplicateItems);
   document.getElementById('clear-price-drop-history-btn').addEventListener('click', clearPriceDropHistory);
+  document.getElementById('reset-fingerprint-stats-btn').addEventListener('click', resetFingerprintStats);
+  document.getElementById('save-budget-btn').addEventListener('click', saveMonthlyBudget);
+  document.getElementById('save-notification-mode-btn').addEventListener('click', saveNotificationMode);
+  document.getElementById('add-webhook-btn').addEventListener('click', () => addWebhookRow());
+  document.getElementById('save-webhooks-btn').addEventListener('click', saveWebhooks);
+  document.getElementById('save-sync-btn').addEventListener('click', saveSyncSetting);
+  document.getElementById('sync-now-btn').addEventListener('click', syncNow);
+  document.getElementById('export-json-btn').addEventListener('click', () => exportTrackedData('json'));
+  document.getElementById('export-csv-btn').addEventListener('click', () => exportTrackedData('csv'));
+  document.getElementById('import-file').addEventListener('change', readImportFile);
+  document.getElementById('import-mode').addEventListener('change', showImportPreview);
+  document.getElementById('apply-import-btn').addEventListener('click', applyImport);
+  document.getElementById('cancel-import-btn').addEventListener('click', cancelImport);
 });
@@ -0,0 +1,133 @@
+/**
+ * AlertRuleEvaluator - Decides whether a price change is worth a notification under an item's alert rules
+ * Rules are stored on the tracked item as {targetPrice, minDropPercent, allTimeLowOnly, types}; every rule that
+ * is set must be met by a drop, an item without rules is notified of every drop
+ */
+class AlertRuleEvaluator {
+  /**
+   * Evaluate a price change against the enabled alert types and the alert rules of an item
+   * A drop is reported as its most specific enabled type: all-time low, lowest in N days, then a plain drop
+   * @param {Object} rules - The item's alert rules (see PriceDataManager._validateAlertRules)
+   * @param {Object} settings - The global alert type settings (see PriceDataManager.getAlertTypeSettings)
+   * @param {Object} oldPrice - The previous price
+   * @param {Object} currentPrice - The current price
+   * @param {Array} history - The item's price history before the current check
+   * @returns {{type: string, notify: boolean, reason: string, days: number|undefined}|null} The alert, or null
+   *   when the price did not change or the prices are not comparable
+   */
+  evaluate(rules, settings, oldPrice, currentPrice, history = []) {
+    const comparison = PriceParser.compare(currentPrice, oldPrice);
+    if (comparison === null || comparison === 0) {
+      return null;
+    }
+
+    if (comparison > 0) {
+      const notify = this.isTypeEnabled('increase', rules, settings);
+      return { type: 'increase', notify: notify, reason: notify ? 'the price increased' : 'increase alerts are turned off' };
+    }
+
+    const decision = this.evaluateDrop(rules, oldPrice, currentPrice, history);
+    if (!decision.notify) {
+      return { type: 'drop', notify: false, reason: decision.reason };
+    }
+
+    if (this.isTypeEnabled('all_time_low', rules, settings) && this.isAllTimeLow(currentPrice, history)) {
+      return { type: 'all_time_low', notify: true, reason: 'the price is an all-time low' };
+    }
+
+    const days = settings.lowestInDays;
+    if (this.isTypeEnabled('lowest_in_days', rules, settings) && this.isLowestInDays(currentPrice, history, days)) {
+      return { type: 'lowest_in_days', notify: true, reason: `the price is the lowest in ${days} days`, days: days };
+    }
+
+    if (this.isTypeEnabled('drop', rules, settings)) {
+      return { type: 'drop', notify: true, reason: decision.reason };
+    }
+
+    return { type: 'drop', notify: false, reason: 'drop alerts are turned off' };
+  }
+
+  /**
+   * Check if an alert type is enabled for an item, the item's own setting wins over the global one
+   */
+  isTypeEnabled(type, rules, settings) {
+    const itemSetting = rules?.types?.[type];
+    return typeof itemSetting === 'boolean' ? itemSetting : settings.types[type] === true;
+  }
+
+  /**
+   * Evaluate a price drop against the alert rules of an item
+   * @param {Object} rules - The item's alert rules (see PriceDataManager._validateAlertRules)
+   * @param {Object} oldPrice - The previous price
+   * @param {Object} currentPrice - The current (lower) price
+   * @param {Array} history - The item's price history before the current check
+   * @returns {{notify: boolean, reason: string}} The decision and the reason for it
+   */
+  evaluateDrop(rules, oldPrice, currentPrice, history = []) {
+    if (!rules) {
+      return { notify: true, reason: 'price dropped' };
+    }
+
+    if (rules.targetPrice) {
+      const comparison = PriceParser.compare(currentPrice, rules.targetPrice);
+      if (comparison === null || comparison > 0) {
+        return { notify: false, reason: `the price is above the target of ${PriceParser.format(rules.targetPrice)}` };
+      }
+    }
+
+    if (rules.minDropPercent) {
+      const dropPercent = this.getDropPercent(oldPrice, currentPrice);
+      if (dropPercent < rules.minDropPercent) {
+        return { notify: false, reason: `the drop of ${dropPercent.toFixed(1)}% is below the minimum of ${rules.minDropPercent}%` };
+      }
+    }
+
+    if (rules.allTimeLowOnly && !this.isAllTimeLow(currentPrice, history)) {
+      return { notify: false, reason: 'the price is not an all-time low' };
+    }
+
+    return { notify: true, reason: 'the price drop matches the alert rules' };
+  }
+
+  /**
+   * Get the drop from the old to the current price in percent
+   */
+  getDropPercent(oldPrice, currentPrice) {
+    const previous = PriceParser.normalize(oldPrice);
+    const current = PriceParser.normalize(currentPrice);
+
+    if (!PriceParser.isValid(previous) || !PriceParser.isValid(current) || previous.amountMinor <= 0) {
+      return 0;
+    }
+
+    return (previous.amountMinor - current.amountMinor) / previous.amountMinor * 100;
+  }
+
+  /**
+   * Check if a price is lower than every earlier price in the same currency
+   */
+  isAllTimeLow(currentPrice, history) {
+    return history.every(entry => {
+      const comparison = PriceParser.compare(currentPrice, entry.price);
+      return comparison === null || comparison < 0;
+    });
+  }
+
+  /**
+   * Check if a price is lower than every price of the last days
+   * The history has to go back further than the window, otherwise every drop of a new item would qualify
+   */
+  isLowestInDays(currentPrice, history, days) {
+    const windowStart = Date.now() - days * 24 * 60 * 60 * 1000;
+    const entryTime = entry => new Date(entry.timestamp || entry.date).getTime();
+    const olderEntries = history.filter(entry => entryTime(entry) < windowStart && PriceParser.isValid(entry.price));
+
+    if (olderEntries.length === 0) {
+      return false;
+    }
+
+    // The last price before the window was still the price when the window started
+    const priceAtWindowStart = olderEntries.reduce((latest, entry) => entryTime(entry) > entryTime(latest) ? entry : latest);
+    return this.isAllTimeLow(currentPrice, [priceAtWindowStart, ...history.filter(entry => entryTime(entry) >= windowStart)]);
+  }
+}
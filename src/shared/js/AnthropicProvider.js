@@ -0,0 +1,77 @@
+/**
+ * AnthropicProvider - Uses the Anthropic Messages API
+ */
+class AnthropicProvider extends LLMProvider {
+  constructor(settings = {}, logger = null) {
+    super(settings, logger);
+    this.id = 'anthropic';
+    this.label = 'Anthropic';
+    this.defaultModel = 'claude-sonnet-4-5';
+    this.defaultEndpoint = 'https://api.anthropic.com/v1';
+    this.apiKeyPlaceholder = 'sk-ant-...';
+    this.apiVersion = '2023-06-01';
+    this.pricing = {
+      'claude-opus-4': { input: 15, output: 75 },
+      'claude-opus-4-5': { input: 5, output: 25 },
+      'claude-sonnet-4': { input: 3, output: 15 },
+      'claude-haiku-4-5': { input: 1, output: 5 },
+      'claude-3-7-sonnet': { input: 3, output: 15 },
+      'claude-3-5-haiku': { input: 0.8, output: 4 }
+    };
+  }
+
+  /**
+   * Send a request to the Messages API
+   * A schema is enforced by forcing the model to call a tool whose input is the schema
+   */
+  async complete({ instructions, messages, schema }) {
+    const body = {
+      model: this.getModel(),
+      max_tokens: 1024,
+      system: instructions,
+      messages: messages,
+      temperature: 0.3
+    };
+
+    if (schema) {
+      body.tools = [{
+        name: schema.name,
+        description: 'Report the extracted data',
+        input_schema: schema.schema
+      }];
+      body.tool_choice = { type: 'tool', name: schema.name };
+    }
+
+    const data = await this.postJson(`${this.getEndpoint()}/messages`, {
+      'x-api-key': this.getApiKey(),
+      'anthropic-version': this.apiVersion,
+      // Required by the API for requests coming from a browser context
+      'anthropic-dangerous-direct-browser-access': 'true'
+    }, body);
+
+    if (!data.content || !Array.isArray(data.content)) {
+      this.logger?.errorSync('Unexpected API response format:', data);
+      throw new Error('Invalid response format from Anthropic API');
+    }
+
+    const toolUse = data.content.find(block => block.type === 'tool_use');
+    const text = toolUse ? JSON.stringify(toolUse.input) : data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    if (!text) {
+      this.logger?.errorSync('No text content found in response:', data);
+      throw new Error('No text content found in the API response');
+    }
+
+    return {
+      text: text,
+      model: data.model || this.getModel(),
+      usage: {
+        inputTokens: data.usage?.input_tokens || 0,
+        outputTokens: data.usage?.output_tokens || 0
+      }
+    };
+  }
+}
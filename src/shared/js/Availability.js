@@ -0,0 +1,41 @@
+/**
+ * Availability - Shared stock availability values of tracked items
+ * Values are in_stock, out_of_stock, preorder, limited or an empty string when unknown
+ */
+class Availability {
+  /**
+   * Display labels of the availability values
+   */
+  static get LABELS() {
+    return {
+      in_stock: 'In stock',
+      out_of_stock: 'Out of stock',
+      preorder: 'Preorder',
+      limited: 'Limited stock'
+    };
+  }
+
+  /**
+   * Get the display label of an availability value
+   * @returns {string} The label or an empty string when the availability is unknown
+   */
+  static label(availability) {
+    return this.LABELS[availability] || '';
+  }
+
+  /**
+   * Check if the item can be bought right away
+   */
+  static isAvailable(availability) {
+    return availability === 'in_stock' || availability === 'limited';
+  }
+
+  /**
+   * Check if an item went from out of stock to available
+   * @param {string} previous - The last known availability
+   * @param {string} current - The current availability
+   */
+  static isBackInStock(previous, current) {
+    return previous === 'out_of_stock' && this.isAvailable(current);
+  }
+}
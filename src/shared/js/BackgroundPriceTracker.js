@@ -2,17 +2,42 @@
  * BackgroundPriceTracker - Handles price tracking operations for background script
  */
 class BackgroundPriceTracker {
-  constructor(dataManager, logger, notificationManager) {
+  constructor(dataManager, logger, notificationManager, providerFactory) {
     this.dataManager = dataManager;
     this.logger = logger;
     this.notificationManager = notificationManager;
+    this.providerFactory = providerFactory;
+    this.structuredDataExtractor = new StructuredDataExtractor(logger);
+    this.selectorRecipeExtractor = new SelectorRecipeExtractor(logger);
+    this.schemaValidator = new JsonSchemaValidator();
+    this.pageFingerprint = new PageFingerprint();
+    this.usageTracker = new UsageTracker(dataManager, logger);
+    this.alertRuleEvaluator = new AlertRuleEvaluator();
+    this.webhookNotifier = new WebhookNotifier(dataManager, logger);
+    this.checkRunner = new CheckRunner(logger);
+    this.maxExtractionAttempts = 3;
+    // Fires when the quiet hours end to deliver the notifications held back during them
+    this.QUIET_HOURS_ALARM_NAME = 'quietHoursEndAlarm';
   }
 
   /**
-   * Track price using OpenAI API
+   * Fail if the LLM provider has not been configured yet
    */
-  async trackPrice(url, apiKey) {
+  assertProviderConfigured(provider) {
+    if (!provider.isConfigured()) {
+      const error = new Error(`Please configure the ${provider.label} provider in the settings page first.`);
+      error.code = 'LLM_NOT_CONFIGURED';
+      throw error;
+    }
+  }
+
+  /**
+   * Track price using the page's structured data or the configured LLM provider
+   */
+  async trackPrice(url) {
     try {
+      const provider = await this.providerFactory.getActiveProvider();
+
       // Get the page content first
       let pageContent;
       
@@ -45,10 +70,23 @@ class BackgroundPriceTracker {
         };
       }
 
-      // Extract information using OpenAI API
-      return await this.extractDataWithOpenAI(url, apiKey, pageContent);
+      // Extract information from the picked element, structured data or using the LLM provider
+      const productData = await this.extractProductData(url, provider, pageContent, 'manual');
+
+      // A picked price element carries no product name, the page title is the best guess then
+      if (!productData.name) {
+        productData.name = pageContent.title;
+      }
+
+      // Pages of an already tracked product are recorded on that item (see the trackPrice message)
+      productData.productId = ProductIdentity.canonicalize(url, pageContent.canonicalUrl);
+
+      return productData;
     } catch (error) {
       await this.logger.error('Error in trackPrice:', error);
+      if (error.code === 'LLM_NOT_CONFIGURED') {
+        throw error;
+      }
       throw new Error('Failed to track price: ' + error.message);
     }
   }
@@ -75,6 +113,7 @@ class BackgroundPriceTracker {
           ({
             title: document.title,
             bodyContent: halfBodyContent,
+            html: document.documentElement.outerHTML,
             url: "${targetUrl || ''}" || window.location.href
           });
         `
@@ -89,6 +128,12 @@ class BackgroundPriceTracker {
         throw new Error('Page URL mismatch');
       }
 
+      // Read the picked element and structured data here so the full HTML does not travel any further
+      pageContent.pickedPrice = await this.extractPickedPrice(pageContent.url, pageContent.html);
+      pageContent.structuredData = this.structuredDataExtractor.extract(pageContent.html, pageContent.url);
+      pageContent.canonicalUrl = ProductIdentity.extractCanonicalLink(pageContent.html, pageContent.url);
+      delete pageContent.html;
+
       return pageContent;
     } catch (error) {
       await this.logger.error('Error getting page content:', error);
@@ -97,9 +142,114 @@ class BackgroundPriceTracker {
   }
 
   /**
-   * Extract data using OpenAI API
+   * Save the selector recipe of a price element picked on a product page
+   * @param {boolean} forDomain - The user asked to use the recipe for every item of the domain as well
+   */
+  async savePickedElement(url, recipe, forDomain = false) {
+    try {
+      const price = PriceParser.fromText(recipe?.sampleText);
+      if (!price) {
+        await this.notificationManager.sendInfoNotification('Price element not saved',
+          'The selected element does not contain a price. Please pick the element showing the price.');
+        return;
+      }
+
+      // The recipe belongs to the tracked item of the product, which may have been tracked from another URL
+      const trackedItem = await this.dataManager.findTrackedItemByProductId(url);
+      const itemUrl = trackedItem ? trackedItem.url : url;
+      await this.dataManager.saveSelectorRecipe(itemUrl, recipe, forDomain);
+      this.logger.logSync(`Saved selector recipe for ${forDomain ? `${itemUrl} and its domain` : itemUrl}:`, recipe);
+
+      const checkedItems = forDomain ? `every product on ${new URL(url).hostname}` : 'this product';
+      await this.notificationManager.sendInfoNotification('Price element saved',
+        `Future checks of ${checkedItems} will read the price from the selected element (${PriceParser.format(price)}).`);
+    } catch (error) {
+      this.logger.errorSync('Error saving picked price element:', error);
+    }
+  }
+
+  /**
+   * Apply the selector recipe picked for the URL (or its domain) to the page HTML
+   */
+  async extractPickedPrice(url, html) {
+    const recipe = await this.dataManager.getSelectorRecipe(url);
+    if (!recipe) {
+      return null;
+    }
+
+    return this.selectorRecipeExtractor.extract(html, recipe);
+  }
+
+  /**
+   * Extract product data, preferring the price element picked by the user, then the page's
+   * structured data and only calling the LLM when both are missing or ambiguous
+   * @param {string} trigger - What started the check (manual, scheduled or catch_up), recorded with the LLM usage
+   */
+  async extractProductData(url, provider, pageContent, trigger = 'manual') {
+    const pickedPrice = pageContent?.pickedPrice;
+    const structuredData = pageContent?.structuredData;
+
+    if (pickedPrice) {
+      this.logger.logSync(`Using the picked price element (${pickedPrice.selector}) for ${url}`);
+      return {
+        name: structuredData?.name || '',
+        price: pickedPrice.price,
+        availability: structuredData?.availability || '',
+        imageUrl: structuredData?.imageUrl || '',
+        source: 'picked-element'
+      };
+    }
+
+    if (structuredData && !structuredData.ambiguous) {
+      this.logger.logSync(`Using ${structuredData.source} structured data for ${url}`);
+      return {
+        name: structuredData.name,
+        price: PriceParser.fromAmount(structuredData.price, structuredData.currency),
+        availability: structuredData.availability,
+        imageUrl: structuredData.imageUrl,
+        source: structuredData.source
+      };
+    }
+
+    if (structuredData) {
+      this.logger.logSync(`Structured data for ${url} is not usable (${structuredData.reason}), falling back to the LLM`);
+    }
+
+    // Reuse the previous extraction when the page content has not changed since the last check
+    const fingerprint = await this.pageFingerprint.compute(pageContent);
+    if (fingerprint) {
+      const cachedData = await this.dataManager.getCachedExtraction(url, fingerprint);
+      await this.dataManager.recordFingerprintLookup(Boolean(cachedData));
+
+      if (cachedData) {
+        this.logger.logSync(`Page content of ${url} is unchanged, reusing the previous extraction`);
+        return {
+          ...cachedData,
+          imageUrl: structuredData?.imageUrl || '',
+          source: 'cache'
+        };
+      }
+    }
+
+    this.assertProviderConfigured(provider);
+    const extractedData = await this.extractDataWithLLM(url, provider, pageContent, trigger);
+
+    if (fingerprint) {
+      await this.dataManager.saveCachedExtraction(url, fingerprint, extractedData);
+    }
+
+    // The LLM does not return an image, the structured data might still have one
+    if (!extractedData.imageUrl && structuredData?.imageUrl) {
+      extractedData.imageUrl = structuredData.imageUrl;
+    }
+
+    return extractedData;
+  }
+
+  /**
+   * Extract data using the given LLM provider
    */
-  async extractDataWithOpenAI(url, apiKey, pageContent) {
+  async extractDataWithLLM(url, provider, pageContent, trigger = 'manual') {
     try {
       // Validate pageContent and its properties
       if (!pageContent) {
@@ -117,8 +267,13 @@ class BackgroundPriceTracker {
       
       // Determine if we're using fallback content
       const usingFallback = bodyContent === 'Product information not available';
+
+      // Candidate prices from ambiguous structured data help the model pick the right one
+      const structuredPrices = pageContent.structuredData?.prices || [];
+      const structuredDataHint = structuredPrices.length > 0 ?
+        `The page's structured data lists these prices: ${structuredPrices.join(', ')} ${pageContent.structuredData.currency || ''}` : '';
       
-      // Prepare the prompt for OpenAI
+      // Prepare the prompt for the LLM
       const prompt = `
             You are analyzing a product page at this URL: ${pageUrl}
 
@@ -132,111 +287,140 @@ class BackgroundPriceTracker {
                ${bodyContent}`
             }
 
-            Please extract the following information from the ${usingFallback ? 'URL' : 'page content'} above:
-            - The normalized product name
-            - The current price in a consistent format
-
-            IMPORTANT: For the price, please format it as <number>,<decimals> where:
-            - Remove all thousands separators (dots, spaces, apostrophes)
-            - Use only a comma (,) as the decimal separator
-            - Include the currency symbol at the beginning
+            ${structuredDataHint}
 
-            Examples of price formatting:
-            - If you find "$1,234.56" → format as "$1234,56"
-            - If you find "€2.345,99" → format as "€2345,99"
-            - If you find "1 234,50 Lei" → format as "1234,50 Lei"
-            - If you find "£3.456.789,12" → format as "£3456789,12"
-            - If you find "123.222.122" → format as "123222,122" (assuming last part is decimals)
+            Please extract the following information from the ${usingFallback ? 'URL' : 'page content'} above:
+            - name: The normalized product name
+            - price: The current price as a plain number, using a dot as the decimal separator and no
+              thousands separators (e.g. "$1,234.56" → 1234.56, "€2.345,99" → 2345.99), or null if there is no price.
+              Never guess a price: out of stock pages often show no price or an old one, use null if the page does not
+              show a current price for the product
+            - currency: The ISO 4217 code of the price's currency (e.g. "EUR", "USD", "RON"), or null if unknown
+            - availability: in_stock, out_of_stock, preorder, limited or unknown
+            - confidence: How sure you are that the price belongs to this product, from 0 to 1
 
             For example, if a product is called "Amazing Phone, Apple iPhone 13 Pro Max, 256 GB, lastest iOS" and the price is $1,000.00,
             the extracted data should be:
-            { "name": "Apple iPhone 13 Pro Max, 256 GB", "price": "$1000,00" }
+            { "name": "Apple iPhone 13 Pro Max, 256 GB", "price": 1000, "currency": "USD", "availability": "in_stock", "confidence": 0.9 }
 
             Another example, if a product is called "Kärcher 2.863-089.0 Plastic Parking Station" and the price is $1,
             the extracted data should be:
-            { "name": "Kärcher Plastic Parking Station", "price": "$1,00" }
+            { "name": "Kärcher Plastic Parking Station", "price": 1, "currency": "USD", "availability": "unknown", "confidence": 0.8 }
 
             Last example, if a product is called "Insta360 Ace Pro 2 Double Battery Bundle - 8K Waterproof Action Camera Designed with Leica, 1/1.3 Inch Sensor, Dual AI Chip System, Leading Low Light Performance, Best Audio, Flip Screen & AI Editin" and the price is €100.99,
             then the extracted data should be:
-            { "name": "Insta360 Ace Pro 2 Double Battery Bundle", "price": "€100,99" }
-
-            Return ONLY the JSON formatted string with these fields:
-            - name: The product name
-            - price: The product price (formatted as specified above)
+            { "name": "Insta360 Ace Pro 2 Double Battery Bundle", "price": 100.99, "currency": "EUR", "availability": "in_stock", "confidence": 0.95 }
           `;
 
-      // Make request to OpenAI API
-      const response = await fetch('https://api.openai.com/v1/responses', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`,
-        },
-        body: JSON.stringify({
-          model: 'gpt-4.1-2025-04-14',
-          tool_choice: 'required',
-          tools: [
-            { type: 'web_search_preview' },
-          ],
-          instructions: 'You are a helpful assistant that extracts product information from webpages. Do NOT use existing knowledge. Return only a raw JSON string on a single line, with no code block formatting or markdown. Example: {"name": "Product name", "price": "100.00"}',
-          input: prompt,
-          temperature: 0.3,
-        }),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        this.logger.errorSync('OpenAI API error:', errorData);
-        throw new Error(
-          `OpenAI API error: ${errorData.error?.message || 'Unknown error'}`);
+      const extractedData = await this.requestStructuredData(provider, {
+        instructions: 'You are a helpful assistant that extracts product information from webpages. Do NOT use existing knowledge. Respond with a single JSON object that follows the given schema.',
+        messages: [
+          { role: 'user', content: prompt }
+        ],
+        schema: this.getProductSchema()
+      }, { url, trigger });
+
+      // An out of stock page without a price still tells the availability
+      if (!extractedData.name || (extractedData.price === null && extractedData.availability !== 'out_of_stock')) {
+        throw new Error('Could not extract product information from this page');
       }
 
-      const data = await response.json();
+      return {
+        name: extractedData.name,
+        price: PriceParser.fromAmount(extractedData.price, extractedData.currency),
+        availability: extractedData.availability === 'unknown' ? '' : extractedData.availability,
+        confidence: extractedData.confidence,
+        source: 'llm'
+      };
+    } catch (error) {
+      this.logger.errorSync(`Error extracting data with ${provider.label}:`, error);
+      const extractionError = new Error('Failed to extract data: ' + error.message);
+      extractionError.status = error.status;
+      extractionError.retryAfter = CheckRunner.parseRetryAfter(error.retryAfterHeader);
+      throw extractionError;
+    }
+  }
 
-      // Check if the response has the expected structure
-      if (!data.output || !Array.isArray(data.output)) {
-        this.logger.errorSync('Unexpected API response format:', data);
-        throw new Error('Invalid response format from OpenAI API');
+  /**
+   * Get the JSON schema of the product data returned by the LLM
+   * Every property is required and nullable instead of optional, as strict structured output modes demand
+   */
+  getProductSchema() {
+    return {
+      name: 'product_data',
+      schema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          price: { type: ['number', 'null'], minimum: 0 },
+          currency: { type: ['string', 'null'], pattern: '^[A-Z]{3}$' },
+          availability: { type: 'string', enum: ['in_stock', 'out_of_stock', 'preorder', 'limited', 'unknown'] },
+          confidence: { type: 'number', minimum: 0, maximum: 1 }
+        },
+        required: ['name', 'price', 'currency', 'availability', 'confidence'],
+        additionalProperties: false
       }
+    };
+  }
 
-      // Find the message output in the response
-      const messageOutput = data.output.find(item => item.type === 'message');
-      if (!messageOutput || !messageOutput.content ||
-        !messageOutput.content.length) {
-        this.logger.errorSync('No message output found in response:', data);
-        throw new Error('Invalid response format from OpenAI API');
-      }
+  /**
+   * Request JSON data from the provider, retrying with a corrective message when the response
+   * cannot be parsed or does not match the schema
+   * API errors are not retried, only malformed responses are
+   * @param {Object} usageContext - The URL and trigger recorded with the usage of every attempt
+   */
+  async requestStructuredData(provider, { instructions, messages, schema }, usageContext = {}) {
+    const conversation = [...messages];
+    let lastError = null;
 
-      // Get the text content from the message
-      const textContent = messageOutput.content.find(
-        item => item.type === 'output_text');
-      if (!textContent || !textContent.text) {
-        this.logger.errorSync('No text content found in message:', messageOutput);
-        throw new Error('No text content found in the API response');
-      }
+    for (let attempt = 1; attempt <= this.maxExtractionAttempts; attempt++) {
+      const completion = await provider.complete({ instructions, messages: conversation, schema });
+      await this.usageTracker.record(provider, completion, usageContext);
 
       try {
-        const extractedData = JSON.parse(textContent.text);
-
-        // Validate the extracted data
-        if (!extractedData.name || !extractedData.price) {
-          throw new Error('Could not extract product information from this page');
+        const data = this.parseJsonResponse(completion.text);
+        const errors = this.schemaValidator.validate(data, schema.schema);
+        if (errors.length === 0) {
+          return data;
         }
-
-        return extractedData;
-      } catch (jsonError) {
-        this.logger.errorSync('Error parsing JSON:', jsonError);
-        throw new Error(
-          'Failed to parse JSON from the API response: ' + jsonError.message);
+        lastError = new Error(`The response does not match the schema: ${errors.join('; ')}`);
+      } catch (parseError) {
+        lastError = new Error(`The response is not valid JSON: ${parseError.message}`);
       }
+
+      this.logger.warnSync(`Invalid ${provider.label} response (attempt ${attempt} of ${this.maxExtractionAttempts}):`, lastError.message);
+
+      conversation.push(
+        { role: 'assistant', content: completion.text },
+        { role: 'user', content: `${lastError.message}. Respond again with only the corrected JSON object.` }
+      );
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Parse a JSON response, tolerating markdown code fences and text around the object
+   */
+  parseJsonResponse(text) {
+    const trimmed = (text || '').trim();
+
+    try {
+      return JSON.parse(trimmed);
     } catch (error) {
-      this.logger.errorSync('Error extracting data with OpenAI:', error);
-      throw new Error('Failed to extract data: ' + error.message);
+      const objectStart = trimmed.indexOf('{');
+      const objectEnd = trimmed.lastIndexOf('}');
+      if (objectStart === -1 || objectEnd <= objectStart) {
+        throw error;
+      }
+
+      return JSON.parse(trimmed.slice(objectStart, objectEnd + 1));
     }
   }
 
   /**
    * Fetch page content directly for background checks
+   * @throws {CheckError} If the page could not be fetched or is a bot check page
    */
   async fetchPageContentDirectly(url) {
     try {
@@ -262,20 +446,27 @@ class BackgroundPriceTracker {
         referrerPolicy: 'no-referrer-when-downgrade'
       });
       
-      if (!response.ok) {
-        // If response is 503, throw a specific error to skip price tracking
-        if (response.status === 503) {
-          throw new Error(`503_SERVICE_UNAVAILABLE: Failed to fetch page: ${response.status} ${response.statusText}`);
-        }
-        throw new Error(`Failed to fetch page: ${response.status} ${response.statusText}`);
-      }
-      
-      // Get the text content
+      // Error pages are read too, bot protection answers with 403 or 503 pages
       const html = await response.text();
-      
-      // Extract title using regex (simple approach)
       const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
       const title = titleMatch && titleMatch[1] ? titleMatch[1].trim() : 'Product Page';
+
+      if (titleMatch && CheckError.isBlockedPage(title)) {
+        throw new CheckError(CheckError.TYPES.BLOCKED, `The shop showed a bot check page ("${title}")`, { status: response.status });
+      }
+
+      if (!response.ok) {
+        // The check runner holds back the next checks of the shop for as long as it asks
+        throw new CheckError(CheckError.typeOfStatus(response.status), `Failed to fetch page: ${response.status} ${response.statusText}`, {
+          status: response.status,
+          retryAfter: CheckRunner.parseRetryAfter(response.headers.get('Retry-After'))
+        });
+      }
+
+      // Read the picked element and structured data before the head and scripts are stripped below
+      const pickedPrice = await this.extractPickedPrice(url, html);
+      const structuredData = this.structuredDataExtractor.extract(html, response.url || url);
+      const canonicalUrl = ProductIdentity.extractCanonicalLink(html, response.url || url);
       
       // Extract body content by removing HTML tags
       // This is a simple approach that works for most cases
@@ -294,20 +485,15 @@ class BackgroundPriceTracker {
       return {
         title: title,
         bodyContent: halfBodyContent,
+        pickedPrice: pickedPrice,
+        structuredData: structuredData,
+        canonicalUrl: canonicalUrl,
         url: url
       };
     } catch (error) {
       this.logger.errorSync(`Error fetching page content for ${url}:`, error);
-      // If it's a 503 error, re-throw it so calling functions can handle it
-      if (error.message && error.message.includes('503_SERVICE_UNAVAILABLE')) {
-        throw error;
-      }
-      // Return a minimal pageContent object if fetching fails for other errors
-      return {
-        title: 'Product Page',
-        bodyContent: 'Product information not available',
-        url: url
-      };
+      // Asking the LLM without the page would waste a request, the caller decides what to do instead
+      throw error instanceof CheckError ? error : new CheckError(CheckError.TYPES.NETWORK, `Could not fetch the page: ${error.message}`);
     }
   }
 
@@ -320,34 +506,29 @@ class BackgroundPriceTracker {
       // via dataManager.addPriceToHistory(), so we don't need to save it again here
       // to avoid race conditions and duplicate storage operations
       
-      this.logger.logSync(`Price tracking set up for ${url} with initial price ${initialPrice} (data already saved by frontend)`);
-      
-      // Make sure the alarm is set up
-      const alarms = await browser.alarms.getAll();
-      if (!alarms.some(a => a.name === 'priceCheckAlarm')) {
-        browser.alarms.create('priceCheckAlarm', {
-          periodInMinutes: 60 // Check once per hour
-        }).catch(error => this.logger.errorSync('Error creating price check alarm:', error));
-        this.logger.logSync('Price check alarm created');
-      }
+      // The scheduler picks up the new item from the storage change and schedules its checks
+      this.logger.logSync(`Price tracking set up for ${url} with initial price ${PriceParser.format(initialPrice)} (data already saved by frontend)`);
     } catch (error) {
       this.logger.errorSync('Error setting up price tracking:', error);
     }
   }
 
   /**
-   * Check prices for all tracked URLs
+   * Check prices for the tracked URLs that are due (see PriceCheckScheduler)
+   * @param {Array<string>|null} urls - The URLs to check, all tracked items when not given
+   * @param {string} trigger - What started the run (scheduled or catch_up, the catch-up after a browser start)
    */
-  async checkAllPrices() {
+  async checkAllPrices(urls = null, trigger = 'scheduled') {
     try {
-      this.logger.logSync('Checking prices for all tracked items...');
+      this.logger.logSync(`Checking prices for ${urls ? urls.length : 'all'} tracked items...`);
       
-      // Get tracked prices from data manager and settings from local storage
-      const trackedPrices = await this.dataManager.getTrackedPrices();
-      const result = await browser.storage.local.get(['priceAlarmEnabled', 'apiKey']);
+      // Get the due items from data manager (their price history is loaded per item when it is checked)
+      // and settings from local storage
+      const trackedItems = (await this.dataManager.getTrackedPricesWithoutHistory())
+        .filter(item => !urls || urls.includes(item.url));
+      const result = await browser.storage.local.get(['priceAlarmEnabled']);
       this.logger.logSync('Successfully retrieved price tracking data from data manager and settings from local storage');
       
-      const apiKey = result.apiKey;
       const priceAlarmEnabled = result.priceAlarmEnabled === true;
       
       // Check if price alarm is enabled
@@ -356,58 +537,16 @@ class BackgroundPriceTracker {
         return;
       }
       
-      if (!apiKey) {
-        this.logger.warnSync('No API key found, cannot check prices');
-        return;
+      // Pages with usable structured data can still be checked without an LLM provider
+      const provider = await this.providerFactory.getActiveProvider();
+      if (!provider.isConfigured()) {
+        this.logger.warnSync(`${provider.label} provider is not configured, only pages with structured data can be checked`);
       }
       
-      // Get the latest prices per URL for checking
-      const latestPrices = this.getLatestPricePerUrl(trackedPrices);
+      const run = await this.startCheckRun(trigger);
       
-      // Check each URL
-      for (const [url, latestEntry] of Object.entries(latestPrices)) {
-        try {
-          this.logger.logSync(`Checking price for ${url}`);
-          
-          // Fetch page content directly for background checks
-          let pageContent = await this.fetchPageContentDirectly(url);
-          
-          // Get the current price using the fetched content
-          const currentData = await this.extractDataWithOpenAI(url, apiKey, pageContent);
-          
-          // Validate the returned data
-          if (!currentData || !currentData.price) {
-            this.logger.errorSync(`Invalid data returned for ${url}:`, currentData);
-            continue; // Skip to the next URL
-          }
-          
-          const currentPrice = currentData.price;
-          const oldPrice = latestEntry.price;
-          
-          // Store price in tracked history (only if different from last price)
-          await this.storePriceInTrackedHistory(trackedPrices, url, currentData.name || 'Unknown Product', currentPrice, latestEntry.imageUrl || '');
-          
-          // Compare prices
-          if (this.isPriceLower(currentPrice, oldPrice)) {
-            this.logger.logSync(`Price dropped for ${url} from ${oldPrice} to ${currentPrice}`);
-            
-            // Send notification
-            await this.notificationManager.sendPriceDropNotification(url, currentData.name || latestEntry.name, oldPrice, currentPrice);
-            
-            // Store notification in history
-            await this.notificationManager.storePriceDropNotification(url, currentData.name || latestEntry.name, oldPrice, currentPrice);
-          } else {
-            this.logger.logSync(`No price drop for ${url}, old: ${oldPrice}, current: ${currentPrice}`);
-          }
-        } catch (error) {
-          this.logger.errorSync(`Error checking price for ${url}:`, error);
-          // If it's a 503 error, skip price tracking for this item
-          if (error.message && error.message.includes('503_SERVICE_UNAVAILABLE')) {
-            this.logger.logSync(`Skipping price tracking for ${url} due to 503 Service Unavailable error`);
-            continue; // Skip to the next URL without updating lastChecked
-          }
-        }
-      }
+      await this.runChecks(trackedItems, provider, run);
+      await this.finishCheckRun(run);
       
       // Note: No need to save trackedPrices here as addPriceToHistory already saves updated data
       
@@ -417,43 +556,278 @@ class BackgroundPriceTracker {
   }
 
   /**
-   * Compare prices to determine if there's a drop
+   * Check the items of a run through the check runner, a few at a time and spaced per shop
+   * @param {Array} trackedItems - The tracked items to check, without their price history
+   * @param {LLMProvider} provider - The LLM provider used when a page has no usable structured data
+   * @param {Object} run - The check run collecting the changes (see startCheckRun)
    */
-  isPriceLower(currentPrice, oldPrice) {
-    // Extract numeric values from price strings in the consistent format <number>,<decimals>
-    const extractNumeric = (priceStr) => {
-      if (!priceStr) return 0;
-      // Remove currency symbols and extract the numeric part
-      // Expected format: "€1234,56" or "$1000,00" etc.
-      const numericPart = priceStr.replace(/[^\d,]/g, '');
-      if (numericPart) {
-        // Replace comma with dot for parseFloat (since LLM uses comma as decimal separator)
-        return parseFloat(numericPart.replace(',', '.'));
+  async runChecks(trackedItems, provider, run) {
+    this.checkRunner.configure(await this.dataManager.getCheckRunnerSettings());
+    const itemsByUrl = Object.fromEntries(trackedItems.map(item => [item.url, item]));
+    const latestPrices = {};
+
+    // Transient failures (network, server errors, rate limiting) are retried with backoff within the run
+    const results = await this.checkRunner.run(Object.keys(itemsByUrl), async url => {
+      this.logger.logSync(`Checking price for ${url} (${run.trigger})`);
+      latestPrices[url] = await this.getLatestEntry(itemsByUrl[url]);
+      return this.checkItem(url, latestPrices[url], provider, run);
+    }, error => CheckError.classify(error).isTransient);
+
+    for (const result of results) {
+      if (result.status === 'done') {
+        await this.dataManager.recordCheckResult(result.url);
+        continue;
       }
-      return 0;
+
+      const error = CheckError.classify(result.error);
+      this.logger.errorSync(`Error checking price for ${result.url} (${run.trigger}, ${error.type}, ${result.attempts} attempts):`, error);
+      await this.dataManager.recordCheckResult(result.url, { type: error.type, message: error.message });
+      await this.reportFailure(run, result.url, latestPrices[result.url] || itemsByUrl[result.url], `${CheckError.label(error.type)}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Start collecting the changes found by a check run
+   * @param {string} trigger - What started the run (scheduled or catch_up)
+   * @returns {Promise<Object>} The run ({trigger, mode, alertSettings, changes})
+   */
+  async startCheckRun(trigger) {
+    return {
+      trigger: trigger,
+      mode: await this.dataManager.getNotificationMode(),
+      alertSettings: await this.dataManager.getAlertTypeSettings(),
+      changes: []
     };
-    
-    const currentNumeric = extractNumeric(currentPrice);
-    const oldNumeric = extractNumeric(oldPrice);
-    
-    this.logger.logSync(`Comparing prices: ${oldNumeric} (old) vs ${currentNumeric} (current)`);
-    
-    // Return true if current price is lower
-    return currentNumeric < oldNumeric;
   }
 
   /**
-   * Store price check in trackedPrices history (only if price is different)
+   * Record a change found by a check run and notify it right away unless the run is summarized in a digest
+   * Failed checks and price changes whose alert type is turned off only show up in digests
+   * @param {Object} run - The check run (see startCheckRun)
+   * @param {Object} change - The change (see CheckDigest)
+   * @param {boolean} notify - Whether the change is an alert
+   */
+  async reportChange(run, change, notify = true) {
+    run.changes.push({ ...change, timestamp: new Date().toISOString() });
+
+    if (!notify || change.type === 'failure') {
+      return;
+    }
+
+    // Every alert is kept in the alert store, unread until it is viewed in the popup or the options page
+    await this.dataManager.addAlert(change);
+
+    const isPriceAlert = change.type !== 'back_in_stock';
+
+    // Webhooks get every price alert as it happens (or when the quiet hours end), whatever the delivery mode
+    // of the browser notifications. They are posted in the background, a slow webhook does not hold up the checks
+    if (isPriceAlert && !await this.holdDuringQuietHours({ type: 'webhook', change: change })) {
+      this.webhookNotifier.notifyPriceAlert(change)
+        .catch(error => this.logger.errorSync(`Error posting the price alert for ${change.url} to webhooks:`, error));
+    }
+
+    if (run.mode === 'digest') {
+      return;
+    }
+
+    if (await this.holdDuringQuietHours({ type: 'alert', change: change })) {
+      return;
+    }
+
+    await this.sendAlertNotification(change);
+  }
+
+  /**
+   * Send the browser notification of an alert
+   */
+  async sendAlertNotification(change) {
+    if (change.type === 'back_in_stock') {
+      await this.notificationManager.sendBackInStockNotification(change.url, change.productName, change.newPrice);
+    } else {
+      await this.notificationManager.sendPriceAlertNotification(change);
+    }
+  }
+
+  /**
+   * Hold back a notification if it is quiet time, it is sent when the quiet hours end
+   * @param {Object} notification - {type: 'alert', change}, {type: 'webhook', change} or {type: 'digest', digestId}
+   * @returns {Promise<boolean>} Whether the notification was held
+   */
+  async holdDuringQuietHours(notification) {
+    const windows = await this.dataManager.getSchedulingWindows();
+    if (!CheckWindow.isQuietTime(windows)) {
+      return false;
+    }
+
+    await this.dataManager.addHeldNotification(notification);
+    const quietHoursEnd = CheckWindow.getQuietHoursEnd(windows);
+    await browser.alarms.create(this.QUIET_HOURS_ALARM_NAME, { when: quietHoursEnd.getTime() });
+    this.logger.logSync(`Quiet hours, holding the ${notification.type} notification until ${quietHoursEnd.toLocaleString()}`);
+    return true;
+  }
+
+  /**
+   * Send the notifications held back during the quiet hours (called by alarm and when the quiet hours change)
+   * Quiet hours that were extended in the meantime hold them until their new end
+   */
+  async releaseHeldNotifications() {
+    const windows = await this.dataManager.getSchedulingWindows();
+    if (CheckWindow.isQuietTime(windows)) {
+      if ((await this.dataManager.getHeldNotifications()).length > 0) {
+        await browser.alarms.create(this.QUIET_HOURS_ALARM_NAME, { when: CheckWindow.getQuietHoursEnd(windows).getTime() });
+      }
+      return;
+    }
+
+    const held = await this.dataManager.takeHeldNotifications();
+    if (held.length === 0) {
+      return;
+    }
+
+    this.logger.logSync(`Quiet hours ended, sending ${held.length} held notifications`);
+
+    for (const notification of held) {
+      if (notification.type === 'digest') {
+        const digest = await this.dataManager.getCheckDigest(notification.digestId);
+        if (digest) {
+          await this.notificationManager.sendDigestNotification(digest);
+        }
+      } else if (notification.type === 'webhook') {
+        await this.webhookNotifier.notifyPriceAlert(notification.change);
+      } else {
+        await this.sendAlertNotification(notification.change);
+      }
+    }
+  }
+
+  /**
+   * Record an item that could not be checked
+   */
+  async reportFailure(run, url, latestEntry, message) {
+    await this.reportChange(run, {
+      type: 'failure',
+      url: url,
+      productName: latestEntry.name || 'Unknown Product',
+      oldPrice: latestEntry.price,
+      newPrice: null,
+      message: message || 'Unknown error'
+    });
+  }
+
+  /**
+   * Store the digest of a run and send its summary notification (digest mode only)
+   */
+  async finishCheckRun(run) {
+    if (run.mode !== 'digest' || run.changes.length === 0) {
+      return;
+    }
+
+    const digest = CheckDigest.create(run.trigger, run.changes);
+    await this.dataManager.saveCheckDigest(digest);
+    if (await this.holdDuringQuietHours({ type: 'digest', digestId: digest.id })) {
+      return;
+    }
+
+    await this.notificationManager.sendDigestNotification(digest);
+    this.logger.logSync(`Sent the ${run.trigger} check digest: ${CheckDigest.summarize(run.changes)}`);
+  }
+
+  /**
+   * Check the current price and availability of a tracked item, store them and report the changes they call for
+   * @param {string} url - The product URL
+   * @param {Object} latestEntry - The latest known state of the item (see getLatestPricePerUrl)
+   * @param {LLMProvider} provider - The LLM provider used when the page has no usable structured data
+   * @param {Object} run - The check run collecting the changes (see startCheckRun)
+   * @throws {Error} If the item could not be checked, classified by CheckError
+   */
+  async checkItem(url, latestEntry, provider, run) {
+    // Fetch page content directly for background checks
+    const pageContent = await this.fetchPageContentDirectly(url);
+
+    // Get the current price and availability using the fetched content
+    const currentData = await this.extractProductData(url, provider, pageContent, run.trigger);
+
+    // Out of stock pages may have no price, the availability is still worth recording then
+    if (!currentData || (!PriceParser.isValid(currentData.price) && !currentData.availability)) {
+      this.logger.errorSync(`Invalid data returned for ${url}:`, currentData);
+      throw new CheckError(CheckError.TYPES.PARSE, 'No price or availability found on the page');
+    }
+
+    const productName = currentData.name || latestEntry.name || 'Unknown Product';
+    const imageUrl = currentData.imageUrl || latestEntry.imageUrl || '';
+    const currentPrice = currentData.price;
+    const oldPrice = latestEntry.price;
+
+    // Store price in tracked history (only if the price or availability changed)
+    if (!await this.storePriceInTrackedHistory(url, productName, currentPrice, imageUrl, currentData.availability)) {
+      this.logger.logSync(`${url} was deleted during its check, not reporting its changes`);
+      return;
+    }
+
+    // Snoozed items are still recorded, only their notifications are held back
+    if (this.dataManager.isItemSnoozed(latestEntry)) {
+      this.logger.logSync(`Notifications for ${url} are snoozed until ${latestEntry.snoozedUntil}`);
+      return;
+    }
+
+    if (Availability.isBackInStock(latestEntry.availability, currentData.availability)) {
+      this.logger.logSync(`${url} is back in stock (${Availability.label(currentData.availability)})`);
+      await this.reportChange(run, { type: 'back_in_stock', url: url, productName: productName, imageUrl: imageUrl, oldPrice: oldPrice, newPrice: currentPrice });
+    }
+
+    // Items without price history only get their first price recorded
+    if (latestEntry.isFirstTime) {
+      this.logger.logSync(`First price recorded for ${url}: ${PriceParser.format(currentPrice)}`);
+      return;
+    }
+
+    // Compare prices, prices in different currencies or that could not be parsed are never compared
+    this.logger.logSync(`Comparing prices: ${PriceParser.format(oldPrice)} (old) vs ${PriceParser.format(currentPrice)} (current)`);
+    const alert = this.alertRuleEvaluator.evaluate(latestEntry.alertRules, run.alertSettings, oldPrice, currentPrice, latestEntry.history);
+    if (!alert) {
+      this.logger.logSync(`No comparable price change for ${url}, old: ${PriceParser.format(oldPrice)}, current: ${PriceParser.format(currentPrice)}`);
+      return;
+    }
+
+    this.logger.logSync(`Price ${alert.type === 'increase' ? 'increased' : 'dropped'} for ${url} from ${PriceParser.format(oldPrice)} to ${PriceParser.format(currentPrice)}`);
+    const change = { type: alert.type, url: url, productName: productName, imageUrl: imageUrl, oldPrice: oldPrice, newPrice: currentPrice, days: alert.days };
+
+    // Drops that do not match the item's alert rules are left out, other changes are listed in digests anyway
+    if (!alert.notify) {
+      this.logger.logSync(`Not notifying the price change for ${url}: ${alert.reason}`);
+      if (alert.type === 'increase') {
+        await this.reportChange(run, change, false);
+      }
+      return;
+    }
+
+    await this.reportChange(run, change);
+  }
+
+  /**
+   * Store price check in trackedPrices history (only if the price or availability is different)
+   * @returns {Promise<boolean>} False if the item is no longer tracked
+   * @throws {CheckError} If the price could not be stored
    */
-  async storePriceInTrackedHistory(trackedPrices, url, productName, price, imageUrl = '') {
+  async storePriceInTrackedHistory(url, productName, price, imageUrl = '', availability = '') {
     try {
       // Use data manager to add price to history
-      await this.dataManager.addPriceToHistory(url, productName, price, imageUrl);
+      return await this.dataManager.addPriceToHistory(url, productName, price, imageUrl, availability);
     } catch (error) {
-      this.logger.errorSync('Error storing price in tracked history:', error);
+      throw new CheckError(CheckError.TYPES.STORAGE, `Could not store the price: ${error.message}`);
     }
   }
 
+  /**
+   * Get the latest known state of a tracked item, only its own price history is loaded for it
+   * @param {Object} item - The tracked item without its price history
+   * @returns {Promise<Object>} The latest state (see getLatestPricePerUrl)
+   */
+  async getLatestEntry(item) {
+    const history = await this.dataManager.getPriceHistory(item.url);
+    return this.getLatestPricePerUrl([{ ...item, history: history }])[item.url];
+  }
+
   /**
    * Get the latest price entry per URL
    */
@@ -486,6 +860,7 @@ class BackgroundPriceTracker {
               imageUrl: item.imageUrl,
               lastChecked: item.lastChecked,
               price: null, // No previous price to compare against
+              availability: '',
               date: null,
               timestamp: null,
               isFirstTime: true // Flag to indicate this needs initial price fetch
@@ -501,12 +876,16 @@ class BackgroundPriceTracker {
         }
       }
       
-      // Find the most recent price entry in the history
-      const latestHistoryEntry = item.history.reduce((latest, current) => {
+      // Find the most recent price entry in the history, entries recorded without a price
+      // (out of stock pages) only count for the availability
+      const findLatest = entries => entries.reduce((latest, current) => {
         const latestDate = new Date(latest.timestamp || latest.date);
         const currentDate = new Date(current.timestamp || current.date);
         return currentDate > latestDate ? current : latest;
-      });
+      }, entries[0]);
+      const latestHistoryEntry = findLatest(item.history.filter(entry => PriceParser.isValid(entry.price))) ||
+        findLatest(item.history);
+      const latestAvailabilityEntry = findLatest(item.history.filter(entry => entry.availability));
       
       // Create a combined entry with item info and latest price
       const combinedEntry = {
@@ -515,96 +894,19 @@ class BackgroundPriceTracker {
         imageUrl: item.imageUrl,
         lastChecked: item.lastChecked,
         price: latestHistoryEntry.price,
+        availability: latestAvailabilityEntry?.availability || '',
+        alertRules: item.alertRules,
+        snoozedUntil: item.snoozedUntil || null,
+        history: item.history,
         date: latestHistoryEntry.date,
         timestamp: latestHistoryEntry.timestamp
       };
       
-      this.logger.logSync(`Added latest price for ${item.url}: ${latestHistoryEntry.price}`);
+      this.logger.logSync(`Added latest price for ${item.url}: ${PriceParser.format(latestHistoryEntry.price)}`);
       latestPrices[item.url] = combinedEntry;
     }
     
     this.logger.logSync(`Found ${Object.keys(latestPrices).length} items with valid price data`);
     return latestPrices;
   }
-
-  /**
-   * Check items on startup with provided tracked prices
-   */
-  async checkItemsOnStartup(trackedPrices) {
-    try {
-      this.logger.logSync('Checking items on startup, regardless of price tracking status...');
-      
-      // Get API key from local storage
-      const result = await browser.storage.local.get(['apiKey']);
-      this.logger.logSync('Successfully retrieved API key from local storage for startup check');
-
-      const apiKey = result.apiKey;
-      
-      if (!apiKey) {
-        this.logger.warnSync('No API key found, cannot check prices on startup');
-        return;
-      }
-      
-      // Get latest prices per URL for checking
-      const latestPrices = this.getLatestPricePerUrl(trackedPrices);
-      
-      // Check each URL
-      for (const [url, latestEntry] of Object.entries(latestPrices)) {
-        try {
-          this.logger.logSync(`Checking price for ${url} on startup`);
-          
-          // Fetch page content directly for background checks
-          let pageContent = await this.fetchPageContentDirectly(url);
-          
-          // Get current price using the fetched content
-          const currentData = await this.extractDataWithOpenAI(url, apiKey, pageContent);
-          
-          // Validate the returned data
-          if (!currentData || !currentData.price) {
-            this.logger.errorSync(`Invalid data returned for ${url}:`, currentData);
-            continue; // Skip to the next URL
-          }
-          
-          const currentPrice = currentData.price;
-          const oldPrice = latestEntry.price;
-          
-          // Store price in tracked history (only if different from last price)
-          await this.storePriceInTrackedHistory(trackedPrices, url, currentData.name || 'Unknown Product', currentPrice, latestEntry.imageUrl || '');
-          
-          // Handle first-time items vs items with existing price history
-          if (latestEntry.isFirstTime) {
-            this.logger.logSync(`First price recorded for ${url}: ${currentPrice}`);
-          } else {
-            // Compare prices only for items with existing price history
-            if (this.isPriceLower(currentPrice, oldPrice)) {
-              this.logger.logSync(`Price dropped for ${url} from ${oldPrice} to ${currentPrice}`);
-              
-              // Send notification
-              await this.notificationManager.sendPriceDropNotification(url, currentData.name || latestEntry.name, oldPrice, currentPrice);
-              
-              // Store notification in history
-              await this.notificationManager.storePriceDropNotification(url, currentData.name || latestEntry.name, oldPrice, currentPrice);
-            } else {
-              this.logger.logSync(`No price drop for ${url}, old: ${oldPrice}, current: ${currentPrice}`);
-            }
-          }
-        } catch (error) {
-          this.logger.errorSync(`Error checking price for ${url} on startup:`, error);
-          // If it's a 503 error, skip price tracking for this item
-          if (error.message && error.message.includes('503_SERVICE_UNAVAILABLE')) {
-            this.logger.logSync(`Skipping price tracking for ${url} due to 503 Service Unavailable error`);
-            continue; // Skip to the next URL without updating lastChecked
-          }
-        }
-      }
-      
-      // Note: No need to save trackedPrices here as storePriceInTrackedHistory() 
-      // already saves updated data via dataManager.addPriceToHistory()
-      // Saving the stale trackedPrices parameter would overwrite fresh data
-      this.logger.logSync('Startup check completed - data already saved by individual price updates');
-      
-    } catch (error) {
-      this.logger.errorSync('Error checking prices on startup:', error);
-    }
-  }
 }
\ No newline at end of file
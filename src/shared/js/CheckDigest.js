@@ -0,0 +1,87 @@
+/**
+ * CheckDigest - Summary of the changes found by one automatic check run
+ * A digest is stored as {id, trigger, createdAt, changes}, every change as
+ * {type, url, productName, oldPrice, newPrice, message, timestamp}; the types are the price alert types
+ * (drop, increase, all_time_low, lowest_in_days), back_in_stock and failure
+ */
+class CheckDigest {
+  /**
+   * Display labels of the change types
+   */
+  static get LABELS() {
+    return {
+      drop: 'Price drop',
+      increase: 'Price increase',
+      all_time_low: 'All-time low',
+      lowest_in_days: 'Lowest recent price',
+      back_in_stock: 'Back in stock',
+      failure: 'Check failed'
+    };
+  }
+
+  /**
+   * Singular and plural wording of the change types in a summary
+   */
+  static get COUNT_LABELS() {
+    return {
+      drop: ['price drop', 'price drops'],
+      increase: ['price increase', 'price increases'],
+      all_time_low: ['all-time low', 'all-time lows'],
+      lowest_in_days: ['lowest recent price', 'lowest recent prices'],
+      back_in_stock: ['item back in stock', 'items back in stock'],
+      failure: ['failed check', 'failed checks']
+    };
+  }
+
+  /**
+   * Create the digest of a check run
+   * @param {string} trigger - What started the run (scheduled or catch_up)
+   * @param {Array} changes - The changes found by the run
+   */
+  static create(trigger, changes) {
+    return {
+      id: `digest-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+      trigger: trigger,
+      createdAt: new Date().toISOString(),
+      changes: changes
+    };
+  }
+
+  /**
+   * Get the display label of a change type
+   */
+  static label(type) {
+    return this.LABELS[type] || type;
+  }
+
+  /**
+   * Describe the details of a change, e.g. "€10.00 → €8.00"
+   */
+  static describe(change) {
+    switch (change.type) {
+      case 'drop':
+      case 'increase':
+      case 'all_time_low':
+        return `${PriceParser.format(change.oldPrice)} → ${PriceParser.format(change.newPrice)}`;
+      case 'lowest_in_days':
+        return `${PriceParser.format(change.oldPrice)} → ${PriceParser.format(change.newPrice)}, lowest in ${change.days} days`;
+      case 'back_in_stock':
+        return PriceParser.isValid(change.newPrice) ? `Available for ${PriceParser.format(change.newPrice)}` : 'Available again';
+      default:
+        return change.message || '';
+    }
+  }
+
+  /**
+   * Summarize changes as counts per type, e.g. "3 price drops, 1 failed check"
+   */
+  static summarize(changes) {
+    return Object.entries(this.COUNT_LABELS)
+      .map(([type, [singular, plural]]) => {
+        const count = changes.filter(change => change.type === type).length;
+        return count > 0 ? `${count} ${count === 1 ? singular : plural}` : '';
+      })
+      .filter(part => part !== '')
+      .join(', ');
+  }
+}
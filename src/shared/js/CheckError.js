@@ -0,0 +1,112 @@
+/**
+ * CheckError - An error of a price check with the kind of failure it is
+ * Transient failures (network, server errors, rate limiting) are retried with backoff, the others need
+ * a change on the page, in the settings or of the browser storage and count towards an item being broken right away
+ */
+class CheckError extends Error {
+  /**
+   * @param {string} type - One of CheckError.TYPES
+   * @param {string} message - The error message
+   * @param {Object} details - {status, retryAfter} (optional), retryAfter in milliseconds
+   */
+  constructor(type, message, details = {}) {
+    super(message);
+    this.name = 'CheckError';
+    this.type = type;
+    this.status = details.status ?? null;
+    this.retryAfter = details.retryAfter ?? null;
+  }
+
+  static get TYPES() {
+    return {
+      NETWORK: 'network',
+      HTTP_CLIENT: 'http_4xx',
+      HTTP_SERVER: 'http_5xx',
+      RATE_LIMITED: 'rate_limited',
+      BLOCKED: 'blocked',
+      PARSE: 'parse',
+      AUTH: 'auth',
+      STORAGE: 'storage'
+    };
+  }
+
+  /**
+   * Display labels of the error types
+   */
+  static get LABELS() {
+    return {
+      network: 'Network error',
+      http_4xx: 'Page not available',
+      http_5xx: 'Shop server error',
+      rate_limited: 'Rate limited',
+      blocked: 'Blocked by the shop',
+      parse: 'No price found',
+      auth: 'LLM provider not authorized',
+      storage: 'Could not save the price'
+    };
+  }
+
+  /**
+   * Page titles of captcha and bot protection pages
+   */
+  static get BLOCKED_TITLE_PATTERN() {
+    return /captcha|robot check|are you a (human|robot)|access denied|attention required|just a moment|verify you are human|bot detection/i;
+  }
+
+  /**
+   * Check if the error is worth retrying soon
+   */
+  get isTransient() {
+    return [CheckError.TYPES.NETWORK, CheckError.TYPES.HTTP_SERVER, CheckError.TYPES.RATE_LIMITED].includes(this.type);
+  }
+
+  /**
+   * Get the display label of an error type
+   */
+  static label(type) {
+    return this.LABELS[type] || type;
+  }
+
+  /**
+   * Check if a page title belongs to a captcha or bot protection page
+   */
+  static isBlockedPage(title) {
+    return this.BLOCKED_TITLE_PATTERN.test(title || '');
+  }
+
+  /**
+   * Get the error type of an HTTP status
+   */
+  static typeOfStatus(status) {
+    if (status === 429) {
+      return this.TYPES.RATE_LIMITED;
+    }
+    return status >= 500 ? this.TYPES.HTTP_SERVER : this.TYPES.HTTP_CLIENT;
+  }
+
+  /**
+   * Classify an error thrown while checking an item
+   * Errors that are not CheckErrors come from the extraction (LLM requests and their answers)
+   * @param {Error} error - The error
+   * @returns {CheckError} The error itself if it is classified already, else a classified copy
+   */
+  static classify(error) {
+    if (error instanceof CheckError) {
+      return error;
+    }
+
+    const message = error?.message || 'Unknown error';
+    const details = { status: error?.status, retryAfter: error?.retryAfter };
+    let type = this.TYPES.PARSE;
+
+    if (error?.code === 'LLM_NOT_CONFIGURED' || error?.status === 401 || error?.status === 403) {
+      type = this.TYPES.AUTH;
+    } else if (error?.status === 429 || error?.status >= 500) {
+      type = this.typeOfStatus(error.status);
+    } else if (/NetworkError|Failed to fetch/i.test(message)) {
+      type = this.TYPES.NETWORK;
+    }
+
+    return new CheckError(type, message, details);
+  }
+}
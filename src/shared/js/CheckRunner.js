@@ -0,0 +1,182 @@
+/**
+ * CheckRunner - Runs price checks a few at a time without hammering a shop
+ * At most `concurrency` checks run at once and never two of the same domain. Checks of a domain are spaced
+ * by a minimum delay with random jitter, and a Retry-After sent by the shop holds back its next checks.
+ * Failed checks the caller deems worth it are retried with exponential backoff.
+ * The runner lives as long as the background script, so the spacing also holds between runs
+ */
+class CheckRunner {
+  constructor(logger) {
+    this.logger = logger;
+    this.concurrency = 2;
+    this.domainDelay = 10000;
+    // Delays vary by up to this fraction either way, so checks do not arrive at a regular beat
+    this.jitter = 0.5;
+    // Checks of a domain that asks to wait longer than this are left for the next run
+    this.maxWait = 5 * 60 * 1000;
+    // Retries wait retryDelay, then twice as long for every further retry
+    this.maxRetries = 2;
+    this.retryDelay = 5000;
+    this.domainAvailableAt = new Map();
+  }
+
+  /**
+   * Change the limits of the next runs
+   * @param {Object} settings - {concurrency, domainDelay} with the delay in milliseconds
+   */
+  configure(settings) {
+    this.concurrency = Math.max(1, settings.concurrency || this.concurrency);
+    this.domainDelay = Math.max(0, settings.domainDelay ?? this.domainDelay);
+  }
+
+  /**
+   * Read a Retry-After header value
+   * @param {string} value - Delay in seconds or an HTTP date
+   * @param {number} now - The current time in milliseconds (optional)
+   * @returns {number|null} The delay in milliseconds or null if the value is missing or invalid
+   */
+  static parseRetryAfter(value, now = Date.now()) {
+    if (!value) {
+      return null;
+    }
+
+    if (/^\s*\d+\s*$/.test(value)) {
+      return parseInt(value, 10) * 1000;
+    }
+
+    const date = new Date(value).getTime();
+    return isNaN(date) ? null : Math.max(0, date - now);
+  }
+
+  /**
+   * Get the domain a URL is rate limited under, a www. prefix is ignored
+   */
+  getDomain(url) {
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * Get the delay before the next check of a domain, with jitter
+   */
+  getDomainDelay() {
+    const jitter = this.domainDelay * this.jitter;
+    return Math.round(this.domainDelay - jitter + Math.random() * jitter * 2);
+  }
+
+  /**
+   * Get the backoff before a retry, with jitter
+   * @param {number} attempt - The number of the failed attempt, from 0
+   */
+  getRetryDelay(attempt) {
+    const delay = this.retryDelay * Math.pow(2, attempt);
+    return Math.round(delay * (1 - this.jitter / 2 + Math.random() * this.jitter));
+  }
+
+  /**
+   * Hold back the checks of a domain for at least the given time
+   */
+  holdDomain(domain, milliseconds) {
+    const availableAt = Date.now() + milliseconds;
+    this.domainAvailableAt.set(domain, Math.max(this.domainAvailableAt.get(domain) || 0, availableAt));
+  }
+
+  /**
+   * Wait for the given time
+   */
+  sleep(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+  }
+
+  /**
+   * Run a check for every URL
+   * @param {Array<string>} urls - The URLs to check
+   * @param {Function} check - Checks a URL, may throw errors with a retryAfter in milliseconds
+   * @param {Function} shouldRetry - Tells if a failed check is worth retrying from its error (optional, no retries)
+   * @returns {Promise<Array<{url: string, status: string, error: Error|null, attempts: number}>>} The result of every
+   *   URL in order: status is 'done', 'failed' or 'skipped' (the shop asked to wait longer than the runner waits),
+   *   error is the error of the last attempt
+   */
+  async run(urls, check, shouldRetry = () => false) {
+    const pending = urls.map(url => ({ url: url, domain: this.getDomain(url), attempt: 0, lastError: null }));
+    const busyDomains = new Set();
+    const running = new Set();
+    const results = new Map();
+
+    while (pending.length > 0 || running.size > 0) {
+      const index = running.size < this.concurrency ? this.pickNext(pending, busyDomains) : -1;
+      if (index === -1) {
+        await Promise.race(running);
+        continue;
+      }
+
+      const [entry] = pending.splice(index, 1);
+      busyDomains.add(entry.domain);
+      const task = this.runCheck(entry, check)
+        .then(result => {
+          if (result.status === 'failed' && entry.attempt < this.maxRetries && shouldRetry(result.error)) {
+            this.logger.logSync(`Retrying ${entry.url} after: ${result.error.message}`);
+            this.holdDomain(entry.domain, this.getRetryDelay(entry.attempt));
+            pending.push({ ...entry, attempt: entry.attempt + 1, lastError: result.error });
+          } else {
+            results.set(entry.url, { ...result, attempts: entry.attempt + 1 });
+          }
+        })
+        .finally(() => {
+          busyDomains.delete(entry.domain);
+          running.delete(task);
+        });
+      running.add(task);
+    }
+
+    return urls.map(url => results.get(url));
+  }
+
+  /**
+   * Pick the pending check whose domain can be checked soonest, skipping domains with a running check
+   * @returns {number} The index of the check or -1 if every pending domain is busy
+   */
+  pickNext(pending, busyDomains) {
+    let nextIndex = -1;
+    let nextAvailableAt = Infinity;
+
+    pending.forEach((entry, index) => {
+      const availableAt = this.domainAvailableAt.get(entry.domain) || 0;
+      if (!busyDomains.has(entry.domain) && availableAt < nextAvailableAt) {
+        nextIndex = index;
+        nextAvailableAt = availableAt;
+      }
+    });
+
+    return nextIndex;
+  }
+
+  /**
+   * Wait until the domain of a check may be checked again, then run the check
+   */
+  async runCheck(entry, check) {
+    const wait = (this.domainAvailableAt.get(entry.domain) || 0) - Date.now();
+    if (wait > this.maxWait) {
+      this.logger.warnSync(`Skipping ${entry.url}, ${entry.domain} asked to wait ${Math.ceil(wait / 1000)} seconds`);
+      return { url: entry.url, status: 'skipped', error: entry.lastError || new Error(`${entry.domain} asked to wait before the next check`) };
+    }
+
+    if (wait > 0) {
+      await this.sleep(wait);
+    }
+
+    let retryAfter = null;
+    try {
+      await check(entry.url);
+      return { url: entry.url, status: 'done', error: null };
+    } catch (error) {
+      retryAfter = error.retryAfter ?? null;
+      return { url: entry.url, status: 'failed', error: error };
+    } finally {
+      this.holdDomain(entry.domain, retryAfter !== null ? Math.max(retryAfter, this.domainDelay) : this.getDomainDelay());
+    }
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * CheckWindow - Times of day and weekdays automatic checks may run, and the quiet hours notifications wait out
+ * Settings are {checkWindow: {enabled, startHour, endHour, days}, quietHours: {enabled, startHour, endHour}};
+ * hours are whole hours of local time, a range whose end is before its start runs past midnight
+ * (22 to 7 is 22:00 - 07:00) and equal hours cover the whole day. Days are 0 (Sunday) to 6
+ */
+class CheckWindow {
+  /**
+   * The settings used until the user changes them: checks at any time, no quiet hours
+   */
+  static get DEFAULTS() {
+    return {
+      checkWindow: { enabled: false, startHour: 8, endHour: 22, days: [0, 1, 2, 3, 4, 5, 6] },
+      quietHours: { enabled: false, startHour: 22, endHour: 7 }
+    };
+  }
+
+  static get DAY_LABELS() {
+    return ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  }
+
+  /**
+   * Check if the hour of a date is within an hour range
+   */
+  static isWithinHours(date, startHour, endHour) {
+    const hour = date.getHours();
+    if (startHour === endHour) {
+      return true;
+    }
+    return startHour < endHour ? hour >= startHour && hour < endHour : hour >= startHour || hour < endHour;
+  }
+
+  /**
+   * Check if automatic checks may run at a time
+   * @param {Object} settings - The window settings
+   * @param {Date} date - The time (optional, defaults to now)
+   */
+  static isCheckAllowed(settings, date = new Date()) {
+    const checkWindow = settings.checkWindow;
+    if (!checkWindow.enabled) {
+      return true;
+    }
+
+    // A window past midnight belongs to the day it started on
+    const startDate = new Date(date);
+    if (checkWindow.startHour > checkWindow.endHour && date.getHours() < checkWindow.endHour) {
+      startDate.setDate(startDate.getDate() - 1);
+    }
+
+    return checkWindow.days.includes(startDate.getDay()) &&
+      this.isWithinHours(date, checkWindow.startHour, checkWindow.endHour);
+  }
+
+  /**
+   * Check if notifications are held at a time
+   * @param {Object} settings - The window settings
+   * @param {Date} date - The time (optional, defaults to now)
+   */
+  static isQuietTime(settings, date = new Date()) {
+    const quietHours = settings.quietHours;
+    return quietHours.enabled && this.isWithinHours(date, quietHours.startHour, quietHours.endHour);
+  }
+
+  /**
+   * Find the first time from a date on that matches a condition, windows open on whole hours
+   * @returns {Date|null} The time or null if none within the next 8 days
+   */
+  static findNextTime(date, matches) {
+    if (matches(date)) {
+      return date;
+    }
+
+    const candidate = new Date(date);
+    candidate.setMinutes(0, 0, 0);
+    for (let hours = 0; hours < 8 * 24; hours++) {
+      candidate.setHours(candidate.getHours() + 1);
+      if (matches(candidate)) {
+        return new Date(candidate);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the first time from a date on that automatic checks may run
+   * @returns {Date|null} The date itself if checks may run then, null if the window allows no time at all (no days)
+   */
+  static getNextAllowedTime(settings, date = new Date()) {
+    return this.findNextTime(date, candidate => this.isCheckAllowed(settings, candidate));
+  }
+
+  /**
+   * Get the end of the quiet hours a date is in
+   * @returns {Date} The date itself if it is not in quiet hours
+   */
+  static getQuietHoursEnd(settings, date = new Date()) {
+    return this.findNextTime(date, candidate => !this.isQuietTime(settings, candidate)) || date;
+  }
+
+  /**
+   * Describe the check window, e.g. "08:00 - 22:00 on Mon, Tue, Wed"
+   */
+  static describe(settings) {
+    const checkWindow = settings.checkWindow;
+    if (!checkWindow.enabled) {
+      return 'Any time';
+    }
+
+    const formatHour = hour => `${String(hour % 24).padStart(2, '0')}:00`;
+    const days = checkWindow.days.length === 7 ? 'every day' : `on ${checkWindow.days.map(day => this.DAY_LABELS[day]).join(', ')}`;
+    return `${formatHour(checkWindow.startHour)} - ${formatHour(checkWindow.endHour)} ${days}`;
+  }
+}
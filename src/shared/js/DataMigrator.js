@@ -0,0 +1,440 @@
+/**
+ * DataMigrator - Brings stored data up to the current schema version
+ * Every migration step turns a snapshot of the stored data into the next version of it without touching
+ * storage itself; steps must be idempotent, so running one twice (e.g. after a failed write) changes nothing.
+ * A step does its whole transformation itself rather than calling the model of PriceDataManager, so its output
+ * stays the same when the model changes later (tests/fixtures/migrations pins the output of every step).
+ * The snapshot is the local storage with the tracked items and alerts of the storage backend in use under their
+ * local storage keys, so steps see them wherever they are stored. A backup of the snapshot, without API keys and
+ * webhook URLs, is taken before the first step runs and removed once all steps succeeded. Once the steps are
+ * done, the tracked items and alerts are moved from the local storage to IndexedDB (see moveToIndexedDB)
+ */
+class DataMigrator {
+  constructor(dataManager, logger) {
+    this.dataManager = dataManager;
+    this.logger = logger;
+  }
+
+  /**
+   * The migration steps in the order they run, the last version is the current schema version
+   * A step gets the snapshot and the time of the migration run as an ISO timestamp
+   */
+  getMigrations() {
+    return [
+      {
+        version: 1,
+        description: 'Move items tracked by old versions without price data into trackedPrices',
+        migrate: (data, now) => this.migrateTrackedItems(data, now)
+      },
+      {
+        version: 2,
+        description: 'Backfill the last check time of tracked items',
+        migrate: (data, now) => this.backfillLastChecked(data, now)
+      },
+      {
+        version: 3,
+        description: 'Convert stored prices to the money model',
+        migrate: (data, now) => this.migratePricesToMoneyModel(data, now)
+      },
+      {
+        version: 4,
+        description: 'Move the price drop history into the alert store',
+        migrate: (data, now) => this.migrateDropHistoryToAlerts(data, now)
+      }
+    ];
+  }
+
+  /**
+   * Get the schema version the migration steps lead to
+   */
+  getLatestVersion() {
+    const migrations = this.getMigrations();
+    return migrations[migrations.length - 1].version;
+  }
+
+  /**
+   * Run the migration steps the stored data has not been through yet
+   * The version is saved after every step, a failing step stops the run and is retried on the next update.
+   * The backup of a failed run is kept, so it still holds the data from before the first step
+   * @returns {Promise<number>} The schema version of the stored data after the run
+   */
+  async migrate() {
+    const { SCHEMA_VERSION, SCHEMA_BACKUP } = this.dataManager.storageKeys;
+    const storage = await this.dataManager.getStorageAdapter();
+    let data = await this.readData(storage);
+    let version = Number(data[SCHEMA_VERSION]) || 0;
+    const pendingMigrations = this.getMigrations().filter(migration => migration.version > version);
+
+    if (pendingMigrations.length === 0) {
+      this.logger.logSync(`Stored data is at schema version ${version}, no migration needed`);
+      return version;
+    }
+
+    const now = new Date().toISOString();
+    const previousBackup = data[SCHEMA_BACKUP];
+    delete data[SCHEMA_BACKUP];
+    if (!previousBackup) {
+      await browser.storage.local.set({
+        [SCHEMA_BACKUP]: { version: version, createdAt: now, data: this.withoutSecrets(data) }
+      });
+      this.logger.logSync(`Backed up the stored data before migrating from schema version ${version}`);
+    }
+
+    for (const migration of pendingMigrations) {
+      try {
+        const migratedData = migration.migrate(JSON.parse(JSON.stringify(data)), now);
+        await this.saveChanges(storage, data, migratedData, migration.version);
+        data = migratedData;
+        version = migration.version;
+        this.logger.logSync(`Migrated stored data to schema version ${version}: ${migration.description}`);
+      } catch (error) {
+        this.logger.errorSync(`Error migrating stored data to schema version ${migration.version} (${migration.description}):`, error);
+        break;
+      }
+    }
+
+    if (version === this.getLatestVersion()) {
+      await browser.storage.local.remove(SCHEMA_BACKUP);
+      this.logger.logSync(`Removed the backup taken before the migration to schema version ${version}`);
+    }
+
+    return version;
+  }
+
+  /**
+   * Leave the API keys and webhook URLs out of a snapshot, the migration steps never change them
+   * @param {Object} data - The snapshot
+   * @returns {Object} A copy of the snapshot without secrets
+   */
+  withoutSecrets(data) {
+    const { API_KEY, WEBHOOKS, LLM_PROVIDER_SETTINGS } = this.dataManager.storageKeys;
+    const backupData = { ...data };
+    delete backupData[API_KEY];
+    delete backupData[WEBHOOKS];
+
+    const providerSettings = backupData[LLM_PROVIDER_SETTINGS];
+    if (providerSettings && typeof providerSettings === 'object') {
+      backupData[LLM_PROVIDER_SETTINGS] = Object.fromEntries(Object.entries(providerSettings).map(([providerId, settings]) => {
+        const { apiKey, ...otherSettings } = settings || {};
+        return [providerId, otherSettings];
+      }));
+    }
+
+    return backupData;
+  }
+
+  /**
+   * Move the tracked items and alerts from the local storage to the IndexedDB backend
+   * The local copy is only removed after the moved data has been read back, a failed move leaves the
+   * local storage backend in use and is retried on the next update
+   * @returns {Promise<boolean>} True if the IndexedDB backend is in use
+   */
+  async moveToIndexedDB() {
+    const { STORAGE_BACKEND } = this.dataManager.storageKeys;
+    const result = await browser.storage.local.get([STORAGE_BACKEND]);
+
+    if (result[STORAGE_BACKEND] === 'indexeddb') {
+      return true;
+    }
+
+    const source = this.dataManager.localStorageAdapter;
+    const target = this.dataManager.indexedDBStorageAdapter;
+
+    try {
+      const items = this.dataManager._validateTrackedPricesArray(await source.getItemsWithHistory());
+      const alerts = (await source.getAlerts()).map(alert => this.dataManager.createAlert(alert));
+
+      await target.saveItems(items);
+      await target.saveAlerts(alerts);
+
+      const movedItems = await target.getItemsWithHistory();
+      const movedAlerts = await target.getAlerts();
+      const observationCount = list => list.reduce((count, item) => count + item.history.length, 0);
+      if (movedItems.length !== items.length || observationCount(movedItems) !== observationCount(items)
+          || movedAlerts.length !== alerts.length) {
+        throw new Error('The data read back from IndexedDB does not match the local storage');
+      }
+
+      await browser.storage.local.set({ [STORAGE_BACKEND]: 'indexeddb' });
+      await source.remove();
+      this.logger.logSync(`Moved ${items.length} tracked items and ${alerts.length} alerts to IndexedDB`);
+      return true;
+    } catch (error) {
+      this.logger.errorSync('Error moving the stored data to IndexedDB, keeping the local storage:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Read the snapshot the migration steps work on
+   * @param {StorageAdapter} storage - The backend of the tracked items and alerts
+   * @returns {Promise<Object>} The local storage with the tracked items (with their price history) and alerts
+   */
+  async readData(storage) {
+    const { TRACKED_PRICES, ALERTS } = this.dataManager.storageKeys;
+    const data = await browser.storage.local.get(null);
+    data[TRACKED_PRICES] = await storage.getItemsWithHistory();
+    data[ALERTS] = await storage.getAlerts();
+    return data;
+  }
+
+  /**
+   * Write the keys a migration step changed or removed together with the new schema version
+   * The tracked items and alerts are written through the storage backend, the other keys to the local storage
+   * @param {StorageAdapter} storage - The backend of the tracked items and alerts
+   */
+  async saveChanges(storage, before, after, version) {
+    const { TRACKED_PRICES, ALERTS } = this.dataManager.storageKeys;
+    const isChanged = key => JSON.stringify(after[key] ?? null) !== JSON.stringify(before[key] ?? null);
+
+    if (isChanged(TRACKED_PRICES)) {
+      await storage.saveItems(after[TRACKED_PRICES] || []);
+    }
+    if (isChanged(ALERTS)) {
+      await storage.saveAlerts(after[ALERTS] || []);
+    }
+
+    const localKeys = key => key !== TRACKED_PRICES && key !== ALERTS;
+    const changedKeys = Object.keys(after).filter(localKeys).filter(isChanged);
+    const removedKeys = Object.keys(before).filter(localKeys).filter(key => !(key in after));
+
+    await browser.storage.local.set({
+      ...Object.fromEntries(changedKeys.map(key => [key, after[key]])),
+      [this.dataManager.storageKeys.SCHEMA_VERSION]: version
+    });
+
+    if (removedKeys.length > 0) {
+      await browser.storage.local.remove(removedKeys);
+    }
+  }
+
+  /**
+   * Version 1: items tracked by old versions only have an entry in trackedItems, they get an item
+   * without price history so their first check records a price
+   */
+  migrateTrackedItems(data, now) {
+    const trackedPrices = Array.isArray(data.trackedPrices) ? data.trackedPrices : [];
+    const trackedItems = data.trackedItems && typeof data.trackedItems === 'object' ? data.trackedItems : {};
+    const trackedUrls = new Set(trackedPrices.map(item => item?.url));
+
+    Object.entries(trackedItems)
+      .filter(([url]) => url && !trackedUrls.has(url))
+      .forEach(([url, item]) => {
+        trackedPrices.push({
+          url: url,
+          name: item?.name || 'Unknown Product',
+          imageUrl: item?.imageUrl || '',
+          lastChecked: now,
+          history: []
+        });
+      });
+
+    return { ...data, trackedPrices: trackedPrices };
+  }
+
+  /**
+   * Version 2: items stored without a last check time count as checked at migration time
+   */
+  backfillLastChecked(data, now) {
+    if (!Array.isArray(data.trackedPrices)) {
+      return data;
+    }
+
+    return {
+      ...data,
+      trackedPrices: data.trackedPrices.map(item => item && !item.lastChecked ? { ...item, lastChecked: now } : item)
+    };
+  }
+
+  /**
+   * Version 3: price strings ("€2345,99") in the price history and the cached extraction become money objects,
+   * prices that cannot be parsed keep their raw text and their history entries are flagged with unparseable: true
+   */
+  migratePricesToMoneyModel(data) {
+    if (!Array.isArray(data.trackedPrices)) {
+      return data;
+    }
+
+    const trackedPrices = data.trackedPrices.map(item => {
+      if (!item || typeof item !== 'object') {
+        return item;
+      }
+
+      const migratedItem = { ...item };
+      if (Array.isArray(item.history)) {
+        migratedItem.history = item.history.map(entry => {
+          if (!entry || typeof entry !== 'object') {
+            return entry;
+          }
+
+          const migratedEntry = { ...entry, price: this.toMoney(entry.price) };
+          if (!Number.isInteger(migratedEntry.price.amountMinor) && migratedEntry.price.raw) {
+            migratedEntry.unparseable = true;
+          }
+          return migratedEntry;
+        });
+      }
+      if (item.cachedExtraction && typeof item.cachedExtraction === 'object') {
+        migratedItem.cachedExtraction = { ...item.cachedExtraction, price: this.toMoney(item.cachedExtraction.price) };
+      }
+      return migratedItem;
+    });
+
+    return { ...data, trackedPrices: trackedPrices };
+  }
+
+  /**
+   * Version 4: the price drop history becomes alert events, the moved events count as read
+   * Older versions wrote every drop twice, once with its type and once with its image, so entries of the same
+   * URL and new price stored within a minute of each other are merged into one event.
+   * The alert store keeps the 200 most recent events
+   */
+  migrateDropHistoryToAlerts(data, now) {
+    if (!Array.isArray(data.priceDropHistory)) {
+      return data;
+    }
+
+    const entries = [];
+    data.priceDropHistory
+      .filter(entry => entry && entry.url)
+      .forEach(entry => {
+        const duplicateIndex = entries.findIndex(existing => this.isDuplicateDrop(existing, entry));
+        if (duplicateIndex === -1) {
+          entries.push(entry);
+          return;
+        }
+
+        // Keep the values only one of the two writes stored
+        const duplicate = entries[duplicateIndex];
+        entries[duplicateIndex] = Object.fromEntries(
+          [...new Set([...Object.keys(duplicate), ...Object.keys(entry)])]
+            .map(key => [key, duplicate[key] || entry[key]])
+        );
+      });
+
+    const movedAlerts = entries
+      .map((entry, index) => {
+        const timestamp = entry.timestamp || now;
+        return {
+          id: entry.id || `alert-${new Date(timestamp).getTime()}-migrated-${index}`,
+          type: entry.type || 'drop',
+          url: entry.url,
+          productName: entry.productName || 'Unknown Product',
+          imageUrl: entry.imageUrl || '',
+          oldPrice: entry.oldPrice ? this.toMoney(entry.oldPrice) : null,
+          newPrice: entry.newPrice ? this.toMoney(entry.newPrice) : null,
+          days: entry.days || null,
+          timestamp: timestamp,
+          read: true
+        };
+      });
+    const alerts = [...(Array.isArray(data.alerts) ? data.alerts : []), ...movedAlerts]
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, 200);
+
+    const migratedData = { ...data, alerts: alerts };
+    delete migratedData.priceDropHistory;
+    return migratedData;
+  }
+
+  /**
+   * Check if two entries of the price drop history record the same drop
+   */
+  isDuplicateDrop(first, second) {
+    const priceKey = entry => {
+      const price = this.toMoney(entry.newPrice);
+      return Number.isInteger(price.amountMinor) ? price.amountMinor : price.raw;
+    };
+    const timeDifference = Math.abs(new Date(first.timestamp).getTime() - new Date(second.timestamp).getTime());
+
+    return first.url === second.url && priceKey(first) === priceKey(second) && timeDifference <= 60 * 1000;
+  }
+
+  /**
+   * Bring a price stored by an older version into the money model, prices already in it are kept as they are
+   * Price strings are in the "<number>,<decimals>" format older versions asked the LLM for. This is
+   * PriceParser.parse(value, { decimalComma: true }) as it was when version 3 was added, so later changes of the
+   * parser do not change what the steps produce
+   * @returns {{amountMinor: number|null, currency: string|null, raw: string}} The price
+   */
+  toMoney(value) {
+    if (value && typeof value === 'object' && 'amountMinor' in value) {
+      return value;
+    }
+
+    if (typeof value === 'number') {
+      return {
+        amountMinor: Number.isFinite(value) ? Math.round(value * 100) : null,
+        currency: null,
+        raw: String(value)
+      };
+    }
+
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    const currency = this.detectLegacyCurrency(text);
+    const numberMatch = text.match(/\d(?:[\d.,'\s]*\d)?/);
+    const amount = numberMatch ? this.parseLegacyAmount(numberMatch[0].replace(/['\s]/g, '')) : null;
+    const exponent = ['JPY', 'KRW'].includes(currency) ? 0 : 2;
+
+    return {
+      amountMinor: amount === null ? null : Math.round(amount * Math.pow(10, exponent)),
+      currency: currency || null,
+      raw: text
+    };
+  }
+
+  /**
+   * Parse the amount of a price string stored by an older version ("2345,99", "1.234,56", "1,234")
+   * A single comma is the decimal separator, otherwise the last separator followed by one or two digits is
+   * @returns {number|null} The amount or null if it is not a number
+   */
+  parseLegacyAmount(value) {
+    let numeric = value.replace(/[^\d.,]/g, '');
+    if (!/\d/.test(numeric)) {
+      return null;
+    }
+
+    if ((numeric.match(/,/g) || []).length === 1 && !numeric.includes('.')) {
+      numeric = numeric.replace(',', '.');
+    } else {
+      const decimalMatch = numeric.match(/[.,](\d{1,2})$/);
+      if (decimalMatch) {
+        const integerPart = numeric.slice(0, -decimalMatch[0].length).replace(/[.,]/g, '');
+        numeric = `${integerPart}.${decimalMatch[1]}`;
+      } else {
+        numeric = numeric.replace(/[.,]/g, '');
+      }
+    }
+
+    const amount = parseFloat(numeric);
+    return Number.isFinite(amount) ? amount : null;
+  }
+
+  /**
+   * Detect the currency of a price string stored by an older version ("€2345,99", "1999,00 Lei")
+   * @returns {string} ISO 4217 currency code or an empty string
+   */
+  detectLegacyCurrency(text) {
+    const markers = {
+      'lei': 'RON', 'zł': 'PLN', 'kč': 'CZK', 'ft': 'HUF', 'fr': 'CHF', 'r$': 'BRL', 'a$': 'AUD', 'c$': 'CAD', 'us$': 'USD'
+    };
+    const isoCodes = [
+      'EUR', 'USD', 'GBP', 'JPY', 'CHF', 'RON', 'PLN', 'CZK', 'HUF', 'BGN', 'SEK', 'NOK', 'DKK',
+      'CAD', 'AUD', 'NZD', 'BRL', 'MXN', 'CNY', 'HKD', 'SGD', 'INR', 'KRW', 'TRY', 'UAH', 'ILS', 'ZAR'
+    ];
+    const symbols = { EUR: '€', USD: '$', GBP: '£', JPY: '¥', INR: '₹', KRW: '₩', TRY: '₺', UAH: '₴', ILS: '₪' };
+
+    const marker = text.toLowerCase().split(/[\s\d.,:()]+/).find(word => markers[word]);
+    if (marker) {
+      return markers[marker];
+    }
+
+    const isoCode = (text.match(/\b[A-Z]{3}\b/g) || []).find(code => isoCodes.includes(code));
+    if (isoCode) {
+      return isoCode;
+    }
+
+    const symbol = Object.entries(symbols).find(([currency, currencySymbol]) => text.includes(currencySymbol));
+    return symbol ? symbol[0] : '';
+  }
+}
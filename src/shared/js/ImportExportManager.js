@@ -0,0 +1,203 @@
+/**
+ * ImportExportManager - Moves tracked items and their price history in and out of the extension
+ * Exports are versioned JSON files (the format imports read) or CSV files with one row per price entry.
+ * Imports are merged into the tracked items (items matched by URL, price histories combined) or replace them
+ */
+class ImportExportManager {
+  constructor(dataManager, logger) {
+    this.dataManager = dataManager;
+    this.logger = logger;
+  }
+
+  static get FORMAT() {
+    return 'ai-price-tracker-export';
+  }
+
+  static get VERSION() {
+    return 1;
+  }
+
+  static get CSV_COLUMNS() {
+    return ['url', 'product', 'date', 'timestamp', 'price', 'currency', 'raw_price', 'availability'];
+  }
+
+  /**
+   * Export the tracked items with their full price history as JSON
+   * @returns {Promise<string>} The JSON document
+   */
+  async exportJson() {
+    const items = await this.dataManager.getTrackedPrices();
+    return JSON.stringify({
+      format: ImportExportManager.FORMAT,
+      version: ImportExportManager.VERSION,
+      exportedAt: new Date().toISOString(),
+      items: items
+    }, null, 2);
+  }
+
+  /**
+   * Export the price history of the tracked items as CSV, one row per price entry
+   * @returns {Promise<string>} The CSV document
+   */
+  async exportCsv() {
+    const items = await this.dataManager.getTrackedPrices();
+    const rows = [ImportExportManager.CSV_COLUMNS];
+
+    items.forEach(item => {
+      item.history.forEach(entry => {
+        const price = entry.price;
+        const exponent = PriceParser.getExponent(price.currency);
+        rows.push([
+          item.url,
+          item.name,
+          entry.date,
+          entry.timestamp,
+          PriceParser.isValid(price) ? (price.amountMinor / Math.pow(10, exponent)).toFixed(exponent) : '',
+          price.currency || '',
+          price.raw || '',
+          entry.availability || ''
+        ]);
+      });
+    });
+
+    return rows.map(row => row.map(value => this.escapeCsvValue(value)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Quote a CSV value if it contains a separator, quote or line break
+   * Names and raw prices come from scraped pages, text a spreadsheet would run as a formula ("=HYPERLINK(...)")
+   * gets a leading apostrophe; plain numbers such as "-5.00" are kept
+   */
+  escapeCsvValue(value) {
+    let text = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Read the tracked items of a JSON export, invalid items are skipped
+   * @param {string} text - The content of the export file
+   * @returns {{items: Array, skipped: number}} The validated items and the number of skipped ones
+   * @throws {Error} If the file is not an export of a supported version
+   */
+  parseImport(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not valid JSON');
+    }
+
+    if (data?.format !== ImportExportManager.FORMAT || !Array.isArray(data.items)) {
+      throw new Error('The file is not an AI Price Tracker export');
+    }
+
+    if (data.version > ImportExportManager.VERSION) {
+      throw new Error(`The export was made by a newer version (format version ${data.version}), please update the extension`);
+    }
+
+    const items = [];
+    let skipped = 0;
+    const seenUrls = new Set();
+
+    data.items.forEach(item => {
+      try {
+        const validatedItem = this.dataManager._validateTrackedPriceItem(item);
+        if (seenUrls.has(validatedItem.url)) {
+          throw new Error(`Duplicate item ${validatedItem.url}`);
+        }
+        seenUrls.add(validatedItem.url);
+        items.push(validatedItem);
+      } catch (error) {
+        this.logger.warnSync('Skipping invalid item in import:', error.message);
+        skipped++;
+      }
+    });
+
+    return { items: items, skipped: skipped };
+  }
+
+  /**
+   * Merge imported items into the tracked items: new URLs are added, the histories of known URLs are combined.
+   * The settings of items that are already tracked (name, alert rules, snooze) are kept
+   * @param {Array} currentItems - The tracked items
+   * @param {Array} importedItems - The imported items
+   * @returns {{items: Array, added: number, updated: number, unchanged: number, addedEntries: number}} The merged items and counts
+   */
+  mergeItems(currentItems, importedItems) {
+    const itemsByUrl = new Map(currentItems.map(item => [item.url, item]));
+    const summary = { added: 0, updated: 0, unchanged: 0, addedEntries: 0 };
+
+    importedItems.forEach(importedItem => {
+      const currentItem = itemsByUrl.get(importedItem.url);
+
+      if (!currentItem) {
+        itemsByUrl.set(importedItem.url, importedItem);
+        summary.added++;
+        summary.addedEntries += importedItem.history.length;
+        return;
+      }
+
+      const { history, added } = this.dataManager.mergePriceHistories(currentItem.history, importedItem.history);
+
+      if (added === 0) {
+        summary.unchanged++;
+        return;
+      }
+
+      itemsByUrl.set(importedItem.url, { ...currentItem, history: history });
+      summary.updated++;
+      summary.addedEntries += added;
+    });
+
+    return { items: Array.from(itemsByUrl.values()), ...summary };
+  }
+
+  /**
+   * Describe what an import would change without changing anything
+   * @param {Array} importedItems - The imported items
+   * @param {string} mode - 'merge' or 'replace'
+   * @returns {Promise<Object>} For merge the counts of mergeItems, for replace the number of items
+   *   and price entries imported and of the tracked items that are removed
+   */
+  async previewImport(importedItems, mode) {
+    const currentItems = await this.dataManager.getTrackedPrices();
+
+    if (mode === 'replace') {
+      const importedUrls = new Set(importedItems.map(item => item.url));
+      return {
+        items: importedItems.length,
+        entries: importedItems.reduce((count, item) => count + item.history.length, 0),
+        removed: currentItems.filter(item => !importedUrls.has(item.url)).length
+      };
+    }
+
+    const { items, ...summary } = this.mergeItems(currentItems, importedItems);
+    return summary;
+  }
+
+  /**
+   * Merge imported items into the tracked items or replace them, runs in the background (see requestImport)
+   * @param {Array} importedItems - The imported items
+   * @param {string} mode - 'merge' or 'replace'
+   * @returns {Promise<boolean>} Success status
+   */
+  async applyImport(importedItems, mode) {
+    this.logger.logSync(`Importing ${importedItems.length} items (${mode})`);
+    return await this.dataManager.updateTrackedPrices(trackedPrices => mode === 'replace'
+      ? importedItems
+      : this.mergeItems(trackedPrices, importedItems).items);
+  }
+
+  /**
+   * Ask the background to apply an import
+   * @param {Array} importedItems - The imported items
+   * @param {string} mode - 'merge' or 'replace'
+   * @returns {Promise<boolean>} Success status
+   */
+  async requestImport(importedItems, mode) {
+    return await this.dataManager.requestTrackedDataUpdate('importItems', { items: importedItems, mode: mode });
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * IndexedDBStorageAdapter - Stores tracked items, price observations and alerts in separate IndexedDB
+ * object stores, so a price check only writes the records it changes and the history is not capped.
+ * Observations and alerts are indexed by URL and timestamp for queries over long periods
+ */
+class IndexedDBStorageAdapter extends StorageAdapter {
+  constructor() {
+    super();
+    this.label = 'IndexedDB';
+    this.databaseName = 'aiPriceTracker';
+    this.databaseVersion = 2;
+    this.database = null;
+  }
+
+  /**
+   * Open the database once, creating the object stores on first use
+   * @returns {Promise<IDBDatabase>} The database
+   */
+  open() {
+    if (!this.database) {
+      this.database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.databaseName, this.databaseVersion);
+        request.onupgradeneeded = event => this.upgrade(request.result, event.oldVersion, request.transaction);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        // Try again on the next call instead of caching the failure
+        this.database = null;
+        throw error;
+      });
+    }
+
+    return this.database;
+  }
+
+  /**
+   * Create the object stores and indexes of the database versions newer than the stored one
+   */
+  upgrade(database, oldVersion, transaction) {
+    if (oldVersion < 1) {
+      database.createObjectStore('items', { keyPath: 'url' });
+
+      const observations = database.createObjectStore('observations', { keyPath: 'id', autoIncrement: true });
+      observations.createIndex('url', 'url');
+      observations.createIndex('timestamp', 'timestamp');
+
+      const alerts = database.createObjectStore('alerts', { keyPath: 'id' });
+      alerts.createIndex('url', 'url');
+      alerts.createIndex('timestamp', 'timestamp');
+    }
+
+    if (oldVersion < 2) {
+      // The price history of an item over a period, in time order
+      transaction.objectStore('observations').createIndex('url_timestamp', ['url', 'timestamp']);
+    }
+  }
+
+  /**
+   * Run work in a transaction, resolving with its result once the transaction has completed
+   * @param {Array<string>} storeNames - The object stores the work uses
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - Receives the transaction, may return a promise
+   */
+  async transaction(storeNames, mode, work) {
+    const database = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(storeNames, mode);
+      let result;
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+
+      new Promise(resolveWork => resolveWork(work(transaction)))
+        .then(value => { result = value; })
+        .catch(error => {
+          reject(error);
+          try {
+            transaction.abort();
+          } catch (abortError) {
+            // The transaction has already finished
+          }
+        });
+    });
+  }
+
+  /**
+   * Wrap an IndexedDB request in a promise
+   */
+  request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Turn an observation record back into a price history entry
+   */
+  toHistoryEntry(observation) {
+    const { id, url, ...entry } = observation;
+    return entry;
+  }
+
+  async getItems() {
+    return this.transaction(['items'], 'readonly', transaction =>
+      this.request(transaction.objectStore('items').getAll())
+    );
+  }
+
+  async getItemsWithHistory() {
+    const [items, observations] = await this.transaction(['items', 'observations'], 'readonly', transaction => Promise.all([
+      this.request(transaction.objectStore('items').getAll()),
+      this.request(transaction.objectStore('observations').getAll())
+    ]));
+
+    // Observations are read in the order they were added, which is the order of the price history
+    const historyByUrl = new Map();
+    observations.forEach(observation => {
+      if (!historyByUrl.has(observation.url)) {
+        historyByUrl.set(observation.url, []);
+      }
+      historyByUrl.get(observation.url).push(this.toHistoryEntry(observation));
+    });
+
+    return items.map(item => ({ ...item, history: historyByUrl.get(item.url) || [] }));
+  }
+
+  async getItem(url) {
+    const [item, observations] = await this.transaction(['items', 'observations'], 'readonly', transaction => Promise.all([
+      this.request(transaction.objectStore('items').get(url)),
+      this.request(transaction.objectStore('observations').index('url').getAll(url))
+    ]));
+
+    return item ? { ...item, history: observations.map(observation => this.toHistoryEntry(observation)) } : null;
+  }
+
+  async getHistory(url, from = null, to = null) {
+    // Timestamps are ISO strings, which sort before any array key
+    const range = IDBKeyRange.bound([url, from || ''], [url, to || []]);
+    const observations = await this.transaction(['observations'], 'readonly', transaction =>
+      this.request(transaction.objectStore('observations').index('url_timestamp').getAll(range))
+    );
+    return observations.map(observation => this.toHistoryEntry(observation));
+  }
+
+  async saveItems(items) {
+    await this.transaction(['items', 'observations'], 'readwrite', transaction => {
+      const itemStore = transaction.objectStore('items');
+      const observationStore = transaction.objectStore('observations');
+
+      itemStore.clear();
+      observationStore.clear();
+      items.forEach(({ history, ...item }) => {
+        itemStore.put(item);
+        (history || []).forEach(entry => observationStore.add({ ...entry, url: item.url }));
+      });
+    });
+  }
+
+  async saveItem(item) {
+    const { history, ...fields } = item;
+    await this.transaction(['items'], 'readwrite', transaction => {
+      transaction.objectStore('items').put(fields);
+    });
+  }
+
+  async addObservation(url, entry) {
+    await this.transaction(['items', 'observations'], 'readwrite', async transaction => {
+      const item = await this.request(transaction.objectStore('items').get(url));
+      if (!item) {
+        throw new Error(`No tracked item found for ${url}`);
+      }
+
+      transaction.objectStore('observations').add({ ...entry, url: url });
+    });
+  }
+
+  async deleteObservation(url, timestamp) {
+    await this.transaction(['observations'], 'readwrite', async transaction => {
+      const observationStore = transaction.objectStore('observations');
+      const observations = await this.request(observationStore.index('url').getAll(url));
+      const observation = observations.find(storedObservation => storedObservation.timestamp === timestamp);
+
+      if (observation) {
+        observationStore.delete(observation.id);
+      }
+    });
+  }
+
+  async deleteItem(url) {
+    await this.transaction(['items', 'observations'], 'readwrite', async transaction => {
+      const observationStore = transaction.objectStore('observations');
+      const observationIds = await this.request(observationStore.index('url').getAllKeys(url));
+
+      transaction.objectStore('items').delete(url);
+      observationIds.forEach(id => observationStore.delete(id));
+    });
+  }
+
+  async getAlerts() {
+    const alerts = await this.transaction(['alerts'], 'readonly', transaction =>
+      this.request(transaction.objectStore('alerts').index('timestamp').getAll())
+    );
+    return alerts.reverse();
+  }
+
+  async addAlert(alert) {
+    await this.transaction(['alerts'], 'readwrite', transaction => {
+      transaction.objectStore('alerts').put(alert);
+    });
+  }
+
+  async updateAlerts(alerts) {
+    await this.transaction(['alerts'], 'readwrite', transaction => {
+      const alertStore = transaction.objectStore('alerts');
+      alerts.forEach(alert => alertStore.put(alert));
+    });
+  }
+
+  async saveAlerts(alerts) {
+    await this.transaction(['alerts'], 'readwrite', transaction => {
+      const alertStore = transaction.objectStore('alerts');
+      alertStore.clear();
+      alerts.forEach(alert => alertStore.put(alert));
+    });
+  }
+
+  async clearAlerts() {
+    await this.transaction(['alerts'], 'readwrite', transaction => {
+      transaction.objectStore('alerts').clear();
+    });
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * JsonSchemaValidator - Validates parsed LLM output against a JSON schema
+ * Supports the subset of JSON Schema used for structured outputs: type (or a list of types),
+ * properties, required, additionalProperties, enum, minimum, maximum, minLength and pattern
+ */
+class JsonSchemaValidator {
+  /**
+   * Validate a value against a schema
+   * @param {*} value - The value to validate
+   * @param {Object} schema - The JSON schema
+   * @param {string} path - The path of the value, used in error messages
+   * @returns {Array<string>} The validation errors, empty if the value is valid
+   */
+  validate(value, schema, path = 'response') {
+    const errors = [];
+    const types = [].concat(schema.type || []);
+
+    if (types.length > 0 && !types.some(type => this.matchesType(value, type))) {
+      errors.push(`${path} must be of type ${types.join(' or ')}`);
+      return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path} must be at most ${schema.maximum}`);
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path} must be at least ${schema.minLength} characters long`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path} must match the pattern ${schema.pattern}`);
+      }
+    }
+
+    if (this.matchesType(value, 'object')) {
+      errors.push(...this.validateObject(value, schema, path));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate the properties of an object
+   */
+  validateObject(value, schema, path) {
+    const errors = [];
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(property => {
+      if (!(property in value)) {
+        errors.push(`${path}.${property} is required`);
+      }
+    });
+
+    Object.keys(value).forEach(property => {
+      if (properties[property]) {
+        errors.push(...this.validate(value[property], properties[property], `${path}.${property}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${property} is not allowed`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Check if a value matches a JSON schema type
+   */
+  matchesType(value, type) {
+    switch (type) {
+      case 'null':
+        return value === null;
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      default:
+        return typeof value === type;
+    }
+  }
+}
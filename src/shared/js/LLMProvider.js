@@ -0,0 +1,140 @@
+/**
+ * LLMProvider - Base class for the language model backends used for price extraction
+ * Subclasses implement complete() for their own API and may override the defaults below
+ */
+class LLMProvider {
+  constructor(settings = {}, logger = null) {
+    this.settings = settings || {};
+    this.logger = logger;
+    this.id = 'base';
+    this.label = 'LLM';
+    this.defaultModel = '';
+    this.defaultEndpoint = '';
+    this.requiresApiKey = true;
+    this.apiKeyPlaceholder = '';
+    // Token prices in USD per million tokens, keyed by model name prefix
+    this.pricing = {};
+  }
+
+  /**
+   * Get the model configured for this provider, falling back to the provider default
+   */
+  getModel() {
+    return (this.settings.model || '').trim() || this.defaultModel;
+  }
+
+  /**
+   * Get the endpoint configured for this provider without a trailing slash
+   */
+  getEndpoint() {
+    const endpoint = (this.settings.endpoint || '').trim() || this.defaultEndpoint;
+    return endpoint.replace(/\/+$/, '');
+  }
+
+  /**
+   * Get the API key configured for this provider
+   */
+  getApiKey() {
+    return (this.settings.apiKey || '').trim();
+  }
+
+  /**
+   * Get the token prices of a model, matching the longest model name prefix
+   * @param {string} model - The model name reported by the API
+   * @returns {{input: number, output: number}|null} USD per million tokens, or null if the price is unknown
+   */
+  getPricing(model) {
+    const prefix = Object.keys(this.pricing)
+      .filter(candidate => (model || '').startsWith(candidate))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? this.pricing[prefix] : null;
+  }
+
+  /**
+   * Check if the provider has everything it needs to make a request
+   */
+  isConfigured() {
+    if (this.requiresApiKey && !this.getApiKey()) {
+      return false;
+    }
+
+    return Boolean(this.getEndpoint() && this.getModel());
+  }
+
+  /**
+   * Validate settings entered on the options page
+   * @param {Object} settings - The settings to validate ({apiKey, model, endpoint})
+   * @returns {string|null} An error message or null if the settings are valid
+   */
+  validateSettings(settings) {
+    if (this.requiresApiKey && !(settings.apiKey || '').trim()) {
+      return 'Please enter an API key.';
+    }
+
+    const endpoint = (settings.endpoint || '').trim();
+    if (endpoint) {
+      try {
+        new URL(endpoint);
+      } catch (error) {
+        return 'The endpoint must be a valid URL.';
+      }
+    } else if (!this.defaultEndpoint) {
+      return 'Please enter the endpoint URL.';
+    }
+
+    if (!(settings.model || '').trim() && !this.defaultModel) {
+      return 'Please enter a model name.';
+    }
+
+    return null;
+  }
+
+  /**
+   * Send a completion request to the provider
+   * @param {Object} request - The request
+   * @param {string} request.instructions - The system instructions
+   * @param {Array<{role: string, content: string}>} request.messages - The conversation messages
+   * @param {{name: string, schema: Object}} request.schema - JSON schema the response must follow (optional),
+   *   passed to the API's structured output mode so the text is a single JSON document
+   * @returns {Promise<{text: string, model: string, usage: {inputTokens: number, outputTokens: number}}>}
+   */
+  async complete(request) {
+    throw new Error(`${this.label} provider does not implement complete()`);
+  }
+
+  /**
+   * POST a JSON body and return the parsed JSON response, surfacing API errors
+   */
+  async postJson(url, headers, body) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      let errorData = null;
+      try {
+        errorData = await response.json();
+      } catch (parseError) {
+        // The error body is not always JSON (e.g. gateway errors), the status is enough then
+      }
+
+      this.logger?.errorSync(`${this.label} API error:`, errorData || response.status);
+      const errorMessage = typeof errorData?.error === 'string' ? errorData.error : errorData?.error?.message;
+      const message = errorMessage || `${response.status} ${response.statusText}`;
+      const error = new Error(`${this.label} API error: ${message}`);
+      // Price checks tell authorization, rate limiting and server errors apart by the status (see CheckError)
+      // and wait as long as a rate limited provider asks
+      error.status = response.status;
+      error.retryAfterHeader = response.headers.get('Retry-After');
+      throw error;
+    }
+
+    return await response.json();
+  }
+}
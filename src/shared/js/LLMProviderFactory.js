@@ -0,0 +1,45 @@
+/**
+ * LLMProviderFactory - Creates LLM provider instances from the stored provider settings
+ * Available in both background.js and options.js
+ */
+class LLMProviderFactory {
+  constructor(dataManager, logger) {
+    this.dataManager = dataManager;
+    this.logger = logger;
+    this.DEFAULT_PROVIDER = 'openai';
+    this.providerClasses = {
+      'openai': OpenAIProvider,
+      'anthropic': AnthropicProvider,
+      'openai-compatible': OpenAICompatibleProvider,
+      'local': LocalLLMProvider
+    };
+  }
+
+  /**
+   * Create a provider instance for the given provider ID
+   * @param {string} providerId - The provider ID (falls back to the default provider if unknown)
+   * @param {Object} settings - The provider settings ({apiKey, model, endpoint})
+   * @returns {LLMProvider} The provider instance
+   */
+  createProvider(providerId, settings = {}) {
+    const ProviderClass = this.providerClasses[providerId] || this.providerClasses[this.DEFAULT_PROVIDER];
+    return new ProviderClass(settings, this.logger);
+  }
+
+  /**
+   * Get an unconfigured instance of every available provider (used for labels and defaults)
+   * @returns {Array<LLMProvider>} The provider instances
+   */
+  getAvailableProviders() {
+    return Object.keys(this.providerClasses).map(providerId => this.createProvider(providerId));
+  }
+
+  /**
+   * Get the provider selected on the options page, configured with its stored settings
+   * @returns {Promise<LLMProvider>} The active provider
+   */
+  async getActiveProvider() {
+    const { provider, providerSettings } = await this.dataManager.getLLMSettings();
+    return this.createProvider(provider, providerSettings[provider] || {});
+  }
+}
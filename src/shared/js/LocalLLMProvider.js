@@ -0,0 +1,20 @@
+/**
+ * LocalLLMProvider - Uses a local Ollama or llama.cpp server through its OpenAI-compatible API
+ */
+class LocalLLMProvider extends OpenAICompatibleProvider {
+  constructor(settings = {}, logger = null) {
+    super(settings, logger);
+    this.id = 'local';
+    this.label = 'Local (Ollama / llama.cpp)';
+    this.defaultModel = 'llama3.1';
+    // Ollama's default port, llama.cpp servers usually listen on http://localhost:8080/v1
+    this.defaultEndpoint = 'http://localhost:11434/v1';
+  }
+
+  /**
+   * Local models cost nothing per token
+   */
+  getPricing(model) {
+    return { input: 0, output: 0 };
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * LocalStorageAdapter - Stores tracked items and alerts as two arrays in browser.storage.local
+ * Every write rewrites a whole array, so the price history of an item and the alerts are capped.
+ * Used by versions before the IndexedDB backend and as the source when moving to it (see DataMigrator)
+ */
+class LocalStorageAdapter extends StorageAdapter {
+  constructor(storageKeys, maxAlerts) {
+    super();
+    this.label = 'Local';
+    this.storageKeys = storageKeys;
+    this.MAX_HISTORY = 50;
+    this.maxAlerts = maxAlerts;
+  }
+
+  async getItems() {
+    const items = await this.getItemsWithHistory();
+    return items.filter(item => item && typeof item === 'object').map(({ history, ...item }) => item);
+  }
+
+  async getItemsWithHistory() {
+    const result = await browser.storage.local.get([this.storageKeys.TRACKED_PRICES]);
+    const items = result[this.storageKeys.TRACKED_PRICES];
+    return Array.isArray(items) ? items : [];
+  }
+
+  async getItem(url) {
+    const items = await this.getItemsWithHistory();
+    return items.find(item => item?.url === url) || null;
+  }
+
+  async getHistory(url, from = null, to = null) {
+    const item = await this.getItem(url);
+    return (item?.history || []).filter(entry => (!from || entry.timestamp >= from) && (!to || entry.timestamp <= to));
+  }
+
+  async saveItems(items) {
+    await browser.storage.local.set({ [this.storageKeys.TRACKED_PRICES]: items });
+  }
+
+  async saveItem(item) {
+    const items = await this.getItemsWithHistory();
+    const index = items.findIndex(storedItem => storedItem?.url === item.url);
+
+    if (index === -1) {
+      items.push({ ...item, history: [] });
+    } else {
+      items[index] = { ...item, history: items[index].history || [] };
+    }
+
+    await this.saveItems(items);
+  }
+
+  async addObservation(url, entry) {
+    const items = await this.getItemsWithHistory();
+    const item = items.find(storedItem => storedItem?.url === url);
+
+    if (!item) {
+      throw new Error(`No tracked item found for ${url}`);
+    }
+
+    // Keep only the most recent price entries per item
+    item.history = [...(item.history || []), entry].slice(-this.MAX_HISTORY);
+    await this.saveItems(items);
+  }
+
+  async deleteObservation(url, timestamp) {
+    const items = await this.getItemsWithHistory();
+    const item = items.find(storedItem => storedItem?.url === url);
+    const index = (item?.history || []).findIndex(entry => entry.timestamp === timestamp);
+
+    if (index !== -1) {
+      item.history.splice(index, 1);
+      await this.saveItems(items);
+    }
+  }
+
+  async deleteItem(url) {
+    const items = await this.getItemsWithHistory();
+    await this.saveItems(items.filter(item => item?.url !== url));
+  }
+
+  async getAlerts() {
+    const result = await browser.storage.local.get([this.storageKeys.ALERTS]);
+    const alerts = result[this.storageKeys.ALERTS];
+    return Array.isArray(alerts) ? alerts : [];
+  }
+
+  async addAlert(alert) {
+    const alerts = await this.getAlerts();
+    alerts.unshift(alert);
+    await browser.storage.local.set({ [this.storageKeys.ALERTS]: alerts.slice(0, this.maxAlerts) });
+  }
+
+  async updateAlerts(changedAlerts) {
+    const changedById = new Map(changedAlerts.map(alert => [alert.id, alert]));
+    const alerts = await this.getAlerts();
+    await browser.storage.local.set({
+      [this.storageKeys.ALERTS]: alerts.map(alert => changedById.get(alert.id) || alert)
+    });
+  }
+
+  async saveAlerts(alerts) {
+    await browser.storage.local.set({ [this.storageKeys.ALERTS]: alerts.slice(0, this.maxAlerts) });
+  }
+
+  async clearAlerts() {
+    await browser.storage.local.set({ [this.storageKeys.ALERTS]: [] });
+  }
+
+  /**
+   * Remove the stored items and alerts, once they have been moved to another backend
+   */
+  async remove() {
+    await browser.storage.local.remove([this.storageKeys.TRACKED_PRICES, this.storageKeys.ALERTS]);
+  }
+}
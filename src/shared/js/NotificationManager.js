@@ -1,111 +1,200 @@
 /**
  * NotificationManager - Handles browser notifications for price drops
+ * Every product notification is mapped to its item URL, so clicking an older notification
+ * opens the right product; digest notifications are mapped to their digest page
  */
 class NotificationManager {
-  constructor(logger) {
+  constructor(logger, dataManager) {
     this.logger = logger;
-    this.isClickHandlerSetup = false;
+    this.dataManager = dataManager;
+    // Browsers show at most two buttons, the notification itself opens the product
+    // Firefox shows none, its popup and sidebar have the same actions in the item list
+    this.buttons = [
+      { title: 'Snooze this item for a week', action: 'snooze' },
+      { title: 'Stop tracking', action: 'stopTracking' }
+    ];
   }
 
   /**
-   * Send browser notification for price drop
+   * Listen for notification and button clicks
+   * Called when the background script loads, so the listeners also wake up the event page
    */
-  async sendPriceDropNotification(url, productName, oldPrice, newPrice) {
+  setupListeners() {
+    browser.notifications.onClicked.addListener((notificationId) => this.handleNotificationClick(notificationId));
+
+    // Firefox does not support notification buttons and has no button event on some versions
+    if (browser.notifications.onButtonClicked) {
+      browser.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => this.handleButtonClick(notificationId, buttonIndex));
+    }
+  }
+
+  /**
+   * Create a notification for a tracked item and remember which item it belongs to
+   * @param {string} url - The item URL
+   * @param {Object} options - The notification options (title, message, contextMessage)
+   * @returns {Promise<string>} The notification ID
+   */
+  async createItemNotification(url, options) {
+    const notificationId = `item-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+    const notificationOptions = {
+      type: 'basic',
+      iconUrl: browser.runtime.getURL('icons/icon-96.png'),
+      ...options
+    };
+
+    // Store the target first so a quick click already finds it
+    await this.dataManager.saveNotificationTarget(notificationId, url);
+
+    try {
+      await browser.notifications.create(notificationId, {
+        ...notificationOptions,
+        buttons: this.buttons.map(button => ({ title: button.title }))
+      });
+    } catch (error) {
+      // Firefox rejects the buttons property, the notification still opens the product when clicked
+      await browser.notifications.create(notificationId, notificationOptions);
+    }
+
+    return notificationId;
+  }
+
+  /**
+   * Send browser notification for a price alert (drop, increase, all-time low or lowest in N days)
+   * @param {Object} alert - The alert ({type, url, productName, oldPrice, newPrice, days})
+   */
+  async sendPriceAlertNotification(alert) {
+    const oldPrice = PriceParser.format(alert.oldPrice);
+    const newPrice = PriceParser.format(alert.newPrice);
+    const notifications = {
+      drop: { title: 'Price Drop Alert!', message: `${alert.productName} price dropped from ${oldPrice} to ${newPrice}!` },
+      increase: { title: 'Price Increase', message: `${alert.productName} price went up from ${oldPrice} to ${newPrice}.` },
+      all_time_low: { title: 'New All-Time Low!', message: `${alert.productName} dropped to ${newPrice}, its lowest price ever (was ${oldPrice})!` },
+      lowest_in_days: { title: 'Lowest Price in a While!', message: `${alert.productName} dropped to ${newPrice}, the lowest price in ${alert.days} days (was ${oldPrice})!` }
+    };
+
+    try {
+      await this.createItemNotification(alert.url, {
+        ...(notifications[alert.type] || notifications.drop),
+        contextMessage: 'Click to open product page'
+      });
+    } catch (error) {
+      this.logger.errorSync('Error sending notification:', error);
+    }
+  }
+
+  /**
+   * Send browser notification for an item that is back in stock
+   */
+  async sendBackInStockNotification(url, productName, price) {
+    try {
+      const priceText = PriceParser.isValid(price) ? ` for ${PriceParser.format(price)}` : '';
+      await this.createItemNotification(url, {
+        title: 'Back in Stock!',
+        message: `${productName} is available again${priceText}!`,
+        contextMessage: 'Click to open product page'
+      });
+    } catch (error) {
+      this.logger.errorSync('Error sending back in stock notification:', error);
+    }
+  }
+
+  /**
+   * Send one notification summarizing a check run, clicking it opens the digest page
+   */
+  async sendDigestNotification(digest) {
+    try {
+      const notificationId = `digest-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+      await this.dataManager.saveNotificationTarget(notificationId, browser.runtime.getURL(`digest/digest.html?id=${digest.id}`));
+      await browser.notifications.create(notificationId, {
+        type: 'basic',
+        iconUrl: browser.runtime.getURL('icons/icon-96.png'),
+        title: 'Price Check Summary',
+        message: `${CheckDigest.summarize(digest.changes)}.`,
+        contextMessage: 'Click to see all changes'
+      });
+    } catch (error) {
+      this.logger.errorSync('Error sending digest notification:', error);
+    }
+  }
+
+  /**
+   * Send an informational browser notification (no click action)
+   */
+  async sendInfoNotification(title, message) {
     try {
       await browser.notifications.create({
         type: 'basic',
         iconUrl: browser.runtime.getURL('icons/icon-96.png'),
-        title: 'Price Drop Alert!',
-        message: `${productName} price dropped from ${oldPrice} to ${newPrice}!`,
-        contextMessage: 'Click to open product page'
+        title: title,
+        message: message
       });
-      
-      // Set up notification click handler if not already set
-      if (!this.isClickHandlerSetup) {
-        browser.notifications.onClicked.addListener((notificationId) => this.handleNotificationClick(notificationId));
-        this.isClickHandlerSetup = true;
-      }
-      
-      // Store the URL for this notification in local storage
-      await browser.storage.local.set({ 'lastNotificationUrl': url });
-      
     } catch (error) {
       this.logger.errorSync('Error sending notification:', error);
     }
   }
 
   /**
-   * Handle notification click
+   * Handle notification click by opening the product the notification was sent for
    */
   async handleNotificationClick(notificationId) {
     try {
-      const result = await browser.storage.local.get('lastNotificationUrl');
-      if (result.lastNotificationUrl) {
-        await browser.tabs.create({ url: result.lastNotificationUrl });
+      // Notifications sent by older versions have no target, they used the last notified URL
+      const url = await this.dataManager.getNotificationTarget(notificationId) ||
+        await this.dataManager.getLastNotificationUrl();
+      if (url) {
+        await browser.tabs.create({ url: url });
       }
+
+      await this.clearNotification(notificationId);
     } catch (error) {
       this.logger.errorSync('Error handling notification click:', error);
     }
   }
 
   /**
-   * Store price drop notification in history
+   * Handle a notification button click (snooze the item or stop tracking it)
    */
-  async storePriceDropNotification(url, productName, oldPrice, newPrice) {
+  async handleButtonClick(notificationId, buttonIndex) {
     try {
-      // Get existing notification history from local storage
-      const result = await browser.storage.local.get('priceDropHistory');
-      let history = result.priceDropHistory || [];
-
-      // Ensure history is always an array
-      if (!Array.isArray(history)) {
-        history = [];
+      const url = await this.dataManager.getNotificationTarget(notificationId);
+      const button = this.buttons[buttonIndex];
+      if (!url || !button) {
+        return;
       }
 
-      // Add new notification to history
-      history.push({
-        url: url,
-        productName: productName,
-        oldPrice: oldPrice,
-        newPrice: newPrice,
-        timestamp: new Date().toISOString()
-      });
-
-      // Keep only the most recent 50 notifications
-      if (history.length > 50) {
-        history.shift(); // Remove oldest notification
+      if (button.action === 'snooze') {
+        const snoozedUntil = this.dataManager.getSnoozeEnd();
+        await this.dataManager.snoozeItem(url, snoozedUntil);
+        this.logger.logSync(`Snoozed notifications for ${url} until ${new Date(snoozedUntil).toLocaleString()}`);
+      } else if (button.action === 'stopTracking') {
+        await this.dataManager.removeTrackedItem(url);
+        this.logger.logSync(`Stopped tracking ${url} from a notification`);
       }
 
-      // Save updated history to local storage
-      await browser.storage.local.set({ 'priceDropHistory': history });
-      
+      await this.clearNotification(notificationId);
     } catch (error) {
-      this.logger.errorSync('Error storing notification history:', error);
+      this.logger.errorSync('Error handling notification button click:', error);
     }
   }
 
   /**
-   * Get price drop notification history
+   * Close a notification and forget its target
    */
-  async getPriceDropHistory() {
-    try {
-      const result = await browser.storage.local.get('priceDropHistory');
-      return result.priceDropHistory || [];
-    } catch (error) {
-      this.logger.errorSync('Error getting price drop history:', error);
-      return [];
-    }
+  async clearNotification(notificationId) {
+    await browser.notifications.clear(notificationId);
+    await this.dataManager.removeNotificationTarget(notificationId);
   }
 
   /**
-   * Clear price drop notification history
+   * Show the number of unread alerts on the browser action badge
    */
-  async clearPriceDropHistory() {
+  async updateUnreadBadge() {
     try {
-      await browser.storage.local.set({ 'priceDropHistory': [] });
-      this.logger.logSync('Price drop notification history cleared');
+      const unreadCount = await this.dataManager.getUnreadAlertCount();
+      await browser.browserAction.setBadgeText({ text: unreadCount > 0 ? String(unreadCount) : '' });
+      await browser.browserAction.setBadgeBackgroundColor({ color: '#F44336' });
     } catch (error) {
-      this.logger.errorSync('Error clearing price drop history:', error);
+      this.logger.errorSync('Error updating the unread alert badge:', error);
     }
   }
 }
\ No newline at end of file
@@ -0,0 +1,57 @@
+/**
+ * OpenAICompatibleProvider - Uses the Chat Completions API of any OpenAI-compatible server
+ * (LiteLLM, corporate gateways, vLLM and the like)
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor(settings = {}, logger = null) {
+    super(settings, logger);
+    this.id = 'openai-compatible';
+    this.label = 'OpenAI-compatible';
+    // Gateways decide for themselves whether a key is needed
+    this.requiresApiKey = false;
+    this.apiKeyPlaceholder = 'Optional';
+  }
+
+  /**
+   * Send a request to the Chat Completions endpoint
+   */
+  async complete({ instructions, messages, schema }) {
+    const headers = {};
+    if (this.getApiKey()) {
+      headers['Authorization'] = `Bearer ${this.getApiKey()}`;
+    }
+
+    const body = {
+      model: this.getModel(),
+      messages: [
+        { role: 'system', content: instructions },
+        ...messages
+      ],
+      temperature: 0.3
+    };
+
+    if (schema) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: schema.name, schema: schema.schema, strict: true }
+      };
+    }
+
+    const data = await this.postJson(`${this.getEndpoint()}/chat/completions`, headers, body);
+
+    const text = data.choices?.[0]?.message?.content;
+    if (!text) {
+      this.logger?.errorSync('No message content found in response:', data);
+      throw new Error(`Invalid response format from ${this.label} API`);
+    }
+
+    return {
+      text: text,
+      model: data.model || this.getModel(),
+      usage: {
+        inputTokens: data.usage?.prompt_tokens || 0,
+        outputTokens: data.usage?.completion_tokens || 0
+      }
+    };
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * OpenAIProvider - Uses the OpenAI Responses API with web search enabled
+ */
+class OpenAIProvider extends LLMProvider {
+  constructor(settings = {}, logger = null) {
+    super(settings, logger);
+    this.id = 'openai';
+    this.label = 'OpenAI';
+    this.defaultModel = 'gpt-4.1-2025-04-14';
+    this.defaultEndpoint = 'https://api.openai.com/v1';
+    this.apiKeyPlaceholder = 'sk-...';
+    // Token prices only, web search tool calls are billed separately by OpenAI
+    this.pricing = {
+      'gpt-4.1': { input: 2, output: 8 },
+      'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+      'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+      'gpt-4o': { input: 2.5, output: 10 },
+      'gpt-4o-mini': { input: 0.15, output: 0.6 },
+      'gpt-5': { input: 1.25, output: 10 },
+      'gpt-5-mini': { input: 0.25, output: 2 },
+      'gpt-5-nano': { input: 0.05, output: 0.4 },
+      'o4-mini': { input: 1.1, output: 4.4 }
+    };
+  }
+
+  /**
+   * Validate settings, including the basic check for the sk- key prefix
+   */
+  validateSettings(settings) {
+    const apiKey = (settings.apiKey || '').trim();
+    if (apiKey && !apiKey.startsWith('sk-')) {
+      return 'API key should start with "sk-". Please check your key.';
+    }
+
+    return super.validateSettings(settings);
+  }
+
+  /**
+   * Send a request to the Responses API
+   */
+  async complete({ instructions, messages, schema }) {
+    const body = {
+      model: this.getModel(),
+      tool_choice: 'required',
+      tools: [
+        { type: 'web_search_preview' },
+      ],
+      instructions: instructions,
+      input: messages,
+      temperature: 0.3,
+    };
+
+    if (schema) {
+      body.text = {
+        format: { type: 'json_schema', name: schema.name, schema: schema.schema, strict: true }
+      };
+    }
+
+    const data = await this.postJson(`${this.getEndpoint()}/responses`, {
+      'Authorization': `Bearer ${this.getApiKey()}`
+    }, body);
+
+    // Check if the response has the expected structure
+    if (!data.output || !Array.isArray(data.output)) {
+      this.logger?.errorSync('Unexpected API response format:', data);
+      throw new Error('Invalid response format from OpenAI API');
+    }
+
+    // Find the message output in the response
+    const messageOutput = data.output.find(item => item.type === 'message');
+    if (!messageOutput || !messageOutput.content || !messageOutput.content.length) {
+      this.logger?.errorSync('No message output found in response:', data);
+      throw new Error('Invalid response format from OpenAI API');
+    }
+
+    // Get the text content from the message
+    const textContent = messageOutput.content.find(item => item.type === 'output_text');
+    if (!textContent || !textContent.text) {
+      this.logger?.errorSync('No text content found in message:', messageOutput);
+      throw new Error('No text content found in the API response');
+    }
+
+    return {
+      text: textContent.text,
+      model: data.model || this.getModel(),
+      usage: {
+        inputTokens: data.usage?.input_tokens || 0,
+        outputTokens: data.usage?.output_tokens || 0
+      }
+    };
+  }
+}
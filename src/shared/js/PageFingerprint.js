@@ -0,0 +1,48 @@
+/**
+ * PageFingerprint - Hashes the price-relevant content of a page
+ * Two checks with the same fingerprint would send the same input to the LLM,
+ * so the previous extraction can be reused instead of paying for a new call
+ */
+class PageFingerprint {
+  /**
+   * Distill the text the LLM would extract the price from
+   * Whitespace, letter case and clock times (countdowns, "updated at 10:42") are ignored
+   * @param {Object} pageContent - The page content ({title, bodyContent, structuredData})
+   * @returns {string} The distilled text
+   */
+  distill(pageContent) {
+    const normalize = text => String(text || '')
+      .toLowerCase()
+      .replace(/\b\d{1,2}:\d{2}(:\d{2})?\b/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    const structuredPrices = pageContent.structuredData?.prices || [];
+    const structuredCurrency = pageContent.structuredData?.currency || '';
+
+    return [
+      normalize(pageContent.title),
+      normalize(pageContent.bodyContent),
+      `${structuredPrices.join(',')} ${structuredCurrency}`.trim()
+    ].join('\n');
+  }
+
+  /**
+   * Compute the fingerprint of a page
+   * @param {Object} pageContent - The page content
+   * @returns {Promise<string|null>} Hex SHA-256 of the distilled text, or null when the page content
+   *   is not available (the LLM then works from the URL alone and its answer must not be reused)
+   */
+  async compute(pageContent) {
+    if (!pageContent || !pageContent.bodyContent || pageContent.bodyContent === 'Product information not available') {
+      return null;
+    }
+
+    const data = new TextEncoder().encode(this.distill(pageContent));
+    const digest = await crypto.subtle.digest('SHA-256', data);
+
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+}
@@ -1,15 +1,24 @@
 /**
  * PriceCheckScheduler - A specialized class for scheduling and managing price checks
+ * Every tracked item is due its own check interval (or the global one) after its last check; a single
+ * alarm is set for the earliest due time and checks only the items that are due when it fires.
+ * Checks wait for the check window (see CheckWindow) when one is configured.
  * Available in both background.js and options.js
  */
 class PriceCheckScheduler {
-  constructor(dataManager, logger) {
+  constructor(dataManager, logger, notificationManager = null) {
     this.dataManager = dataManager;
     this.logger = logger;
+    this.notificationManager = notificationManager;
+    this.usageTracker = new UsageTracker(dataManager, logger);
     this.PRICE_CHECK_ALARM_NAME = 'priceCheckAlarm';
-    this.checkInterval = null;
+    // Alarms cannot fire sooner than a minute from now
+    this.MIN_ALARM_DELAY_MINUTES = 1;
+    // Items that became due while the browser was closed are checked over this many minutes after startup
+    this.CATCH_UP_SPREAD_MINUTES = 10;
     this.lastCheckTime = null;
     this.isInitialized = false;
+    this.isChecking = false;
   }
 
   /**
@@ -24,53 +33,22 @@ class PriceCheckScheduler {
         return;
       }
       
-      // Check if the price alarm is enabled and get tracked prices from local storage
-      const result = await browser.storage.local.get(['priceAlarmEnabled', 'trackedPrices']);
-      this.logger.logSync('Successfully retrieved data from local storage');
-      
+      // Check if the price alarm is enabled
+      const result = await browser.storage.local.get(['priceAlarmEnabled']);
       const priceAlarmEnabled = result.priceAlarmEnabled === true;
-      let trackedPrices = result.trackedPrices || [];
-      
-      this.logger.logSync('Storage data retrieved:', {
-        priceAlarmEnabled,
-        trackedPricesCount: trackedPrices.length
-      });
-      
-      // Ensure all entries have the lastChecked field (for entries that might not have it)
-      for (const entry of trackedPrices) {
-        if (!entry.lastChecked) {
-          entry.lastChecked = new Date().toISOString();
-        }
-      }
-      
-      // Save the updated trackedPrices using data manager
-      await this.dataManager.saveTrackedPrices(trackedPrices);
+      this.logger.logSync('Storage data retrieved:', { priceAlarmEnabled });
       
       // BROWSER RESTART HANDLING:
-      // Since browser alarms don't run when the browser is closed, we need to check
-      // all tracked items when the browser starts up to ensure users get fresh data.
-      // This ensures that all tracked items are checked regardless of timing.
-      const urlsNeedingCheck = trackedPrices.map(item => item.url);
-      
-      if (urlsNeedingCheck.length > 0) {
-        this.logger.logSync(`Found ${urlsNeedingCheck.length} tracked products to check on startup:`, urlsNeedingCheck);
-        this.logger.logSync('Checking all tracked items on startup to ensure fresh data');
-        // Use setTimeout to allow the extension to fully initialize first
-        setTimeout(() => this.checkItemsOnStartup(trackedPrices), 5000);
-      }
-      
-      // Set up the alarm for hourly price checks only if enabled
+      // Browser alarms don't run while the browser is closed, the items that became due in the meantime
+      // are caught up over the first minutes. Their checks go through runScheduledCheck like any other,
+      // so they respect the check window and the budget
       if (priceAlarmEnabled) {
+        await this.scheduleCatchUp();
         await this.enableScheduledChecks();
       } else {
         await this.disableScheduledChecks();
       }
       
-      // Listen for alarm events
-      if (typeof browser !== 'undefined' && browser.alarms) {
-        browser.alarms.onAlarm.addListener((alarm) => this.handleAlarm(alarm));
-      }
-      
       this.logger.logSync('Price checking scheduler initialized');
       this.isInitialized = true;
     } catch (error) {
@@ -78,24 +56,164 @@ class PriceCheckScheduler {
     }
   }
 
+  /**
+   * Listen for the price check and quiet hours alarms
+   * Called when the background script loads, so an alarm that wakes up the event page finds its listener
+   */
+  setupListeners() {
+    browser.alarms.onAlarm.addListener((alarm) => this.handleAlarm(alarm));
+  }
+
   /**
    * Enable scheduled price checks
    */
   async enableScheduledChecks() {
+    await this.scheduleNextCheck();
+  }
+
+  /**
+   * Set the alarm for the earliest due time of the tracked items, nothing is scheduled while checks are disabled
+   * @param {number} minDelayMinutes - The earliest the alarm may fire, in minutes from now
+   */
+  async scheduleNextCheck(minDelayMinutes = this.MIN_ALARM_DELAY_MINUTES) {
     try {
-      // Get the check interval from storage, default to 60 minutes if not set
-      const result = await browser.storage.local.get(['checkInterval']);
-      const checkInterval = result.checkInterval || 60;
-      
-      await browser.alarms.create(this.PRICE_CHECK_ALARM_NAME, {
-        periodInMinutes: checkInterval
-      });
-      this.logger.logSync(`Price tracking alarm created - automatic checking enabled with ${checkInterval} minute interval`);
+      if (!await this.isPriceTrackingEnabled()) {
+        return;
+      }
+
+      const dueTimes = await this.getDueTimes();
+      if (dueTimes.length === 0) {
+        await browser.alarms.clear(this.PRICE_CHECK_ALARM_NAME);
+        this.logger.logSync('No tracked items to check, price check alarm cleared');
+        return;
+      }
+
+      const nextDueTime = Math.max(dueTimes[0].dueAt, Date.now() + minDelayMinutes * 60 * 1000);
+      const nextCheckTime = CheckWindow.getNextAllowedTime(await this.dataManager.getSchedulingWindows(), new Date(nextDueTime));
+      if (!nextCheckTime) {
+        await browser.alarms.clear(this.PRICE_CHECK_ALARM_NAME);
+        this.logger.logSync('The check window has no days selected, price check alarm cleared');
+        return;
+      }
+
+      await browser.alarms.create(this.PRICE_CHECK_ALARM_NAME, { when: nextCheckTime.getTime() });
+      this.logger.logSync(`Next price check scheduled for ${nextCheckTime.toLocaleString()} (${dueTimes[0].url})`);
     } catch (error) {
       this.logger.errorSync('Error creating price check alarm:', error);
     }
   }
 
+  /**
+   * Get the check interval of a tracked item
+   * @param {Object} item - The tracked item
+   * @param {number} defaultInterval - The global check interval in minutes
+   * @returns {number} The interval in minutes
+   */
+  getItemCheckInterval(item, defaultInterval) {
+    return item.checkInterval || defaultInterval;
+  }
+
+  /**
+   * Get the next check time of every tracked item, soonest first
+   * Items without a scheduled time are due one interval after their last check
+   * @returns {Promise<Array<{url: string, dueAt: number}>>} The due times in milliseconds
+   */
+  async getDueTimes() {
+    const trackedPrices = await this.dataManager.getTrackedPricesWithoutHistory();
+    const schedule = await this.dataManager.getCheckSchedule();
+    const defaultInterval = await this.dataManager.getCheckInterval();
+
+    return trackedPrices.map(item => {
+      const scheduledTime = new Date(schedule[item.url]).getTime();
+      const lastChecked = new Date(item.lastChecked).getTime();
+      const dueAt = !isNaN(scheduledTime) ? scheduledTime :
+        (isNaN(lastChecked) ? Date.now() : lastChecked + this.getItemCheckInterval(item, defaultInterval) * 60 * 1000);
+      return { url: item.url, dueAt: dueAt };
+    }).sort((a, b) => a.dueAt - b.dueAt);
+  }
+
+  /**
+   * Get the URLs of the tracked items that are due for a check
+   * @param {Date} now - The time to compare with (optional, defaults to now)
+   * @returns {Promise<Array<string>>} The URLs, most overdue first
+   */
+  async getDueUrls(now = new Date()) {
+    const dueTimes = await this.getDueTimes();
+    return dueTimes.filter(dueTime => dueTime.dueAt <= now.getTime()).map(dueTime => dueTime.url);
+  }
+
+  /**
+   * Schedule the next check of items that have just been checked, one interval from now
+   * Items whose checks keep failing back off: the interval doubles with every failure in a row, up to 8 times
+   * Items that are no longer tracked are dropped from the schedule
+   * @param {Array<string>} urls - The URLs of the checked items
+   */
+  async markChecked(urls) {
+    const trackedPrices = await this.dataManager.getTrackedPricesWithoutHistory();
+    const schedule = await this.dataManager.getCheckSchedule();
+    const defaultInterval = await this.dataManager.getCheckInterval();
+    const checkedUrls = new Set(urls);
+    const nextSchedule = {};
+
+    trackedPrices.forEach(item => {
+      if (checkedUrls.has(item.url)) {
+        const backoff = Math.pow(2, Math.min(item.health?.consecutiveFailures || 0, 3));
+        const interval = this.getItemCheckInterval(item, defaultInterval) * backoff;
+        nextSchedule[item.url] = new Date(Date.now() + interval * 60 * 1000).toISOString();
+      } else if (schedule[item.url]) {
+        nextSchedule[item.url] = schedule[item.url];
+      }
+    });
+
+    await this.dataManager.saveCheckSchedule(nextSchedule);
+  }
+
+  /**
+   * Spread the checks of the items that became due while the browser was closed over the first minutes
+   * after startup, most overdue first. Items last checked within their interval keep their due time
+   */
+  async scheduleCatchUp() {
+    const now = Date.now();
+    const overdueTimes = (await this.getDueTimes()).filter(dueTime => dueTime.dueAt <= now);
+    if (overdueTimes.length === 0) {
+      this.logger.logSync('No tracked items became due while the browser was closed');
+      return;
+    }
+
+    const schedule = await this.dataManager.getCheckSchedule();
+    const firstCheckTime = now + this.MIN_ALARM_DELAY_MINUTES * 60 * 1000;
+    const spacing = this.CATCH_UP_SPREAD_MINUTES * 60 * 1000 / overdueTimes.length;
+    overdueTimes.forEach((dueTime, index) => {
+      schedule[dueTime.url] = new Date(firstCheckTime + Math.round(index * spacing)).toISOString();
+    });
+
+    await this.dataManager.saveCheckSchedule(schedule);
+    await this.dataManager.saveCatchUpUrls(overdueTimes.map(dueTime => dueTime.url));
+    this.logger.logSync(`Catching up on ${overdueTimes.length} overdue items over the next ${this.CATCH_UP_SPREAD_MINUTES} minutes`);
+  }
+
+  /**
+   * Drop the scheduled check times of items whose check interval changed, they are due one new interval
+   * after their last check instead
+   * @param {Array<string>|null} urls - The URLs of the items, null for all items (global interval changed)
+   */
+  async rescheduleItems(urls = null) {
+    const schedule = urls ? await this.dataManager.getCheckSchedule() : {};
+    (urls || []).forEach(url => delete schedule[url]);
+    await this.dataManager.saveCheckSchedule(schedule);
+    await this.handleScheduleChange();
+  }
+
+  /**
+   * Schedule the next check after a change of the tracked items or their intervals
+   * A running check schedules the next one when it is done
+   */
+  async handleScheduleChange() {
+    if (!this.isChecking) {
+      await this.scheduleNextCheck();
+    }
+  }
+
   /**
    * Disable scheduled price checks
    */
@@ -114,6 +232,8 @@ class PriceCheckScheduler {
   async handleAlarm(alarm) {
     if (alarm.name === this.PRICE_CHECK_ALARM_NAME) {
       await this.runScheduledCheck();
+    } else if (this.priceTracker && alarm.name === this.priceTracker.QUIET_HOURS_ALARM_NAME) {
+      await this.priceTracker.releaseHeldNotifications();
     }
   }
 
@@ -125,182 +245,96 @@ class PriceCheckScheduler {
   }
 
   /**
-   * Run a scheduled price check (called by alarm)
+   * Run a scheduled price check of the items that are due (called by alarm)
    */
   async runScheduledCheck() {
     this.logger.logSync('Scheduled price check triggered');
-    this.lastCheckTime = new Date();
-    
-    // Delegate to price tracker if available
-    if (this.priceTracker) {
-      await this.priceTracker.checkAllPrices();
+
+    if (await this.isBudgetExceeded()) {
+      // Look again one interval later, the budget may have been raised by then
+      await this.scheduleNextCheck(await this.dataManager.getCheckInterval());
+      return;
     }
-  }
 
-  /**
-   * Trigger immediate check for all tracked items when price tracking is enabled
-   */
-  async checkTrackedItemsOnEnable() {
-    try {
-      this.logger.logSync('Checking all tracked items after enabling price tracking...');
-      
-      // Get tracked prices from data manager
-      const trackedPrices = await this.dataManager.getTrackedPrices();
-      this.logger.logSync('Successfully retrieved tracked items from data manager for checking after enable');
-      
-      if (trackedPrices.length === 0) {
-        this.logger.logSync('No tracked items found to check');
-        return;
-      }
-      
-      // Get unique URLs from the array
-      const uniqueUrls = [...new Set(trackedPrices.map(entry => entry.url))];
-      this.logger.logSync(`Found ${uniqueUrls.length} unique tracked items to check after enabling price tracking`);
-      
-      // Mark all items for immediate checking by calling runScheduledCheck
-      setTimeout(() => this.runScheduledCheck(), 3000);
-    } catch (error) {
-      this.logger.errorSync('Error checking tracked items on enable:', error);
+    // The window may have changed since the alarm was set
+    if (!CheckWindow.isCheckAllowed(await this.dataManager.getSchedulingWindows())) {
+      this.logger.logSync('Outside of the check window, skipping scheduled check');
+      await this.scheduleNextCheck();
+      return;
     }
-  }
 
-  /**
-   * Check all tracked items when the extension is installed, updated, or reloaded
-   */
-  async checkAllTrackedItemsOnRefresh() {
+    this.lastCheckTime = new Date();
+    this.isChecking = true;
+
     try {
-      this.logger.logSync('Checking all tracked items after extension refresh...');
-      
-      // Get tracked data from data manager
-      const data = await this.dataManager.getAllTrackedData();
-      this.logger.logSync('Successfully retrieved tracked items from data manager for refresh check');
-      
-      // Extract data from result
-      let trackedPrices = data.trackedPrices || [];
-      const oldTrackedItems = data.trackedItems || {};
-      
-      this.logger.logSync(`Storage check - trackedPrices: ${trackedPrices.length} items, trackedItems: ${Object.keys(oldTrackedItems).length} items`);
-      
-      // Log the actual content for debugging
-      this.logger.logSync('trackedPrices content:', trackedPrices);
-      this.logger.logSync('trackedItems content:', oldTrackedItems);
-      
-      // If we have no items in the main storage but have items in the old storage,
-      // migrate them first
-      if (trackedPrices.length === 0 && Object.keys(oldTrackedItems).length > 0) {
-        this.logger.logSync('Found older tracked items during refresh, migrating to unified format');
-        
-        // Process items from oldTrackedItems
-        for (const [url, item] of Object.entries(oldTrackedItems)) {
-          this.logger.logSync(`Migrating old tracked item for ${url} without price data`);
-          // Create tracked item using data manager structure control
-          const migratedItem = this.dataManager.createTrackedPriceItem(
-            url, 
-            item.name || 'Unknown Product', 
-            item.imageUrl || ''
-          );
-          // Add default price history entry since we don't have price data
-          const defaultHistoryEntry = this.dataManager.createPriceHistoryEntry('0.00');
-          migratedItem.history.push(defaultHistoryEntry);
-          
-          trackedPrices.push(migratedItem);
+      const dueUrls = await this.getDueUrls();
+      this.logger.logSync(`${dueUrls.length} tracked items are due for a check`);
+
+      // Delegate to price tracker if available, the catch-up checks after startup are a run of their own
+      if (this.priceTracker && dueUrls.length > 0) {
+        const catchUpUrls = await this.dataManager.getCatchUpUrls();
+        const dueCatchUpUrls = dueUrls.filter(url => catchUpUrls.includes(url));
+        const dueScheduledUrls = dueUrls.filter(url => !catchUpUrls.includes(url));
+
+        if (dueCatchUpUrls.length > 0) {
+          await this.priceTracker.checkAllPrices(dueCatchUpUrls, 'catch_up');
+          await this.dataManager.saveCatchUpUrls(catchUpUrls.filter(url => !dueCatchUpUrls.includes(url)));
         }
-        
-        // Save the updated trackedPrices using data manager
-        await this.dataManager.saveTrackedPrices(trackedPrices);
-        
-        this.logger.logSync('Migration complete during refresh, all old items saved to unified storage');
-      }
-      
-      if (trackedPrices.length === 0) {
-        this.logger.logSync('No tracked items found to check after refresh (checked all storage locations)');
-        return;
+        if (dueScheduledUrls.length > 0) {
+          await this.priceTracker.checkAllPrices(dueScheduledUrls, 'scheduled');
+        }
+        await this.markChecked(dueUrls);
       }
-      
-      // Get unique URLs for counting
-      const uniqueUrls = [...new Set(trackedPrices.map(entry => entry.url))];
-      this.logger.logSync(`Found ${uniqueUrls.length} unique tracked items to check after extension refresh`);
-      
-      // Check all items regardless of when they were last checked
-      await this.checkItemsOnStartup(trackedPrices);
     } catch (error) {
-      this.logger.errorSync('Error checking tracked items on extension refresh:', error);
+      this.logger.errorSync('Error running scheduled price check:', error);
+    } finally {
+      this.isChecking = false;
+      await this.scheduleNextCheck();
     }
   }
 
   /**
-   * Check items on startup, regardless of price tracking status
+   * Check if the monthly LLM budget has been spent, notifying once per month when it has
+   * Scheduled checks are paused until the next month or until the budget is raised
    */
-  async checkItemsOnStartup(trackedPrices) {
-    try {
-      this.logger.logSync('Checking items on startup, regardless of price tracking status...');
-      
-      // Get API key from local storage
-      const result = await browser.storage.local.get(['apiKey']);
-      this.logger.logSync('Successfully retrieved API key from local storage for startup check');
+  async isBudgetExceeded() {
+    const { exceeded, spent, budget } = await this.usageTracker.getBudgetStatus();
+    if (!exceeded) {
+      return false;
+    }
 
-      const apiKey = result.apiKey;
-      
-      if (!apiKey) {
-        this.logger.warnSync('No API key found, cannot check prices on startup');
-        return;
-      }
-      
-      // Delegate to price tracker if available
-      if (this.priceTracker) {
-        await this.priceTracker.checkItemsOnStartup(trackedPrices);
-      }
-      
-      this.lastCheckTime = new Date();
-    } catch (error) {
-      this.logger.errorSync('Error checking prices on startup:', error);
+    this.logger.warnSync(`Monthly LLM budget reached ($${spent.toFixed(2)} of $${budget.toFixed(2)}), skipping scheduled check`);
+
+    if (this.notificationManager && await this.usageTracker.markBudgetNotified()) {
+      await this.notificationManager.sendInfoNotification('Monthly LLM budget reached',
+        `$${spent.toFixed(2)} of your $${budget.toFixed(2)} budget has been spent. Scheduled price checks are paused until next month.`);
     }
+
+    return true;
   }
 
   /**
-   * Get URLs that need checking based on time threshold
+   * Trigger immediate check for all tracked items when price tracking is enabled
    */
-  getUrlsNeedingCheck(trackedPrices, hoursThreshold = 1) {
-    const latestPrices = this.getLatestPricePerUrl(trackedPrices);
-    const urlsNeedingCheck = [];
-    const now = new Date();
-    
-    for (const [url, entry] of Object.entries(latestPrices)) {
-      // Check for items that have never been checked
-      if (!entry.lastChecked) {
-        urlsNeedingCheck.push(url);
-        continue;
-      }
+  async checkTrackedItemsOnEnable() {
+    try {
+      this.logger.logSync('Checking all tracked items after enabling price tracking...');
       
-      // Check for items that haven't been checked in the specified time
-      const lastChecked = new Date(entry.lastChecked);
-      const hoursSinceLastCheck = (now - lastChecked) / (1000 * 60 * 60);
+      // Get tracked prices from data manager
+      const trackedPrices = await this.dataManager.getTrackedPricesWithoutHistory();
+      this.logger.logSync('Successfully retrieved tracked items from data manager for checking after enable');
       
-      if (hoursSinceLastCheck >= hoursThreshold) {
-        urlsNeedingCheck.push(url);
+      if (trackedPrices.length === 0) {
+        this.logger.logSync('No tracked items found to check');
+        return;
       }
-    }
-    
-    return urlsNeedingCheck;
-  }
-
-  /**
-   * Get the latest price entry per URL
-   */
-  getLatestPricePerUrl(trackedPrices) {
-    const latestPrices = {};
-    
-    // Group entries by URL and find the most recent one for each
-    for (const entry of trackedPrices) {
-      if (!entry.url || !entry.price) continue;
       
-      if (!latestPrices[entry.url] || 
-          new Date(entry.date) > new Date(latestPrices[entry.url].date)) {
-        latestPrices[entry.url] = entry;
-      }
+      // Items tracked before enabling price tracking are overdue and get checked by this run
+      this.logger.logSync(`Checking the due items of ${trackedPrices.length} tracked items after enabling price tracking`);
+      setTimeout(() => this.runScheduledCheck(), 3000);
+    } catch (error) {
+      this.logger.errorSync('Error checking tracked items on enable:', error);
     }
-    
-    return latestPrices;
   }
 
   /**
@@ -308,7 +342,7 @@ class PriceCheckScheduler {
    */
   async getLastCheckTime() {
     try {
-      const trackedPrices = await this.dataManager.getTrackedPrices();
+      const trackedPrices = await this.dataManager.getTrackedPricesWithoutHistory();
       
       if (trackedPrices.length === 0) {
         return null;
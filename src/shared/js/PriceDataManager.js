@@ -6,15 +6,119 @@
  */
 class PriceDataManager {
   constructor() {
+    // Price alert types, notified when enabled globally unless the item turns them off (or on)
+    this.alertTypes = ['drop', 'increase', 'all_time_low', 'lowest_in_days'];
+    this.MAX_ALERTS = 200;
+    // Items whose checks failed this many times in a row are shown as broken
+    this.BROKEN_AFTER_FAILURES = 5;
+    // Snoozing an item holds back its notifications for this many days
+    this.SNOOZE_DAYS = 7;
     this.storageKeys = {
       TRACKED_PRICES: 'trackedPrices',
       TRACKED_ITEMS: 'trackedItems',
+      // Price drop history of older versions, moved to the alert store by DataMigrator
       PRICE_DROP_HISTORY: 'priceDropHistory',
+      ALERTS: 'alerts',
       LAST_NOTIFICATION_URL: 'lastNotificationUrl',
+      NOTIFICATION_TARGETS: 'notificationTargets',
+      NOTIFICATION_MODE: 'notificationMode',
+      WEBHOOKS: 'webhooks',
+      ALERT_TYPES: 'alertTypes',
+      CHECK_DIGESTS: 'checkDigests',
       API_KEY: 'apiKey',
+      LLM_PROVIDER: 'llmProvider',
+      LLM_PROVIDER_SETTINGS: 'llmProviderSettings',
+      SELECTOR_RECIPES: 'selectorRecipes',
+      FINGERPRINT_STATS: 'fingerprintStats',
+      LLM_USAGE: 'llmUsage',
+      MONTHLY_BUDGET: 'monthlyBudget',
       PRICE_ALARM_ENABLED: 'priceAlarmEnabled',
-      VIEW_MODE: 'viewMode'
+      VIEW_MODE: 'viewMode',
+      SCHEMA_VERSION: 'schemaVersion',
+      SCHEMA_BACKUP: 'schemaBackup',
+      // 'indexeddb' once DataMigrator moved the items and alerts out of the local storage
+      STORAGE_BACKEND: 'storageBackend',
+      // Bumped on every write of items or alerts, IndexedDB has no change events of its own
+      ITEMS_REVISION: 'itemsRevision',
+      ALERTS_REVISION: 'alertsRevision',
+      // The items the user last added, edited or removed and when, price checks do not change it (see SyncManager)
+      ITEM_EDITS: 'itemEdits',
+      SYNC_ENABLED: 'syncEnabled',
+      SYNC_STATE: 'syncState',
+      CHECK_INTERVAL: 'checkInterval',
+      CHECK_CONCURRENCY: 'checkConcurrency',
+      // Minimum seconds between two checks of the same shop
+      DOMAIN_DELAY: 'domainDelay',
+      // Next automatic check time of every tracked item, kept by PriceCheckScheduler
+      CHECK_SCHEDULE: 'checkSchedule',
+      // Items whose next check catches up on the checks missed while the browser was closed
+      CATCH_UP_URLS: 'catchUpUrls',
+      // Check window and quiet hours, see CheckWindow
+      SCHEDULING_WINDOWS: 'schedulingWindows',
+      // Notifications held back during quiet hours
+      HELD_NOTIFICATIONS: 'heldNotifications'
     };
+    // Writes to tracked items run one after another, pages ask the background to write (see requestTrackedDataUpdate)
+    this.writeQueue = Promise.resolve();
+    this.localStorageAdapter = new LocalStorageAdapter(this.storageKeys, this.MAX_ALERTS);
+    this.indexedDBStorageAdapter = new IndexedDBStorageAdapter();
+  }
+
+  /**
+   * Get the storage backend of the tracked items and alerts
+   * @returns {Promise<StorageAdapter>} The IndexedDB adapter once the data has been moved there, the local one before
+   */
+  async getStorageAdapter() {
+    const result = await browser.storage.local.get([this.storageKeys.STORAGE_BACKEND]);
+    return result[this.storageKeys.STORAGE_BACKEND] === 'indexeddb' ? this.indexedDBStorageAdapter : this.localStorageAdapter;
+  }
+
+  /**
+   * Run a write to the tracked items after the writes queued before it
+   * Queued writes must not call other queued methods, they would wait for themselves
+   * @param {Function} write - The write, returns a promise
+   * @returns {Promise} The result of the write
+   */
+  _queueWrite(write) {
+    const result = this.writeQueue.then(write);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Ask the background to change the tracked items, so writes of extension pages and price checks do not
+   * overwrite each other
+   * @param {string} operation - The operation (see the trackedDataOperations of background.js)
+   * @param {Object} params - The parameters of the operation
+   * @returns {Promise<boolean>} Success status
+   */
+  async requestTrackedDataUpdate(operation, params = {}) {
+    try {
+      const response = await browser.runtime.sendMessage({ action: 'updateTrackedData', operation: operation, params: params });
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+      return response?.success === true;
+    } catch (error) {
+      logger.errorSync(`Error requesting tracked data update (${operation}):`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Signal a change of the tracked items or alerts to the storage change listeners of all extension pages
+   * @param {string} revisionKey - ITEMS_REVISION or ALERTS_REVISION
+   */
+  async notifyChange(revisionKey) {
+    await browser.storage.local.set({ [revisionKey]: `${Date.now()}-${Math.random().toString(36).substring(2, 8)}` });
+  }
+
+  /**
+   * Signal that the user added, edited or removed tracked items, so the sync stamps these items with the time
+   * @param {Array<string>} urls - The URLs of the items
+   */
+  async notifyItemEdit(urls) {
+    await browser.storage.local.set({ [this.storageKeys.ITEM_EDITS]: { urls: urls, editedAt: new Date().toISOString() } });
   }
 
   /**
@@ -34,10 +138,13 @@ class PriceDataManager {
     // Ensure required structure
     const normalizedItem = {
       url: item.url,
+      // Items tracked before product identities existed get the identity of their URL
+      productId: item.productId || ProductIdentity.canonicalize(item.url),
       name: item.name || 'Unknown Product',
       imageUrl: item.imageUrl || '',
       lastChecked: item.lastChecked || new Date().toISOString(),
-      history: Array.isArray(item.history) ? item.history : []
+      history: Array.isArray(item.history) ? item.history : [],
+      alertRules: this._validateAlertRules(item.alertRules)
     };
 
     // Validate history entries
@@ -46,16 +153,91 @@ class PriceDataManager {
         throw new Error('Invalid history entry: must be an object');
       }
       
-      return {
-        price: historyEntry.price || '0.00',
-        date: historyEntry.date || new Date().toISOString().split('T')[0],
-        timestamp: historyEntry.timestamp || new Date().toISOString()
-      };
+      return this.createPriceHistoryEntry(historyEntry.price, historyEntry.date, historyEntry.timestamp, historyEntry.availability);
     });
 
+    // Items with their own check interval (in minutes) are checked at that pace instead of the global one
+    if (this._isValidCheckInterval(item.checkInterval)) {
+      normalizedItem.checkInterval = item.checkInterval;
+    }
+
+    // Outcome of the automatic checks, see recordCheckResult()
+    if (item.health && typeof item.health === 'object') {
+      normalizedItem.health = {
+        lastSuccess: item.health.lastSuccess || null,
+        lastFailure: item.health.lastFailure || null,
+        consecutiveFailures: Number.isInteger(item.health.consecutiveFailures) ? item.health.consecutiveFailures : 0,
+        lastError: item.health.lastError?.message ? { type: item.health.lastError.type || '', message: item.health.lastError.message } : null
+      };
+    }
+
+    // Notifications of a snoozed item are held back until the given time
+    if (item.snoozedUntil && !isNaN(new Date(item.snoozedUntil).getTime())) {
+      normalizedItem.snoozedUntil = item.snoozedUntil;
+    }
+
+    // Keep the fingerprint of the last checked page content and the extraction it produced
+    if (item.contentFingerprint && item.cachedExtraction) {
+      normalizedItem.contentFingerprint = item.contentFingerprint;
+      normalizedItem.cachedExtraction = {
+        ...item.cachedExtraction,
+        price: PriceParser.normalize(item.cachedExtraction.price)
+      };
+    }
+
     return normalizedItem;
   }
 
+  /**
+   * Check if a value is a usable check interval, a whole number of minutes from 1 minute up to 30 days
+   * @private
+   */
+  _isValidCheckInterval(checkInterval) {
+    return Number.isInteger(checkInterval) && checkInterval >= 1 && checkInterval <= 43200;
+  }
+
+  /**
+   * Validate and normalize the alert rules of a tracked item
+   * Invalid rules are dropped rather than failing the item, so a bad value never loses price history
+   * @param {Object} rules - The rules to validate ({targetPrice, minDropPercent, allTimeLowOnly, types})
+   * @returns {Object} Normalized rules, unset rules are null (or false for allTimeLowOnly); types maps every
+   *   alert type to true or false when the item overrides the global setting, null otherwise
+   */
+  _validateAlertRules(rules) {
+    const normalizedRules = {
+      targetPrice: null,
+      minDropPercent: null,
+      allTimeLowOnly: false,
+      types: Object.fromEntries(this.alertTypes.map(type => [type, null]))
+    };
+
+    if (!rules || typeof rules !== 'object') {
+      return normalizedRules;
+    }
+
+    if (rules.targetPrice) {
+      const targetPrice = PriceParser.normalize(rules.targetPrice);
+      if (PriceParser.isValid(targetPrice) && targetPrice.amountMinor > 0) {
+        normalizedRules.targetPrice = targetPrice;
+      }
+    }
+
+    const minDropPercent = Number(rules.minDropPercent);
+    if (rules.minDropPercent !== null && Number.isFinite(minDropPercent) && minDropPercent > 0 && minDropPercent < 100) {
+      normalizedRules.minDropPercent = minDropPercent;
+    }
+
+    normalizedRules.allTimeLowOnly = rules.allTimeLowOnly === true;
+
+    this.alertTypes.forEach(type => {
+      if (typeof rules.types?.[type] === 'boolean') {
+        normalizedRules.types[type] = rules.types[type];
+      }
+    });
+
+    return normalizedRules;
+  }
+
   /**
    * Validate and normalize an array of tracked price items
    * @param {Array} trackedPrices - Array of tracked price items
@@ -103,27 +285,38 @@ class PriceDataManager {
 
   /**
    * Create a new price history entry with enforced structure
-   * @param {number|string} price - The price
+   * Entries whose price could not be parsed are flagged with unparseable: true, entries of out of stock
+   * pages may have no price at all
+   * @param {Object|string|number} price - The price (money model, or a price string stored by older versions)
    * @param {string} date - Date string (optional, defaults to today)
    * @param {string} timestamp - ISO timestamp (optional, defaults to now)
+   * @param {string} availability - Stock availability (optional, see Availability)
    * @returns {Object} Structured price history entry
    */
-  createPriceHistoryEntry(price, date = null, timestamp = null) {
-    return {
-      price: price || '0.00',
+  createPriceHistoryEntry(price, date = null, timestamp = null, availability = '') {
+    const entry = {
+      price: PriceParser.normalize(price),
+      availability: availability || '',
       date: date || new Date().toISOString().split('T')[0],
       timestamp: timestamp || new Date().toISOString()
     };
+
+    if (!PriceParser.isValid(entry.price) && entry.price.raw) {
+      entry.unparseable = true;
+    }
+
+    return entry;
   }
 
   /**
-   * Get tracked prices from storage
+   * Get tracked prices from storage, with the full price history of every item
+   * Lists and scheduling use getTrackedPricesWithoutHistory, which does not grow with the history
    * @returns {Promise<Array>} Array of tracked price items
    */
   async getTrackedPrices() {
     try {
-      const result = await browser.storage.local.get([this.storageKeys.TRACKED_PRICES]);
-      const rawData = result[this.storageKeys.TRACKED_PRICES] || [];
+      const storage = await this.getStorageAdapter();
+      const rawData = await storage.getItemsWithHistory();
       return this._validateTrackedPricesArray(rawData);
     } catch (error) {
       logger.errorSync('Error getting tracked prices:', error);
@@ -132,22 +325,83 @@ class PriceDataManager {
   }
 
   /**
-   * Save tracked prices to storage
+   * Get the tracked items without their price history
+   * @returns {Promise<Array>} Array of tracked price items, without a history field
+   */
+  async getTrackedPricesWithoutHistory() {
+    try {
+      const storage = await this.getStorageAdapter();
+      return this._validateTrackedPricesArray(await storage.getItems()).map(({ history, ...item }) => item);
+    } catch (error) {
+      logger.errorSync('Error getting tracked prices:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the price history of a tracked item, oldest first
+   * @param {string} url - The URL of the item
+   * @param {string|null} from - The ISO timestamp of the earliest entry (optional)
+   * @param {string|null} to - The ISO timestamp of the latest entry (optional)
+   * @returns {Promise<Array>} The price history entries
+   */
+  async getPriceHistory(url, from = null, to = null) {
+    try {
+      const storage = await this.getStorageAdapter();
+      const history = await storage.getHistory(url, from, to);
+      return history.map(entry => this.createPriceHistoryEntry(entry.price, entry.date, entry.timestamp, entry.availability));
+    } catch (error) {
+      logger.errorSync('Error getting price history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save tracked prices to storage, replacing all stored items and their price history
    * @param {Array} trackedPrices - Array of tracked price items
    * @returns {Promise<boolean>} Success status
    */
   async saveTrackedPrices(trackedPrices) {
-    try {
-      const validatedData = this._validateTrackedPricesArray(trackedPrices);
+    return this._queueWrite(async () => {
+      try {
+        const validatedData = this._validateTrackedPricesArray(trackedPrices);
 
-      logger.logSync('Saving tracked prices:', validatedData);
+        logger.logSync('Saving tracked prices:', validatedData);
 
-      await browser.storage.local.set({ [this.storageKeys.TRACKED_PRICES]: validatedData });
-      return true;
-    } catch (error) {
-      logger.errorSync('Error saving tracked prices:', error);
-      return false;
-    }
+        const storage = await this.getStorageAdapter();
+        const previousItems = await storage.getItems();
+        await storage.saveItems(validatedData);
+        await this.notifyChange(this.storageKeys.ITEMS_REVISION);
+        await this.notifyItemEdit([...previousItems, ...validatedData].map(item => item.url));
+        return true;
+      } catch (error) {
+        logger.errorSync('Error saving tracked prices:', error);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Get a single tracked item with its price history
+   * @param {string} url - The URL of the item
+   * @returns {Promise<Object|null>} The tracked item or null if it is not tracked
+   * @private
+   */
+  async _getTrackedPriceItem(url) {
+    const storage = await this.getStorageAdapter();
+    const item = await storage.getItem(url);
+    return item ? this._validateTrackedPriceItem(item) : null;
+  }
+
+  /**
+   * Save the fields of a single tracked item, its stored price history is kept
+   * @param {Object} item - The tracked item
+   * @private
+   */
+  async _saveTrackedPriceItem(item) {
+    const storage = await this.getStorageAdapter();
+    await storage.saveItem(this._validateTrackedPriceItem(item));
+    await this.notifyChange(this.storageKeys.ITEMS_REVISION);
   }
 
   /**
@@ -180,18 +434,14 @@ class PriceDataManager {
   }
 
   /**
-   * Get both tracked prices and items
+   * Get both tracked prices and items, the tracked prices without their price history
    * @returns {Promise<Object>} Object with trackedPrices and trackedItems
    */
   async getAllTrackedData() {
     try {
-      const result = await browser.storage.local.get([
-        this.storageKeys.TRACKED_PRICES,
-        this.storageKeys.TRACKED_ITEMS
-      ]);
       return {
-        trackedPrices: result[this.storageKeys.TRACKED_PRICES] || [],
-        trackedItems: result[this.storageKeys.TRACKED_ITEMS] || {}
+        trackedPrices: await this.getTrackedPricesWithoutHistory(),
+        trackedItems: await this.getTrackedItems()
       };
     } catch (error) {
       logger.errorSync('Error getting all tracked data:', error);
@@ -209,17 +459,21 @@ class PriceDataManager {
    * @returns {Promise<boolean>} Success status
    */
   async saveAllTrackedData(trackedPrices, trackedItems) {
-    try {
-      const validatedPrices = this._validateTrackedPricesArray(trackedPrices);
-      await browser.storage.local.set({
-        [this.storageKeys.TRACKED_PRICES]: validatedPrices,
-        [this.storageKeys.TRACKED_ITEMS]: trackedItems || {}
-      });
-      return true;
-    } catch (error) {
-      logger.errorSync('Error saving all tracked data:', error);
-      return false;
-    }
+    return this._queueWrite(async () => {
+      try {
+        const validatedPrices = this._validateTrackedPricesArray(trackedPrices);
+        const storage = await this.getStorageAdapter();
+        const previousItems = await storage.getItems();
+        await storage.saveItems(validatedPrices);
+        await browser.storage.local.set({ [this.storageKeys.TRACKED_ITEMS]: trackedItems || {} });
+        await this.notifyChange(this.storageKeys.ITEMS_REVISION);
+        await this.notifyItemEdit([...previousItems, ...validatedPrices].map(item => item.url));
+        return true;
+      } catch (error) {
+        logger.errorSync('Error saving all tracked data:', error);
+        return false;
+      }
+    });
   }
 
   /**
@@ -227,80 +481,78 @@ class PriceDataManager {
    * @param {string} url - The URL to find/create item for
    * @param {string} productName - Product name (for new items)
    * @param {string} imageUrl - Product image URL (optional)
+   * @param {string} productId - The product identity of the page (optional, for new items, see ProductIdentity)
    * @returns {Promise<Object>} The tracked item
    */
-  async findOrCreateTrackedItem(url, productName, imageUrl = '') {
-    try {
-      const trackedPrices = await this.getTrackedPrices();
-      let trackedItem = trackedPrices.find(item => item.url === url);
+  async findOrCreateTrackedItem(url, productName, imageUrl = '', productId = '') {
+    return this._queueWrite(async () => {
+      try {
+        let trackedItem = await this._getTrackedPriceItem(url);
+        const isNewItem = !trackedItem;
       
-      if (!trackedItem) {
-        // Create new tracked item
-        trackedItem = {
-          url: url,
-          name: productName,
-          imageUrl: imageUrl,
-          lastChecked: new Date().toISOString(),
-          history: []
-        };
-        trackedPrices.push(trackedItem);
-        await this.saveTrackedPrices(trackedPrices);
-      } else {
-        // Update existing item
-        trackedItem.name = productName || trackedItem.name;
-        trackedItem.lastChecked = new Date().toISOString();
-        if (imageUrl) {
-          trackedItem.imageUrl = imageUrl;
+        if (isNewItem) {
+          // Create new tracked item
+          trackedItem = this.createTrackedPriceItem(url, productName, imageUrl);
+          if (productId) {
+            trackedItem.productId = productId;
+          }
+        } else {
+          // Update existing item
+          trackedItem.name = productName || trackedItem.name;
+          trackedItem.lastChecked = new Date().toISOString();
+          if (imageUrl) {
+            trackedItem.imageUrl = imageUrl;
+          }
+        }
+
+        await this._saveTrackedPriceItem(trackedItem);
+        if (isNewItem) {
+          await this.notifyItemEdit([url]);
         }
-        await this.saveTrackedPrices(trackedPrices);
+        return trackedItem;
+      } catch (error) {
+        logger.errorSync('Error finding/creating tracked item:', error);
+        return null;
       }
-      
-      return trackedItem;
-    } catch (error) {
-      logger.errorSync('Error finding/creating tracked item:', error);
-      return null;
-    }
+    });
   }
 
   /**
    * Add price to tracked item history (only if price is different)
+   * Items are created by findOrCreateTrackedItem only, so a check finishing after its item was deleted
+   * does not bring the item back
    * @param {string} url - The URL of the item
    * @param {string} productName - Product name
-   * @param {number} price - The price to add
+   * @param {Object} price - The price to add (see PriceParser)
    * @param {string} imageUrl - Product image URL (optional)
-   * @returns {Promise<boolean>} Success status
+   * @param {string} availability - Stock availability (optional, see Availability)
+   * @returns {Promise<boolean>} True if the price was recorded, false if the item is not tracked (anymore)
+   * @throws {Error} If the storage could not be read or written, a check must not count as successful then
    */
-  async addPriceToHistory(url, productName, price, imageUrl = '') {
-    try {
-      const trackedPrices = await this.getTrackedPrices();
-      let trackedItem = trackedPrices.find(item => item.url === url);
-      
+  async addPriceToHistory(url, productName, price, imageUrl = '', availability = '') {
+    return this._queueWrite(async () => {
+      const trackedItem = await this._getTrackedPriceItem(url);
       if (!trackedItem) {
-        // Create new tracked item using structure creation method
-        trackedItem = this.createTrackedPriceItem(url, productName, imageUrl);
-        trackedPrices.push(trackedItem);
-      } else {
-        // Update existing item
-        trackedItem.name = productName || trackedItem.name;
-        trackedItem.lastChecked = new Date().toISOString();
-        if (imageUrl) {
-          trackedItem.imageUrl = imageUrl;
-        }
+        logger.logSync(`${url} is no longer tracked, not recording its price`);
+        return false;
       }
-      
-      // Check if price is different from the last recorded price using numeric comparison
+
+      trackedItem.name = productName || trackedItem.name;
+      trackedItem.lastChecked = new Date().toISOString();
+      if (imageUrl) {
+        trackedItem.imageUrl = imageUrl;
+      }
+
+      // Check if price or availability is different from the last recorded entry
       const lastHistoryEntry = trackedItem.history[trackedItem.history.length - 1];
-      const shouldAddPrice = this._shouldAddPriceToHistory(lastHistoryEntry?.price, price);
-      
+      const shouldAddPrice = this._shouldAddPriceToHistory(lastHistoryEntry, price, availability);
+
+      const storage = await this.getStorageAdapter();
+      await storage.saveItem(trackedItem);
+
       if (shouldAddPrice) {
         // Add new price to history using structure creation method
-        const newHistoryEntry = this.createPriceHistoryEntry(price);
-        trackedItem.history.push(newHistoryEntry);
-        
-        // Keep only the most recent 50 price entries per item
-        if (trackedItem.history.length > 50) {
-          trackedItem.history.shift(); // Remove oldest entry
-        }
+        await storage.addObservation(url, this.createPriceHistoryEntry(price, null, null, availability));
       }
 
       // Update trackedItems storage to keep it in sync
@@ -310,183 +562,1445 @@ class PriceDataManager {
         imageUrl: trackedItem.imageUrl || '',
       };
 
-      // Save both trackedPrices and trackedItems
-      await this.saveTrackedPrices(trackedPrices);
       await this.saveTrackedItems(trackedItems);
+      await this.notifyChange(this.storageKeys.ITEMS_REVISION);
       return true;
-    } catch (error) {
-      logger.errorSync('Error adding price to history:', error);
-      return false;
-    }
+    });
   }
 
   /**
-   * Determine if a new price should be added to history based on numeric comparison
-   * @param {string|number} lastPrice - The last recorded price
-   * @param {string|number} newPrice - The new price to compare
-   * @returns {boolean} True if the price should be added to history
-   * @private
+   * Change all tracked items at once, the name and image map is rebuilt from the result
+   * @param {Function} update - Receives the tracked items and returns the new items
+   * @returns {Promise<boolean>} Success status
    */
-  _shouldAddPriceToHistory(lastPrice, newPrice) {
-    logger.logSync("Last price: ", lastPrice);
-    logger.logSync("New price: ", newPrice);
-
-    // If there's no last price, always add the new price
-    if (!lastPrice) {
-      return true;
-    }
+  async updateTrackedPrices(update) {
+    return this._queueWrite(async () => {
+      try {
+        // Read through the adapter, a failed read must not be mistaken for an empty list and saved
+        const storage = await this.getStorageAdapter();
+        const previousPrices = this._validateTrackedPricesArray(await storage.getItemsWithHistory());
+        const trackedPrices = this._validateTrackedPricesArray(update(previousPrices));
+        const trackedItems = Object.fromEntries(trackedPrices.map(item => [item.url, { name: item.name, imageUrl: item.imageUrl || '' }]));
 
-    // Extract numeric values from price strings in the consistent format <number>,<decimals>
-    const extractNumeric = (priceStr) => {
-      if (!priceStr) return 0;
-      const priceString = String(priceStr);
-      // Remove currency symbols and extract the numeric part
-      // Expected format: "€1234,56" or "$1000,00" etc.
-      const numericPart = priceString.replace(/[^\d,]/g, '');
-      if (numericPart) {
-        // Replace comma with dot for parseFloat (since LLM uses comma as decimal separator)
-        return parseFloat(numericPart.replace(',', '.'));
+        await storage.saveItems(trackedPrices);
+        await browser.storage.local.set({ [this.storageKeys.TRACKED_ITEMS]: trackedItems });
+        await this.notifyChange(this.storageKeys.ITEMS_REVISION);
+        // Any item may have changed, the sync only takes those whose settings differ from the last sync
+        await this.notifyItemEdit([...previousPrices, ...trackedPrices].map(item => item.url));
+        return true;
+      } catch (error) {
+        logger.errorSync('Error updating tracked prices:', error);
+        return false;
       }
-      return 0;
-    };
-
-    const lastNumeric = extractNumeric(lastPrice);
-    const newNumeric = extractNumeric(newPrice);
-
-
-
-    // Return true if prices are numerically different
-    return lastNumeric !== newNumeric;
+    });
   }
 
   /**
-   * Get price drop history
-   * @returns {Promise<Array>} Array of price drop notifications
+   * Find the tracked item of a product
+   * @param {string} url - The URL of the page
+   * @param {string} productId - The product identity of the page (optional, derived from the URL by default)
+   * @returns {Promise<Object|null>} The item tracked at the URL, else the earliest tracked item of the product
+   *   (without its price history)
    */
-  async getPriceDropHistory() {
+  async findTrackedItemByProductId(url, productId = '') {
     try {
-      const result = await browser.storage.local.get([this.storageKeys.PRICE_DROP_HISTORY]);
-      return result[this.storageKeys.PRICE_DROP_HISTORY] || [];
+      const identity = productId || ProductIdentity.canonicalize(url);
+      const trackedItems = await this.getTrackedPricesWithoutHistory();
+      const productItems = trackedItems.filter(item => item.productId === identity);
+      if (trackedItems.some(item => item.url === url) || productItems.length <= 1) {
+        return trackedItems.find(item => item.url === url) || productItems[0] || null;
+      }
+
+      // Only the items of the product are loaded with their price history, to find the one tracked first
+      const productItemsWithHistory = await Promise.all(
+        productItems.map(async item => ({ ...item, history: await this.getPriceHistory(item.url) })));
+      return this._sortByFirstTracked(productItemsWithHistory)[0];
     } catch (error) {
-      logger.errorSync('Error getting price drop history:', error);
-      return [];
+      logger.errorSync('Error finding tracked item by product:', error);
+      return null;
     }
   }
 
   /**
-   * Save price drop history
-   * @param {Array} history - Array of price drop notifications
-   * @returns {Promise<boolean>} Success status
+   * Sort tracked items by the time of their first price entry, items without price history last
+   * @private
    */
-  async savePriceDropHistory(history) {
-    try {
-      await browser.storage.local.set({ [this.storageKeys.PRICE_DROP_HISTORY]: history });
-      return true;
-    } catch (error) {
-      logger.errorSync('Error saving price drop history:', error);
-      return false;
-    }
+  _sortByFirstTracked(items) {
+    const firstTracked = item => item.history.length > 0 ? new Date(item.history[0].timestamp).getTime() : Infinity;
+    return [...items].sort((a, b) => firstTracked(a) - firstTracked(b));
   }
 
   /**
-   * Add notification to price drop history
-   * @param {string} url - Product URL
-   * @param {string} productName - Product name
-   * @param {number} oldPrice - Previous price
-   * @param {number} newPrice - New price
-   * @param {string} imageUrl - Product image URL (optional)
-   * @returns {Promise<boolean>} Success status
+   * Get a key identifying a price entry, entries with the same key are the same observation
    */
-  async addNotificationToHistory(url, productName, oldPrice, newPrice, imageUrl = '') {
-    try {
-      const history = await this.getPriceDropHistory();
-      
-      history.push({
-        url: url,
-        productName: productName,
-        oldPrice: oldPrice,
-        newPrice: newPrice,
-        imageUrl: imageUrl,
-        timestamp: new Date().toISOString(),
-        date: new Date().toISOString().split('T')[0]
-      });
-      
-      // Keep only the most recent 100 notifications
-      if (history.length > 100) {
-        history.shift(); // Remove oldest entry
-      }
-      
-      await this.savePriceDropHistory(history);
-      return true;
-    } catch (error) {
-      logger.errorSync('Error adding notification to history:', error);
-      return false;
-    }
+  getHistoryEntryKey(entry) {
+    return [entry.timestamp, entry.price.amountMinor, entry.price.currency, entry.price.raw, entry.availability].join('|');
   }
 
   /**
-   * Get last notification URL
-   * @returns {Promise<string|null>} Last notification URL or null
+   * Combine two price histories, entries of the other history that are already known are left out
+   * @param {Array} history - The price history that is kept
+   * @param {Array} otherHistory - The price history to add
+   * @returns {{history: Array, added: number}} The combined history sorted by time and the number of added entries
    */
-  async getLastNotificationUrl() {
-    try {
-      const result = await browser.storage.local.get([this.storageKeys.LAST_NOTIFICATION_URL]);
-      return result[this.storageKeys.LAST_NOTIFICATION_URL] || null;
-    } catch (error) {
-      logger.errorSync('Error getting last notification URL:', error);
-      return null;
-    }
+  mergePriceHistories(history, otherHistory) {
+    const knownEntries = new Set(history.map(entry => this.getHistoryEntryKey(entry)));
+    const newEntries = otherHistory.filter(entry => !knownEntries.has(this.getHistoryEntryKey(entry)));
+
+    return {
+      history: [...history, ...newEntries].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)),
+      added: newEntries.length
+    };
   }
 
   /**
-   * Save last notification URL
-   * @param {string} url - The URL to save
+   * Group the tracked items that are the same product
+   * @param {Array} trackedPrices - The tracked items
+   * @returns {Array<Array>} The groups of two or more items, each sorted with the earliest tracked item first
+   */
+  getDuplicateGroups(trackedPrices) {
+    const itemsByProduct = new Map();
+    trackedPrices.forEach(item => {
+      if (!itemsByProduct.has(item.productId)) {
+        itemsByProduct.set(item.productId, []);
+      }
+      itemsByProduct.get(item.productId).push(item);
+    });
+
+    return Array.from(itemsByProduct.values())
+      .filter(items => items.length > 1)
+      .map(items => this._sortByFirstTracked(items));
+  }
+
+  /**
+   * Merge the tracked items that are the same product into the earliest tracked one, which keeps its
+   * URL and gets the combined price history. Its own settings win, the settings it does not have (alert
+   * rules, check interval, snooze, picked price element) are taken from the duplicates, and it is checked
+   * next when the first of the group was due
    * @returns {Promise<boolean>} Success status
    */
-  async saveLastNotificationUrl(url) {
-    try {
-      await browser.storage.local.set({ [this.storageKeys.LAST_NOTIFICATION_URL]: url });
-      return true;
-    } catch (error) {
-      logger.errorSync('Error saving last notification URL:', error);
-      return false;
-    }
+  async mergeDuplicateItems() {
+    const primaryUrls = new Map();
+    const merged = await this.updateTrackedPrices(trackedPrices => {
+      const duplicateGroups = this.getDuplicateGroups(trackedPrices);
+      const primaryItems = new Map();
+
+      duplicateGroups.forEach(([primaryItem, ...duplicates]) => {
+        const mergedItem = duplicates.reduce((item, duplicate) => {
+          primaryUrls.set(duplicate.url, primaryItem.url);
+          return this.mergeItemSettings({ ...item, history: this.mergePriceHistories(item.history, duplicate.history).history }, duplicate);
+        }, primaryItem);
+        primaryItems.set(primaryItem.url, mergedItem);
+      });
+
+      logger.logSync(`Merged ${primaryUrls.size} duplicate items into ${primaryItems.size} items`);
+      return trackedPrices
+        .filter(item => !primaryUrls.has(item.url))
+        .map(item => primaryItems.get(item.url) || item);
+    });
+
+    return merged && await this._mergeDuplicateRecipesAndSchedule(primaryUrls);
   }
 
   /**
-   * Get API key
-   * @returns {Promise<string|null>} API key or null
+   * Take the settings an item does not have from a duplicate of it
+   * @param {Object} item - The item that is kept
+   * @param {Object} duplicate - The duplicate that is merged into it
+   * @returns {Object} The item with the combined settings
    */
-  async getApiKey() {
-    try {
-      const result = await browser.storage.local.get([this.storageKeys.API_KEY]);
-      return result[this.storageKeys.API_KEY] || null;
-    } catch (error) {
-      logger.errorSync('Error getting API key:', error);
-      return null;
-    }
+  mergeItemSettings(item, duplicate) {
+    const rules = item.alertRules;
+    const duplicateRules = duplicate.alertRules;
+    const mergedItem = {
+      ...item,
+      alertRules: {
+        targetPrice: rules.targetPrice || duplicateRules.targetPrice,
+        minDropPercent: rules.minDropPercent ?? duplicateRules.minDropPercent,
+        allTimeLowOnly: rules.allTimeLowOnly || duplicateRules.allTimeLowOnly,
+        types: Object.fromEntries(this.alertTypes.map(type => [type, rules.types[type] ?? duplicateRules.types[type]]))
+      }
+    };
+
+    ['checkInterval', 'snoozedUntil'].forEach(setting => {
+      if (mergedItem[setting] === undefined && duplicate[setting] !== undefined) {
+        mergedItem[setting] = duplicate[setting];
+      }
+    });
+    return mergedItem;
   }
 
   /**
-   * Get price alarm enabled status
-   * @returns {Promise<boolean>} Price alarm enabled status
+   * Move the selector recipes and next check times of merged duplicates to the items they were merged into
+   * @param {Map} primaryUrls - The URL of the kept item by duplicate URL
+   * @returns {Promise<boolean>} Success status
+   * @private
    */
-  async getPriceAlarmEnabled() {
+  async _mergeDuplicateRecipesAndSchedule(primaryUrls) {
+    if (primaryUrls.size === 0) {
+      return true;
+    }
+
     try {
-      const result = await browser.storage.local.get([this.storageKeys.PRICE_ALARM_ENABLED]);
-      return result[this.storageKeys.PRICE_ALARM_ENABLED] || false;
+      const recipes = await this.getSelectorRecipes();
+      const schedule = await this.getCheckSchedule();
+
+      primaryUrls.forEach((primaryUrl, duplicateUrl) => {
+        if (recipes.items[duplicateUrl] && !recipes.items[primaryUrl]) {
+          recipes.items[primaryUrl] = recipes.items[duplicateUrl];
+        }
+        delete recipes.items[duplicateUrl];
+
+        if (schedule[duplicateUrl] && (!schedule[primaryUrl] || new Date(schedule[duplicateUrl]) < new Date(schedule[primaryUrl]))) {
+          schedule[primaryUrl] = schedule[duplicateUrl];
+        }
+        delete schedule[duplicateUrl];
+      });
+
+      await browser.storage.local.set({ [this.storageKeys.SELECTOR_RECIPES]: recipes });
+      return await this.saveCheckSchedule(schedule);
     } catch (error) {
-      logger.errorSync('Error getting price alarm enabled status:', error);
+      logger.errorSync('Error merging the recipes and schedule of duplicate items:', error);
       return false;
     }
   }
 
   /**
-   * Get view mode
-   * @returns {Promise<string>} View mode
+   * Remove the price history of all tracked items, the items stay tracked
+   * @returns {Promise<boolean>} Success status
    */
-  async getViewMode() {
-    try {
+  async clearPriceHistory() {
+    return this.updateTrackedPrices(trackedPrices => trackedPrices.map(item => ({ ...item, history: [] })));
+  }
+
+  /**
+   * Remove an entry from the price history of a tracked item, the item is removed with its last entry
+   * @param {string} url - The URL of the item
+   * @param {string} timestamp - The timestamp of the entry
+   * @returns {Promise<boolean>} Success status
+   */
+  async deletePriceEntry(url, timestamp) {
+    return this._queueWrite(async () => {
+      try {
+        const trackedItem = await this._getTrackedPriceItem(url);
+        if (!trackedItem) {
+          throw new Error(`No tracked item found for ${url}`);
+        }
+
+        const remainingEntries = trackedItem.history.filter(entry => entry.timestamp !== timestamp);
+        if (remainingEntries.length === 0) {
+          return await this._removeTrackedItem(url);
+        }
+
+        const storage = await this.getStorageAdapter();
+        await storage.deleteObservation(url, timestamp);
+        await this.notifyChange(this.storageKeys.ITEMS_REVISION);
+        return true;
+      } catch (error) {
+        logger.errorSync('Error deleting price entry:', error);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Save the alert rules of a tracked item
+   * @param {string} url - The URL of the item
+   * @param {Object} rules - The alert rules ({targetPrice, minDropPercent, allTimeLowOnly})
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveAlertRules(url, rules) {
+    return this._queueWrite(async () => {
+      try {
+        const trackedItem = await this._getTrackedPriceItem(url);
+
+        if (!trackedItem) {
+          throw new Error(`No tracked item found for ${url}`);
+        }
+
+        trackedItem.alertRules = this._validateAlertRules(rules);
+        await this._saveTrackedPriceItem(trackedItem);
+        await this.notifyItemEdit([url]);
+        return true;
+      } catch (error) {
+        logger.errorSync('Error saving alert rules:', error);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Snooze the notifications of a tracked item, prices are still checked and recorded
+   * @param {string} url - The URL of the item
+   * @param {string|null} snoozedUntil - ISO timestamp until which no notifications are sent, null to resume them
+   * @returns {Promise<boolean>} Success status
+   */
+  async snoozeItem(url, snoozedUntil) {
+    return this._queueWrite(async () => {
+      try {
+        const trackedItem = await this._getTrackedPriceItem(url);
+
+        if (!trackedItem) {
+          throw new Error(`No tracked item found for ${url}`);
+        }
+
+        if (snoozedUntil) {
+          trackedItem.snoozedUntil = snoozedUntil;
+        } else {
+          delete trackedItem.snoozedUntil;
+        }
+        await this._saveTrackedPriceItem(trackedItem);
+        await this.notifyItemEdit([url]);
+        return true;
+      } catch (error) {
+        logger.errorSync('Error snoozing item:', error);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Set how often a tracked item is checked automatically
+   * @param {string} url - The URL of the item
+   * @param {number|null} checkInterval - The interval in minutes, null to follow the global check interval
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveCheckInterval(url, checkInterval) {
+    return this._queueWrite(async () => {
+      try {
+        const trackedItem = await this._getTrackedPriceItem(url);
+
+        if (!trackedItem) {
+          throw new Error(`No tracked item found for ${url}`);
+        }
+
+        if (checkInterval === null) {
+          delete trackedItem.checkInterval;
+        } else if (this._isValidCheckInterval(checkInterval)) {
+          trackedItem.checkInterval = checkInterval;
+        } else {
+          throw new Error(`Invalid check interval: ${checkInterval}`);
+        }
+
+        await this._saveTrackedPriceItem(trackedItem);
+        await this.notifyItemEdit([url]);
+        return true;
+      } catch (error) {
+        logger.errorSync('Error saving check interval:', error);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Save the settings of a tracked item received from another device, creating the item if it is not tracked yet
+   * @param {string} url - The URL of the item
+   * @param {Object} settings - The item settings ({name, imageUrl, alertRules, snoozedUntil})
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveTrackedItemSettings(url, settings) {
+    return this._queueWrite(async () => {
+      try {
+        const trackedItem = await this._getTrackedPriceItem(url) || this.createTrackedPriceItem(url, settings.name, settings.imageUrl);
+
+        trackedItem.name = settings.name || trackedItem.name;
+        trackedItem.imageUrl = settings.imageUrl || trackedItem.imageUrl;
+        trackedItem.alertRules = this._validateAlertRules(settings.alertRules);
+        if (settings.snoozedUntil) {
+          trackedItem.snoozedUntil = settings.snoozedUntil;
+        } else {
+          delete trackedItem.snoozedUntil;
+        }
+        if (settings.checkInterval) {
+          trackedItem.checkInterval = settings.checkInterval;
+        } else {
+          delete trackedItem.checkInterval;
+        }
+
+        await this._saveTrackedPriceItem(trackedItem);
+
+        const trackedItems = await this.getTrackedItems();
+        trackedItems[url] = { name: trackedItem.name, imageUrl: trackedItem.imageUrl || '' };
+        await this.saveTrackedItems(trackedItems);
+        return true;
+      } catch (error) {
+        logger.errorSync('Error saving tracked item settings:', error);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Determine if a new price should be added to history
+   * @param {Object} lastEntry - The last recorded history entry
+   * @param {Object|string} newPrice - The new price to compare
+   * @param {string} newAvailability - The new availability (an empty string when unknown)
+   * @returns {boolean} True if the price should be added to history
+   * @private
+   */
+  _shouldAddPriceToHistory(lastEntry, newPrice, newAvailability = '') {
+    logger.logSync("Last entry: ", lastEntry);
+    logger.logSync("New price: ", newPrice, newAvailability);
+
+    // If there's no last entry, always add the new price
+    if (!lastEntry) {
+      return true;
+    }
+
+    // A known availability that changed is recorded even if the price did not
+    if (newAvailability && newAvailability !== (lastEntry.availability || '')) {
+      return true;
+    }
+
+    // Consecutive checks without a price (e.g. out of stock pages) are not repeated
+    if (!PriceParser.isValid(PriceParser.normalize(lastEntry.price)) && !PriceParser.isValid(PriceParser.normalize(newPrice))) {
+      return false;
+    }
+
+    // Prices in another currency or that cannot be compared are recorded as well
+    return !PriceParser.equals(lastEntry.price, newPrice);
+  }
+
+  /**
+   * Get the stored alert events, newest first
+   * @returns {Promise<Array>} Alerts ({id, type, url, productName, imageUrl, oldPrice, newPrice, days, timestamp, read})
+   */
+  async getAlerts() {
+    try {
+      const storage = await this.getStorageAdapter();
+      return await storage.getAlerts();
+    } catch (error) {
+      logger.errorSync('Error getting alerts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Create an alert event, new alerts are unread
+   * @param {Object} alert - The alert ({type, url, productName, imageUrl, oldPrice, newPrice, days, timestamp, read})
+   * @returns {Object} The alert event
+   */
+  createAlert(alert) {
+    return {
+      id: alert.id || `alert-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+      type: alert.type || 'drop',
+      url: alert.url,
+      productName: alert.productName || 'Unknown Product',
+      imageUrl: alert.imageUrl || '',
+      oldPrice: alert.oldPrice ? PriceParser.normalize(alert.oldPrice) : null,
+      newPrice: alert.newPrice ? PriceParser.normalize(alert.newPrice) : null,
+      days: alert.days || null,
+      timestamp: alert.timestamp || new Date().toISOString(),
+      read: alert.read === true
+    };
+  }
+
+  /**
+   * Store an alert event, the local storage backend only keeps the most recent alerts
+   * @param {Object} alert - The alert (see createAlert)
+   * @returns {Promise<boolean>} Success status
+   */
+  async addAlert(alert) {
+    return this._queueWrite(async () => {
+      try {
+        const storage = await this.getStorageAdapter();
+        await storage.addAlert(this.createAlert(alert));
+        await this.notifyChange(this.storageKeys.ALERTS_REVISION);
+        return true;
+      } catch (error) {
+        logger.errorSync('Error adding alert:', error);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Mark alert events as read
+   * The alerts are written in the write queue, extension pages ask the background to mark them
+   * (see requestTrackedDataUpdate), so an alert stored in the meantime is not overwritten
+   * @param {Array<string>|null} alertIds - The IDs of the alerts, all alerts when null
+   * @returns {Promise<boolean>} Success status
+   */
+  async markAlertsRead(alertIds = null) {
+    return this._queueWrite(async () => {
+      try {
+        const alerts = await this.getAlerts();
+        const readAlerts = alerts
+          .filter(alert => !alert.read && (!alertIds || alertIds.includes(alert.id)))
+          .map(alert => ({ ...alert, read: true }));
+
+        if (readAlerts.length === 0) {
+          return true;
+        }
+
+        const storage = await this.getStorageAdapter();
+        await storage.updateAlerts(readAlerts);
+        await this.notifyChange(this.storageKeys.ALERTS_REVISION);
+        return true;
+      } catch (error) {
+        logger.errorSync('Error marking alerts as read:', error);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Get the number of unread alert events
+   * @returns {Promise<number>} The unread count
+   */
+  async getUnreadAlertCount() {
+    const alerts = await this.getAlerts();
+    return alerts.filter(alert => !alert.read).length;
+  }
+
+  /**
+   * Remove all alert events
+   * @returns {Promise<boolean>} Success status
+   */
+  async clearAlerts() {
+    return this._queueWrite(async () => {
+      try {
+        const storage = await this.getStorageAdapter();
+        await storage.clearAlerts();
+        await this.notifyChange(this.storageKeys.ALERTS_REVISION);
+        return true;
+      } catch (error) {
+        logger.errorSync('Error clearing alerts:', error);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Get the item URL a notification was sent for
+   * @param {string} notificationId - The notification ID
+   * @returns {Promise<string|null>} The item URL or null
+   */
+  async getNotificationTarget(notificationId) {
+    try {
+      const result = await browser.storage.local.get([this.storageKeys.NOTIFICATION_TARGETS]);
+      const targets = result[this.storageKeys.NOTIFICATION_TARGETS] || {};
+      return targets[notificationId]?.url || null;
+    } catch (error) {
+      logger.errorSync('Error getting notification target:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Remember the item URL a notification was sent for
+   * Only the most recent 100 targets are kept, older notifications have left the notification center by then.
+   * Queued, so the targets of alerts raised by checks that run at the same time do not overwrite each other
+   * @param {string} notificationId - The notification ID
+   * @param {string} url - The item URL
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveNotificationTarget(notificationId, url) {
+    return this._queueWrite(async () => {
+      try {
+        const result = await browser.storage.local.get([this.storageKeys.NOTIFICATION_TARGETS]);
+        const targets = result[this.storageKeys.NOTIFICATION_TARGETS] || {};
+        targets[notificationId] = { url: url, createdAt: new Date().toISOString() };
+
+        const latestTargets = Object.entries(targets)
+          .sort(([, a], [, b]) => new Date(b.createdAt) - new Date(a.createdAt))
+          .slice(0, 100);
+
+        await browser.storage.local.set({ [this.storageKeys.NOTIFICATION_TARGETS]: Object.fromEntries(latestTargets) });
+        return true;
+      } catch (error) {
+        logger.errorSync('Error saving notification target:', error);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Forget the target of a closed notification
+   * @param {string} notificationId - The notification ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeNotificationTarget(notificationId) {
+    return this._queueWrite(async () => {
+      try {
+        const result = await browser.storage.local.get([this.storageKeys.NOTIFICATION_TARGETS]);
+        const targets = result[this.storageKeys.NOTIFICATION_TARGETS] || {};
+        if (targets[notificationId]) {
+          delete targets[notificationId];
+          await browser.storage.local.set({ [this.storageKeys.NOTIFICATION_TARGETS]: targets });
+        }
+        return true;
+      } catch (error) {
+        logger.errorSync('Error removing notification target:', error);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Get how the changes found by automatic checks are notified
+   * @returns {Promise<string>} 'item' for one notification per change or 'digest' for one summary per check run
+   */
+  async getNotificationMode() {
+    try {
+      const result = await browser.storage.local.get([this.storageKeys.NOTIFICATION_MODE]);
+      return result[this.storageKeys.NOTIFICATION_MODE] === 'digest' ? 'digest' : 'item';
+    } catch (error) {
+      logger.errorSync('Error getting notification mode:', error);
+      return 'item';
+    }
+  }
+
+  /**
+   * Save how the changes found by automatic checks are notified
+   * @param {string} mode - 'item' or 'digest'
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveNotificationMode(mode) {
+    try {
+      await browser.storage.local.set({ [this.storageKeys.NOTIFICATION_MODE]: mode === 'digest' ? 'digest' : 'item' });
+      return true;
+    } catch (error) {
+      logger.errorSync('Error saving notification mode:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Check if the item list, alert rules and settings are synced through Firefox sync storage
+   * @returns {Promise<boolean>} True if sync is turned on for this browser
+   */
+  async getSyncEnabled() {
+    try {
+      const result = await browser.storage.local.get([this.storageKeys.SYNC_ENABLED]);
+      return result[this.storageKeys.SYNC_ENABLED] === true;
+    } catch (error) {
+      logger.errorSync('Error getting sync setting:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Turn syncing through Firefox sync storage on or off for this browser
+   * @param {boolean} enabled - True to sync
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveSyncEnabled(enabled) {
+    try {
+      await browser.storage.local.set({ [this.storageKeys.SYNC_ENABLED]: enabled === true });
+      return true;
+    } catch (error) {
+      logger.errorSync('Error saving sync setting:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the state of the last sync
+   * @returns {Promise<Object>} The synced document ({items, settings}) as last seen, lastSyncedAt and lastError
+   */
+  async getSyncState() {
+    try {
+      const result = await browser.storage.local.get([this.storageKeys.SYNC_STATE]);
+      const state = result[this.storageKeys.SYNC_STATE] || {};
+      return {
+        document: state.document || { items: {}, settings: {} },
+        lastSyncedAt: state.lastSyncedAt || null,
+        lastError: state.lastError || null
+      };
+    } catch (error) {
+      logger.errorSync('Error getting sync state:', error);
+      return { document: { items: {}, settings: {} }, lastSyncedAt: null, lastError: null };
+    }
+  }
+
+  /**
+   * Save the state of the last sync
+   * @param {Object} state - The state (see getSyncState)
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveSyncState(state) {
+    try {
+      await browser.storage.local.set({ [this.storageKeys.SYNC_STATE]: state });
+      return true;
+    } catch (error) {
+      logger.errorSync('Error saving sync state:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Normalize a webhook, webhooks without a valid http(s) URL are dropped
+   * @param {Object} webhook - The webhook ({id, url, template, enabled})
+   * @returns {Object|null} The normalized webhook or null
+   */
+  _validateWebhook(webhook) {
+    const url = String(webhook?.url || '').trim();
+    try {
+      if (!['http:', 'https:'].includes(new URL(url).protocol)) {
+        return null;
+      }
+    } catch (error) {
+      return null;
+    }
+
+    return {
+      id: webhook.id || `webhook-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+      url: url,
+      template: ['json', 'slack', 'discord', 'ntfy', 'matrix'].includes(webhook.template) ? webhook.template : 'json',
+      enabled: webhook.enabled !== false
+    };
+  }
+
+  /**
+   * Get the configured webhooks
+   * @returns {Promise<Array>} Webhooks ({id, url, template, enabled})
+   */
+  async getWebhooks() {
+    try {
+      const result = await browser.storage.local.get([this.storageKeys.WEBHOOKS]);
+      const webhooks = result[this.storageKeys.WEBHOOKS];
+      return Array.isArray(webhooks) ? webhooks.map(webhook => this._validateWebhook(webhook)).filter(Boolean) : [];
+    } catch (error) {
+      logger.errorSync('Error getting webhooks:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save the configured webhooks, webhooks without a valid URL are dropped
+   * @param {Array} webhooks - Webhooks ({id, url, template, enabled})
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveWebhooks(webhooks) {
+    try {
+      const validWebhooks = (webhooks || []).map(webhook => this._validateWebhook(webhook)).filter(Boolean);
+      await browser.storage.local.set({ [this.storageKeys.WEBHOOKS]: validWebhooks });
+      return true;
+    } catch (error) {
+      logger.errorSync('Error saving webhooks:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the global alert type settings
+   * @returns {Promise<Object>} {types: {drop, increase, all_time_low, lowest_in_days}, lowestInDays}
+   */
+  async getAlertTypeSettings() {
+    try {
+      const result = await browser.storage.local.get([this.storageKeys.ALERT_TYPES]);
+      return this._validateAlertTypeSettings(result[this.storageKeys.ALERT_TYPES]);
+    } catch (error) {
+      logger.errorSync('Error getting alert type settings:', error);
+      return this._validateAlertTypeSettings(null);
+    }
+  }
+
+  /**
+   * Save the global alert type settings
+   * @param {Object} settings - {types: {drop, increase, all_time_low, lowest_in_days}, lowestInDays}
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveAlertTypeSettings(settings) {
+    try {
+      await browser.storage.local.set({ [this.storageKeys.ALERT_TYPES]: this._validateAlertTypeSettings(settings) });
+      return true;
+    } catch (error) {
+      logger.errorSync('Error saving alert type settings:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Normalize the global alert type settings, only price drops are notified by default
+   */
+  _validateAlertTypeSettings(settings) {
+    const lowestInDays = Number(settings?.lowestInDays);
+
+    return {
+      types: Object.fromEntries(this.alertTypes.map(type => [
+        type,
+        typeof settings?.types?.[type] === 'boolean' ? settings.types[type] : type === 'drop'
+      ])),
+      lowestInDays: Number.isInteger(lowestInDays) && lowestInDays >= 1 && lowestInDays <= 365 ? lowestInDays : 30
+    };
+  }
+
+  /**
+   * Get the digests of the latest check runs
+   * @returns {Promise<Array>} Digests ({id, trigger, createdAt, changes}), newest first
+   */
+  async getCheckDigests() {
+    try {
+      const result = await browser.storage.local.get([this.storageKeys.CHECK_DIGESTS]);
+      const digests = result[this.storageKeys.CHECK_DIGESTS];
+      return Array.isArray(digests) ? digests : [];
+    } catch (error) {
+      logger.errorSync('Error getting check digests:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the digest of a check run
+   * @param {string|null} digestId - The digest ID, the latest digest is returned when missing
+   * @returns {Promise<Object|null>} The digest or null
+   */
+  async getCheckDigest(digestId = null) {
+    const digests = await this.getCheckDigests();
+    return (digestId ? digests.find(digest => digest.id === digestId) : digests[0]) || null;
+  }
+
+  /**
+   * Save the digest of a check run, only the most recent 20 digests are kept
+   * @param {Object} digest - The digest ({id, trigger, createdAt, changes})
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveCheckDigest(digest) {
+    try {
+      const digests = await this.getCheckDigests();
+      digests.unshift(digest);
+      await browser.storage.local.set({ [this.storageKeys.CHECK_DIGESTS]: digests.slice(0, 20) });
+      return true;
+    } catch (error) {
+      logger.errorSync('Error saving check digest:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get last notification URL
+   * @returns {Promise<string|null>} Last notification URL or null
+   */
+  async getLastNotificationUrl() {
+    try {
+      const result = await browser.storage.local.get([this.storageKeys.LAST_NOTIFICATION_URL]);
+      return result[this.storageKeys.LAST_NOTIFICATION_URL] || null;
+    } catch (error) {
+      logger.errorSync('Error getting last notification URL:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save last notification URL
+   * @param {string} url - The URL to save
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveLastNotificationUrl(url) {
+    try {
+      await browser.storage.local.set({ [this.storageKeys.LAST_NOTIFICATION_URL]: url });
+      return true;
+    } catch (error) {
+      logger.errorSync('Error saving last notification URL:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get API key
+   * @returns {Promise<string|null>} API key or null
+   */
+  async getApiKey() {
+    try {
+      const result = await browser.storage.local.get([this.storageKeys.API_KEY]);
+      return result[this.storageKeys.API_KEY] || null;
+    } catch (error) {
+      logger.errorSync('Error getting API key:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the selected LLM provider and the settings of every provider
+   * Keys saved before providers existed are used as the OpenAI key
+   * @returns {Promise<{provider: string, providerSettings: Object}>} LLM settings
+   */
+  async getLLMSettings() {
+    try {
+      const result = await browser.storage.local.get([
+        this.storageKeys.LLM_PROVIDER,
+        this.storageKeys.LLM_PROVIDER_SETTINGS,
+        this.storageKeys.API_KEY
+      ]);
+      const providerSettings = result[this.storageKeys.LLM_PROVIDER_SETTINGS] || {};
+      const legacyApiKey = result[this.storageKeys.API_KEY];
+
+      if (legacyApiKey && !providerSettings.openai?.apiKey) {
+        providerSettings.openai = { ...providerSettings.openai, apiKey: legacyApiKey };
+      }
+
+      return {
+        provider: result[this.storageKeys.LLM_PROVIDER] || 'openai',
+        providerSettings: providerSettings
+      };
+    } catch (error) {
+      logger.errorSync('Error getting LLM settings:', error);
+      return { provider: 'openai', providerSettings: {} };
+    }
+  }
+
+  /**
+   * Save the selected LLM provider and the settings of every provider
+   * @param {string} provider - The selected provider ID
+   * @param {Object} providerSettings - Settings keyed by provider ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveLLMSettings(provider, providerSettings) {
+    try {
+      await browser.storage.local.set({
+        [this.storageKeys.LLM_PROVIDER]: provider,
+        [this.storageKeys.LLM_PROVIDER_SETTINGS]: providerSettings
+      });
+      return true;
+    } catch (error) {
+      logger.errorSync('Error saving LLM settings:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the stored selector recipes
+   * @returns {Promise<{items: Object, domains: Object}>} Recipes keyed by item URL and by domain
+   */
+  async getSelectorRecipes() {
+    try {
+      const result = await browser.storage.local.get([this.storageKeys.SELECTOR_RECIPES]);
+      const recipes = result[this.storageKeys.SELECTOR_RECIPES] || {};
+      return {
+        items: recipes.items || {},
+        domains: recipes.domains || {}
+      };
+    } catch (error) {
+      logger.errorSync('Error getting selector recipes:', error);
+      return { items: {}, domains: {} };
+    }
+  }
+
+  /**
+   * Get the selector recipe for a URL, preferring the one picked for the item over the domain's
+   * @param {string} url - The product URL
+   * @returns {Promise<Object|null>} The selector recipe or null
+   */
+  async getSelectorRecipe(url) {
+    const recipes = await this.getSelectorRecipes();
+    return recipes.items[url] || recipes.domains[this._getDomain(url)] || null;
+  }
+
+  /**
+   * Save a selector recipe for an item, and as the default for the item's domain when the user asks for it
+   * (a domain recipe is applied to every item of the domain ahead of its structured data)
+   * @param {string} url - The product URL the element was picked on
+   * @param {Object} recipe - The selector recipe
+   * @param {boolean} forDomain - Also use the recipe for the other items of the domain
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveSelectorRecipe(url, recipe, forDomain = false) {
+    try {
+      const recipes = await this.getSelectorRecipes();
+      recipes.items[url] = recipe;
+      if (forDomain) {
+        recipes.domains[this._getDomain(url)] = recipe;
+      }
+
+      await browser.storage.local.set({ [this.storageKeys.SELECTOR_RECIPES]: recipes });
+      return true;
+    } catch (error) {
+      logger.errorSync('Error saving selector recipe:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the host name of a URL without the www. prefix
+   * @param {string} url - The URL
+   * @returns {string} The domain or an empty string for invalid URLs
+   * @private
+   */
+  _getDomain(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Get the extraction cached for an item if the page content has not changed since
+   * @param {string} url - The product URL
+   * @param {string} fingerprint - The fingerprint of the current page content
+   * @returns {Promise<Object|null>} The cached extraction or null on a fingerprint mismatch
+   */
+  async getCachedExtraction(url, fingerprint) {
+    try {
+      const trackedItem = await this._getTrackedPriceItem(url);
+
+      if (!trackedItem || trackedItem.contentFingerprint !== fingerprint) {
+        return null;
+      }
+
+      return trackedItem.cachedExtraction;
+    } catch (error) {
+      logger.errorSync('Error getting cached extraction:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store the fingerprint of the checked page content with the extraction it produced
+   * @param {string} url - The product URL
+   * @param {string} fingerprint - The fingerprint of the page content
+   * @param {Object} extraction - The extracted product data ({name, price, availability})
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveCachedExtraction(url, fingerprint, extraction) {
+    return this._queueWrite(async () => {
+      try {
+        const trackedItem = await this._getTrackedPriceItem(url);
+
+        // Items are created by the first price, the next check fills the cache
+        if (!trackedItem) {
+          return false;
+        }
+
+        trackedItem.contentFingerprint = fingerprint;
+        trackedItem.cachedExtraction = {
+          name: extraction.name,
+          price: extraction.price,
+          availability: extraction.availability || ''
+        };
+
+        await this._saveTrackedPriceItem(trackedItem);
+        return true;
+      } catch (error) {
+        logger.errorSync('Error saving cached extraction:', error);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Record the outcome of an automatic check of a tracked item
+   * @param {string} url - The product URL
+   * @param {Object|null} error - {type, message} of the failure (see CheckError), null if the check succeeded
+   * @returns {Promise<boolean>} Success status
+   */
+  async recordCheckResult(url, error = null) {
+    return this._queueWrite(async () => {
+      try {
+        const trackedItem = await this._getTrackedPriceItem(url);
+
+        // The item was removed while it was being checked
+        if (!trackedItem) {
+          return false;
+        }
+
+        const now = new Date().toISOString();
+        const health = trackedItem.health || { lastSuccess: null, lastFailure: null, consecutiveFailures: 0, lastError: null };
+
+        if (error) {
+          trackedItem.health = {
+            ...health,
+            lastFailure: now,
+            consecutiveFailures: health.consecutiveFailures + 1,
+            lastError: { type: error.type || '', message: error.message }
+          };
+        } else {
+          trackedItem.health = { ...health, lastSuccess: now, consecutiveFailures: 0, lastError: null };
+        }
+
+        await this._saveTrackedPriceItem(trackedItem);
+        return true;
+      } catch (saveError) {
+        logger.errorSync('Error recording check result:', saveError);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Check if the automatic checks of a tracked item keep failing
+   * @param {Object} item - The tracked item
+   * @returns {boolean} True if the last BROKEN_AFTER_FAILURES checks failed
+   */
+  isItemBroken(item) {
+    return (item?.health?.consecutiveFailures || 0) >= this.BROKEN_AFTER_FAILURES;
+  }
+
+  /**
+   * Check if the notifications of a tracked item are snoozed
+   * @param {Object} item - The tracked item
+   * @returns {boolean} True if the item is snoozed until a time still to come
+   */
+  isItemSnoozed(item) {
+    return Boolean(item?.snoozedUntil) && new Date(item.snoozedUntil) > new Date();
+  }
+
+  /**
+   * Get the time a tracked item is snoozed until when it is snoozed now
+   * @returns {string} ISO timestamp SNOOZE_DAYS from now
+   */
+  getSnoozeEnd() {
+    return new Date(Date.now() + this.SNOOZE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  /**
+   * Get the fingerprint hit/miss counters
+   * @returns {Promise<{hits: number, misses: number, since: string|null}>} The counters
+   */
+  async getFingerprintStats() {
+    try {
+      const result = await browser.storage.local.get([this.storageKeys.FINGERPRINT_STATS]);
+      return {
+        hits: 0,
+        misses: 0,
+        since: null,
+        ...result[this.storageKeys.FINGERPRINT_STATS]
+      };
+    } catch (error) {
+      logger.errorSync('Error getting fingerprint stats:', error);
+      return { hits: 0, misses: 0, since: null };
+    }
+  }
+
+  /**
+   * Count a fingerprint lookup
+   * @param {boolean} hit - True if the cached extraction was reused
+   * @returns {Promise<boolean>} Success status
+   */
+  async recordFingerprintLookup(hit) {
+    // Queued, so lookups of checks that run at the same time are all counted
+    return this._queueWrite(async () => {
+      try {
+        const stats = await this.getFingerprintStats();
+        stats[hit ? 'hits' : 'misses']++;
+        stats.since = stats.since || new Date().toISOString();
+
+        await browser.storage.local.set({ [this.storageKeys.FINGERPRINT_STATS]: stats });
+        return true;
+      } catch (error) {
+        logger.errorSync('Error recording fingerprint lookup:', error);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Reset the fingerprint hit/miss counters
+   * @returns {Promise<boolean>} Success status
+   */
+  async resetFingerprintStats() {
+    try {
+      await browser.storage.local.remove(this.storageKeys.FINGERPRINT_STATS);
+      return true;
+    } catch (error) {
+      logger.errorSync('Error resetting fingerprint stats:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the recorded LLM usage
+   * @returns {Promise<Object>} {days, months, recentCalls, budgetNotifiedMonth} (see UsageTracker)
+   */
+  async getUsageStats() {
+    try {
+      const result = await browser.storage.local.get([this.storageKeys.LLM_USAGE]);
+      const usage = result[this.storageKeys.LLM_USAGE] || {};
+      return {
+        days: usage.days || {},
+        months: usage.months || {},
+        recentCalls: Array.isArray(usage.recentCalls) ? usage.recentCalls : [],
+        budgetNotifiedMonth: usage.budgetNotifiedMonth || null
+      };
+    } catch (error) {
+      logger.errorSync('Error getting LLM usage:', error);
+      return { days: {}, months: {}, recentCalls: [], budgetNotifiedMonth: null };
+    }
+  }
+
+  /**
+   * Save the recorded LLM usage
+   * @param {Object} usage - The usage stats
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveUsageStats(usage) {
+    try {
+      await browser.storage.local.set({ [this.storageKeys.LLM_USAGE]: usage });
+      return true;
+    } catch (error) {
+      logger.errorSync('Error saving LLM usage:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Change the recorded LLM usage, queued so calls of checks that run at the same time are all recorded
+   * @param {Function} update - Receives the usage stats and returns the new stats, or null to keep them
+   * @returns {Promise<boolean>} True if new stats were saved
+   */
+  async updateUsageStats(update) {
+    return this._queueWrite(async () => {
+      const usage = update(await this.getUsageStats());
+      return usage ? await this.saveUsageStats(usage) : false;
+    });
+  }
+
+  /**
+   * Get the monthly LLM budget
+   * @returns {Promise<number>} The budget in USD, 0 when there is no limit
+   */
+  async getMonthlyBudget() {
+    try {
+      const result = await browser.storage.local.get([this.storageKeys.MONTHLY_BUDGET]);
+      return Number(result[this.storageKeys.MONTHLY_BUDGET]) || 0;
+    } catch (error) {
+      logger.errorSync('Error getting monthly budget:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Save the monthly LLM budget
+   * @param {number} budget - The budget in USD, 0 for no limit
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveMonthlyBudget(budget) {
+    try {
+      await browser.storage.local.set({ [this.storageKeys.MONTHLY_BUDGET]: budget });
+      return true;
+    } catch (error) {
+      logger.errorSync('Error saving monthly budget:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get price alarm enabled status
+   * @returns {Promise<boolean>} Price alarm enabled status
+   */
+  async getPriceAlarmEnabled() {
+    try {
+      const result = await browser.storage.local.get([this.storageKeys.PRICE_ALARM_ENABLED]);
+      return result[this.storageKeys.PRICE_ALARM_ENABLED] || false;
+    } catch (error) {
+      logger.errorSync('Error getting price alarm enabled status:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the global check interval, used by the items without their own interval
+   * @returns {Promise<number>} The interval in minutes
+   */
+  async getCheckInterval() {
+    try {
+      const result = await browser.storage.local.get([this.storageKeys.CHECK_INTERVAL]);
+      const checkInterval = result[this.storageKeys.CHECK_INTERVAL];
+      return this._isValidCheckInterval(checkInterval) ? checkInterval : 60;
+    } catch (error) {
+      logger.errorSync('Error getting check interval:', error);
+      return 60;
+    }
+  }
+
+  /**
+   * Get the limits of the check runner
+   * @returns {Promise<{concurrency: number, domainDelay: number}>} The number of checks run at once and the
+   *   minimum delay between checks of the same shop in milliseconds
+   */
+  async getCheckRunnerSettings() {
+    const settings = { concurrency: 2, domainDelay: 10000 };
+
+    try {
+      const result = await browser.storage.local.get([this.storageKeys.CHECK_CONCURRENCY, this.storageKeys.DOMAIN_DELAY]);
+      const concurrency = result[this.storageKeys.CHECK_CONCURRENCY];
+      const domainDelay = result[this.storageKeys.DOMAIN_DELAY];
+
+      if (Number.isInteger(concurrency) && concurrency >= 1 && concurrency <= 10) {
+        settings.concurrency = concurrency;
+      }
+      if (Number.isFinite(domainDelay) && domainDelay >= 0 && domainDelay <= 600) {
+        settings.domainDelay = domainDelay * 1000;
+      }
+    } catch (error) {
+      logger.errorSync('Error getting check runner settings:', error);
+    }
+
+    return settings;
+  }
+
+  /**
+   * Get the next automatic check time of the tracked items
+   * @returns {Promise<Object>} ISO timestamps by item URL
+   */
+  async getCheckSchedule() {
+    try {
+      const result = await browser.storage.local.get([this.storageKeys.CHECK_SCHEDULE]);
+      const schedule = result[this.storageKeys.CHECK_SCHEDULE];
+      return schedule && typeof schedule === 'object' ? schedule : {};
+    } catch (error) {
+      logger.errorSync('Error getting check schedule:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Save the next automatic check time of the tracked items
+   * @param {Object} schedule - ISO timestamps by item URL
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveCheckSchedule(schedule) {
+    try {
+      await browser.storage.local.set({ [this.storageKeys.CHECK_SCHEDULE]: schedule });
+      return true;
+    } catch (error) {
+      logger.errorSync('Error saving check schedule:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the items whose next check catches up on the checks missed while the browser was closed
+   * @returns {Promise<Array<string>>} The URLs of the items
+   */
+  async getCatchUpUrls() {
+    try {
+      const result = await browser.storage.local.get([this.storageKeys.CATCH_UP_URLS]);
+      const urls = result[this.storageKeys.CATCH_UP_URLS];
+      return Array.isArray(urls) ? urls : [];
+    } catch (error) {
+      logger.errorSync('Error getting catch-up items:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save the items whose next check catches up on the checks missed while the browser was closed
+   * @param {Array<string>} urls - The URLs of the items
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveCatchUpUrls(urls) {
+    try {
+      await browser.storage.local.set({ [this.storageKeys.CATCH_UP_URLS]: urls });
+      return true;
+    } catch (error) {
+      logger.errorSync('Error saving catch-up items:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the check window and quiet hours
+   * @returns {Promise<Object>} The settings (see CheckWindow)
+   */
+  async getSchedulingWindows() {
+    try {
+      const result = await browser.storage.local.get([this.storageKeys.SCHEDULING_WINDOWS]);
+      return this._validateSchedulingWindows(result[this.storageKeys.SCHEDULING_WINDOWS]);
+    } catch (error) {
+      logger.errorSync('Error getting scheduling windows:', error);
+      return CheckWindow.DEFAULTS;
+    }
+  }
+
+  /**
+   * Save the check window and quiet hours
+   * @param {Object} windows - The settings (see CheckWindow)
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveSchedulingWindows(windows) {
+    try {
+      await browser.storage.local.set({ [this.storageKeys.SCHEDULING_WINDOWS]: this._validateSchedulingWindows(windows) });
+      return true;
+    } catch (error) {
+      logger.errorSync('Error saving scheduling windows:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Validate the check window and quiet hours, invalid values fall back to the defaults
+   * @private
+   */
+  _validateSchedulingWindows(windows) {
+    const defaults = CheckWindow.DEFAULTS;
+    const isHour = hour => Number.isInteger(hour) && hour >= 0 && hour <= 23;
+    const checkWindow = windows?.checkWindow || {};
+    const quietHours = windows?.quietHours || {};
+    const days = Array.isArray(checkWindow.days) ?
+      [...new Set(checkWindow.days.filter(day => Number.isInteger(day) && day >= 0 && day <= 6))].sort((a, b) => a - b) : defaults.checkWindow.days;
+
+    return {
+      checkWindow: {
+        enabled: checkWindow.enabled === true,
+        startHour: isHour(checkWindow.startHour) ? checkWindow.startHour : defaults.checkWindow.startHour,
+        endHour: isHour(checkWindow.endHour) ? checkWindow.endHour : defaults.checkWindow.endHour,
+        days: days
+      },
+      quietHours: {
+        enabled: quietHours.enabled === true,
+        startHour: isHour(quietHours.startHour) ? quietHours.startHour : defaults.quietHours.startHour,
+        endHour: isHour(quietHours.endHour) ? quietHours.endHour : defaults.quietHours.endHour
+      }
+    };
+  }
+
+  /**
+   * Get the notifications held back during quiet hours
+   * @returns {Promise<Array>} The held notifications, oldest first
+   */
+  async getHeldNotifications() {
+    try {
+      const result = await browser.storage.local.get([this.storageKeys.HELD_NOTIFICATIONS]);
+      const held = result[this.storageKeys.HELD_NOTIFICATIONS];
+      return Array.isArray(held) ? held : [];
+    } catch (error) {
+      logger.errorSync('Error getting held notifications:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Hold back a notification until the quiet hours end
+   * Holding and taking are queued, so notifications held by checks that run at the same time are all kept
+   * @param {Object} notification - {type: 'alert', change}, {type: 'webhook', change} or {type: 'digest', digestId}
+   * @returns {Promise<boolean>} Success status
+   */
+  async addHeldNotification(notification) {
+    return this._queueWrite(async () => {
+      try {
+        const held = await this.getHeldNotifications();
+        held.push(notification);
+        await browser.storage.local.set({ [this.storageKeys.HELD_NOTIFICATIONS]: held });
+        return true;
+      } catch (error) {
+        logger.errorSync('Error holding notification:', error);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Remove and return the held notifications
+   * @returns {Promise<Array>} The held notifications, oldest first
+   */
+  async takeHeldNotifications() {
+    return this._queueWrite(async () => {
+      const held = await this.getHeldNotifications();
+      if (held.length > 0) {
+        await browser.storage.local.set({ [this.storageKeys.HELD_NOTIFICATIONS]: [] });
+      }
+      return held;
+    });
+  }
+
+  /**
+   * Get view mode
+   * @returns {Promise<string>} View mode
+   */
+  async getViewMode() {
+    try {
       const result = await browser.storage.local.get([this.storageKeys.VIEW_MODE]);
       return result[this.storageKeys.VIEW_MODE] || 'popup';
     } catch (error) {
@@ -501,16 +2015,31 @@ class PriceDataManager {
    * @returns {Promise<boolean>} Success status
    */
   async removeTrackedItem(url) {
+    return this._queueWrite(() => this._removeTrackedItem(url));
+  }
+
+  /**
+   * Remove tracked item by URL without waiting for the write queue
+   * @private
+   */
+  async _removeTrackedItem(url) {
     try {
-      const data = await this.getAllTrackedData();
-      
-      // Remove from trackedPrices
-      data.trackedPrices = data.trackedPrices.filter(item => item.url !== url);
+      const storage = await this.getStorageAdapter();
+      await storage.deleteItem(url);
       
       // Remove from trackedItems
-      delete data.trackedItems[url];
-      
-      await this.saveAllTrackedData(data.trackedPrices, data.trackedItems);
+      const trackedItems = await this.getTrackedItems();
+      delete trackedItems[url];
+      await this.saveTrackedItems(trackedItems);
+      await this.notifyChange(this.storageKeys.ITEMS_REVISION);
+      await this.notifyItemEdit([url]);
+
+      // Remove the item's own selector recipe, the domain recipe still serves other items
+      const recipes = await this.getSelectorRecipes();
+      if (recipes.items[url]) {
+        delete recipes.items[url];
+        await browser.storage.local.set({ [this.storageKeys.SELECTOR_RECIPES]: recipes });
+      }
       return true;
     } catch (error) {
       logger.errorSync('Error removing tracked item:', error);
@@ -0,0 +1,298 @@
+/**
+ * PriceParser - Shared money model for every price the extension stores, compares or displays
+ * A price is stored as {amountMinor, currency, raw}:
+ * - amountMinor: integer amount in the currency's minor unit (cents), null if the price could not be parsed
+ * - currency: ISO 4217 code, null if unknown
+ * - raw: the text the price was parsed from
+ */
+class PriceParser {
+  /**
+   * Currency symbols recognized in price texts
+   */
+  static get CURRENCY_SYMBOLS() {
+    return {
+      EUR: '€',
+      USD: '$',
+      GBP: '£',
+      JPY: '¥',
+      INR: '₹',
+      KRW: '₩',
+      TRY: '₺',
+      UAH: '₴',
+      ILS: '₪'
+    };
+  }
+
+  /**
+   * ISO 4217 codes recognized in price texts (a whitelist, so words like "VAT" are not taken for a currency)
+   */
+  static get ISO_CODES() {
+    return [
+      'EUR', 'USD', 'GBP', 'JPY', 'CHF', 'RON', 'PLN', 'CZK', 'HUF', 'BGN', 'SEK', 'NOK', 'DKK',
+      'CAD', 'AUD', 'NZD', 'BRL', 'MXN', 'CNY', 'HKD', 'SGD', 'INR', 'KRW', 'TRY', 'UAH', 'ILS', 'ZAR',
+      'KWD', 'BHD', 'OMR', 'JOD'
+    ];
+  }
+
+  /**
+   * Currency markers found in price texts that are not plain symbols or ISO codes
+   */
+  static get CURRENCY_MARKERS() {
+    return {
+      'lei': 'RON',
+      'zł': 'PLN',
+      'kč': 'CZK',
+      'ft': 'HUF',
+      'fr': 'CHF',
+      'r$': 'BRL',
+      'a$': 'AUD',
+      'c$': 'CAD',
+      'us$': 'USD'
+    };
+  }
+
+  /**
+   * Parse a price into the money model
+   * @param {string|number} raw - The price ("€2345,99", "$1,234.56", "1 234,50 Lei", 12.5)
+   * @param {Object} options - Parsing options
+   * @param {string} options.currency - ISO 4217 code to use when the text has no recognizable currency
+   * @param {boolean} options.decimalComma - Treat a single comma as the decimal separator, as in the
+   *   "<number>,<decimals>" format older versions asked the LLM for (so "123222,122" is not read as thousands)
+   * @returns {{amountMinor: number|null, currency: string|null, raw: string}} The parsed price
+   */
+  static parse(raw, options = {}) {
+    if (typeof raw === 'number') {
+      return this.fromAmount(raw, options.currency);
+    }
+
+    const text = raw === null || raw === undefined ? '' : String(raw).trim();
+    const currency = this.normalizeCurrency(options.currency) || this.detectCurrency(text);
+    const numberMatch = text.match(/\d(?:[\d.,'\s]*\d)?/);
+    const amount = numberMatch
+      ? this.parseAmount(numberMatch[0].replace(/['\s]/g, ''), options.decimalComma, this.getExponent(currency))
+      : null;
+
+    return {
+      amountMinor: amount === null ? null : this.toMinor(amount, currency),
+      currency: currency || null,
+      raw: text
+    };
+  }
+
+  /**
+   * Create a price from a numeric amount, e.g. from structured data or a JSON LLM response
+   * @param {number|string} amount - The amount in major units (12.99, or "12.999" for KWD)
+   * @param {string} currency - ISO 4217 code (optional)
+   * @returns {{amountMinor: number|null, currency: string|null, raw: string}} The price
+   */
+  static fromAmount(amount, currency = '') {
+    const currencyCode = this.normalizeCurrency(currency);
+    const numericAmount = this.parseDecimalAmount(amount, this.getExponent(currencyCode));
+
+    return {
+      amountMinor: numericAmount === null || !Number.isFinite(numericAmount) ? null : this.toMinor(numericAmount, currencyCode),
+      currency: currencyCode || null,
+      // A missing amount (e.g. no price on an out of stock page) is not an unparseable price, so it has no raw text
+      raw: amount === null || amount === undefined || amount === '' ? '' : [amount, currencyCode].filter(part => part !== '').join(' ')
+    };
+  }
+
+  /**
+   * Parse the first price found in a text, e.g. the content of an element picked on the page
+   * @param {string} text - The text containing the price ("Now only €2.345,99!")
+   * @returns {Object|null} The price or null if the text has no number
+   */
+  static fromText(text) {
+    const price = this.parse(text);
+    return this.isValid(price) ? price : null;
+  }
+
+  /**
+   * Bring any stored price value into the money model
+   * Price strings stored by older versions are parsed in their "<number>,<decimals>" format
+   * @param {Object|string|number|null} value - The stored value
+   * @returns {{amountMinor: number|null, currency: string|null, raw: string}} The price
+   */
+  static normalize(value) {
+    if (value && typeof value === 'object' && 'amountMinor' in value) {
+      return {
+        amountMinor: Number.isInteger(value.amountMinor) ? value.amountMinor : null,
+        currency: this.normalizeCurrency(value.currency) || null,
+        raw: value.raw || ''
+      };
+    }
+
+    return this.parse(value, { decimalComma: true });
+  }
+
+  /**
+   * Check if a price has a parsed amount
+   */
+  static isValid(price) {
+    return Boolean(price) && typeof price === 'object' && Number.isInteger(price.amountMinor);
+  }
+
+  /**
+   * Compare two prices
+   * @returns {number|null} -1, 0 or 1, or null when the prices cannot be compared
+   *   (unparseable, or in different currencies - "€10" and "$10" are never equal)
+   */
+  static compare(a, b) {
+    const first = this.normalize(a);
+    const second = this.normalize(b);
+
+    if (!this.isValid(first) || !this.isValid(second) || first.currency !== second.currency) {
+      return null;
+    }
+
+    return Math.sign(first.amountMinor - second.amountMinor);
+  }
+
+  /**
+   * Check if two prices are the same amount in the same currency
+   */
+  static equals(a, b) {
+    return this.compare(a, b) === 0;
+  }
+
+  /**
+   * Format a price for display in the user's locale
+   * @param {Object|string|null} value - The price (older string prices are accepted as well)
+   * @returns {string} The formatted price, or the raw text if it could not be parsed
+   */
+  static format(value) {
+    const price = this.normalize(value);
+
+    if (!this.isValid(price)) {
+      return price.raw || 'N/A';
+    }
+
+    const exponent = this.getExponent(price.currency);
+    const amount = price.amountMinor / Math.pow(10, exponent);
+
+    if (!price.currency) {
+      return amount.toLocaleString(undefined, { minimumFractionDigits: exponent, maximumFractionDigits: exponent });
+    }
+
+    try {
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency: price.currency }).format(amount);
+    } catch (error) {
+      return `${amount.toFixed(exponent)} ${price.currency}`;
+    }
+  }
+
+  /**
+   * Get the number of minor unit digits of a currency (2 for EUR, 0 for JPY, 3 for KWD)
+   */
+  static getExponent(currency) {
+    if (!currency) {
+      return 2;
+    }
+
+    try {
+      return new Intl.NumberFormat('en', { style: 'currency', currency: currency }).resolvedOptions().maximumFractionDigits;
+    } catch (error) {
+      return 2;
+    }
+  }
+
+  /**
+   * Convert an amount in major units to an integer amount in minor units
+   */
+  static toMinor(amount, currency) {
+    return Math.round(amount * Math.pow(10, this.getExponent(currency)));
+  }
+
+  /**
+   * Validate and upper-case an ISO 4217 currency code
+   * @returns {string} The currency code or an empty string
+   */
+  static normalizeCurrency(currency) {
+    const currencyCode = String(currency || '').trim().toUpperCase();
+    return /^[A-Z]{3}$/.test(currencyCode) ? currencyCode : '';
+  }
+
+  /**
+   * Parse an amount of structured data or a JSON response, where a plain number string uses the dot as the
+   * decimal separator ("1.299" is 1.299, not 1299); other texts are parsed by parseAmount
+   * @param {number|string} value - The amount
+   * @param {number} exponent - The number of minor unit digits of the currency (see getExponent)
+   * @returns {number|null} The amount or null if it is not a number
+   */
+  static parseDecimalAmount(value, exponent = 2) {
+    if (typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value)) {
+      return parseFloat(value);
+    }
+
+    return this.parseAmount(typeof value === 'number' ? value : String(value ?? ''), false, exponent);
+  }
+
+  /**
+   * Parse a numeric amount ("1234.56", "1.234,56", "1,234") into a number
+   * @param {string} value - The amount text
+   * @param {boolean} decimalComma - Treat a single comma as the decimal separator
+   * @param {number} exponent - The number of minor unit digits of the currency, a currency with three
+   *   ("1.234,567" KWD) also has three decimals
+   * @returns {number|null} The amount or null if it is not a number
+   */
+  static parseAmount(value, decimalComma = false, exponent = 2) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : null;
+    }
+
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    let numeric = value.replace(/[^\d.,]/g, '');
+    if (!/\d/.test(numeric)) {
+      return null;
+    }
+
+    const commaCount = (numeric.match(/,/g) || []).length;
+    const hasDot = numeric.includes('.');
+
+    if (decimalComma && commaCount === 1 && !hasDot) {
+      numeric = numeric.replace(',', '.');
+    } else {
+      // The last separator followed by up to two digits (or as many as the currency has) is the decimal separator
+      const decimalMatch = numeric.match(new RegExp(`[.,](\\d{1,${Math.max(exponent, 2)}})$`));
+      if (decimalMatch) {
+        const integerPart = numeric.slice(0, -decimalMatch[0].length).replace(/[.,]/g, '');
+        numeric = `${integerPart}.${decimalMatch[1]}`;
+      } else {
+        numeric = numeric.replace(/[.,]/g, '');
+      }
+    }
+
+    const amount = parseFloat(numeric);
+    return Number.isFinite(amount) ? amount : null;
+  }
+
+  /**
+   * Detect the currency of a price text ("€ 12,99", "12.99 USD", "1 234,50 Lei")
+   * @param {string} text - The price text
+   * @returns {string} ISO 4217 currency code or an empty string
+   */
+  static detectCurrency(text) {
+    // Markers are compared as whole words so e.g. "gift" is not taken for "Ft"
+    const words = text.toLowerCase().split(/[\s\d.,:()]+/);
+    const marker = words.find(word => this.CURRENCY_MARKERS[word]);
+    if (marker) {
+      return this.CURRENCY_MARKERS[marker];
+    }
+
+    const isoCode = (text.match(/\b[A-Z]{3}\b/g) || []).find(code => this.ISO_CODES.includes(code));
+    if (isoCode) {
+      return isoCode;
+    }
+
+    for (const [currency, symbol] of Object.entries(this.CURRENCY_SYMBOLS)) {
+      if (text.includes(symbol)) {
+        return currency;
+      }
+    }
+
+    return '';
+  }
+}
@@ -7,6 +7,9 @@ class PriceTracker {
   constructor(navigationType = 'update') {
     this.trackedPrices = [];
     this.trackedItems = {};
+    this.alerts = [];
+    // Alerts that were unread when they were shown, they stay highlighted while the popup is open
+    this.viewedUnreadAlertIds = new Set();
     this.navigationType = navigationType; // 'update' for sidebar, 'create' for popup
     this.dataManager = new PriceDataManager();
   }
@@ -30,6 +33,9 @@ class PriceTracker {
     // Set up track price button
     document.getElementById('track-price-btn')?.addEventListener('click', () => this.trackPrice());
 
+    // Set up pick price element button
+    document.getElementById('pick-element-btn')?.addEventListener('click', () => this.pickPriceElement());
+
     // Set up settings button
     document.getElementById('settings-btn')?.addEventListener('click', () => this.openSettings());
 
@@ -41,6 +47,7 @@ class PriceTracker {
 
     // Load saved data (this will also display the data)
     await this.loadData();
+    await this.loadAlerts();
   }
 
   /**
@@ -80,8 +87,9 @@ class PriceTracker {
       const currentItemElement = document.getElementById('current-item');
 
       // Check if we have this item in our tracked items
-      if (this.trackedItems[url]) {
-        currentItemElement.textContent = this.trackedItems[url].name;
+      const currentItem = this.findTrackedItem(url);
+      if (currentItem) {
+        currentItemElement.textContent = currentItem.name;
         currentItemElement.style.display = 'block';
       } else {
         currentItemElement.textContent = '';
@@ -167,30 +175,6 @@ class PriceTracker {
     return await this.showModal(title, message);
   }
 
-  /**
-   * Save data to storage
-   */
-  async saveData(source) {
-    try {
-      // Save to data manager
-      const success = await this.dataManager.saveAllTrackedData(this.trackedPrices, this.trackedItems);
-
-      if (success) {
-        // Show success notification when saving after tracking a price
-        if (source === 'track') {
-          this.showNotification('Price tracked successfully!', 'success');
-        }
-        return true;
-      } else {
-        throw new Error('Failed to save data');
-      }
-    } catch (error) {
-      logger.errorSync('Error saving data:', error);
-      this.showNotification('Error saving data. Please try again.', 'error');
-      return false;
-    }
-  }
-
   /**
    * Set up tab switching
    */
@@ -226,6 +210,10 @@ class PriceTracker {
         content.classList.remove('active');
       }
     });
+
+    if (tabName === 'alerts') {
+      this.markAlertsViewed();
+    }
   }
 
   /**
@@ -269,12 +257,16 @@ class PriceTracker {
     browser.storage.onChanged.addListener(async (changes, areaName) => {
       if (areaName === 'local') {
         // Check if tracked prices or items were updated
-        if (changes.trackedPrices || changes.trackedItems) {
+        if (changes.itemsRevision || changes.trackedItems) {
           logger.logSync('Storage changes detected, refreshing popup display');
 
           // Reload data and refresh display
           await this.loadData();
         }
+
+        if (changes.alertsRevision) {
+          await this.loadAlerts();
+        }
       }
     });
   }
@@ -289,45 +281,41 @@ class PriceTracker {
       const url = tabs[0].url;
 
       // Check if this is a valid URL to track
-      if (!url || url.startsWith('about:') || url.startsWith('moz-extension:')) {
+      if (!this.isTrackableUrl(url)) {
         this.showNotification('Please navigate to a product page first.', 'warning');
         return;
       }
 
       // Check if we already tracked this URL recently
       const currentDate = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-      const existingItem = this.trackedPrices.find(item => item.url === url);
-      const recentlyTracked = existingItem && existingItem.history && 
-        existingItem.history.some(historyEntry => historyEntry.date === currentDate);
+      const existingItem = this.findTrackedItem(url);
+      const recentlyTracked = existingItem &&
+        (await this.dataManager.getPriceHistory(existingItem.url, `${currentDate}T00:00:00.000Z`)).length > 0;
 
       if (recentlyTracked) {
         this.showNotification('You have already tracked this item today.', 'warning');
         return;
       }
 
-      // Get API key from storage
-      const result = await browser.storage.local.get('apiKey');
-      const apiKey = result.apiKey;
-
-      if (!apiKey) {
-        this.showNotification('Please set your OpenAI API key in the settings page first.', 'error');
-        browser.runtime.openOptionsPage();
-        return;
-      }
-
       // Show loading state
       const trackButton = document.getElementById('track-price-btn');
-      const originalText = trackButton.textContent;
       trackButton.textContent = 'Tracking...';
       trackButton.disabled = true;
 
       // Send message to background script to make API call
       const response = await browser.runtime.sendMessage({
         action: 'trackPrice',
-        url: url,
-        apiKey: apiKey
+        url: url
       });
 
+      // The background script rejects the request if the LLM provider is not set up yet
+      if (response.errorCode === 'LLM_NOT_CONFIGURED') {
+        this.showNotification(response.error, 'error');
+        browser.runtime.openOptionsPage();
+        this.resetTrackButton();
+        return;
+      }
+
       if (response.error) {
         throw new Error(response.error);
       }
@@ -346,34 +334,71 @@ class PriceTracker {
       await this.displayCurrentItem();
 
       // Reset button
-      trackButton.textContent = originalText;
-      trackButton.disabled = false;
+      this.resetTrackButton();
 
     } catch (error) {
       logger.errorSync('Error tracking price:', error);
       this.showNotification('Error tracking price: ' + error.message, 'error');
 
       // Reset button
-      const trackButton = document.getElementById('track-price-btn');
-      trackButton.textContent = 'Track price';
-      trackButton.disabled = false;
+      this.resetTrackButton();
     }
   }
 
   /**
-   * Normalize URL by removing query parameters, fragments, and trailing slashes
+   * Check if a URL is a web page that can be tracked
+   */
+  isTrackableUrl(url) {
+    return Boolean(url) && !url.startsWith('about:') && !url.startsWith('moz-extension:');
+  }
+
+  /**
+   * Start the element picker on the current page so the user can pin the price element
    */
-  normalizeUrl(url) {
+  async pickPriceElement() {
     try {
-      const urlObj = new URL(url);
-      // Remove query parameters and fragment, normalize trailing slash
-      return urlObj.origin + urlObj.pathname.replace(/\/$/, '');
+      const tabs = await browser.tabs.query({active: true, currentWindow: true});
+
+      if (!this.isTrackableUrl(tabs[0].url)) {
+        this.showNotification('Please navigate to a product page first.', 'warning');
+        return;
+      }
+
+      // The picker reports the selected element to the background script, which stores the recipe
+      await browser.tabs.executeScript(tabs[0].id, { file: '/content/js/elementPicker.js' });
+
+      if (this.navigationType === 'create') {
+        // Close the popup so the page can be used for picking
+        window.close();
+      } else {
+        this.showNotification('Click the price on the page (Esc to cancel)', 'success');
+      }
     } catch (error) {
-      logger.errorSync('Error normalizing URL:', url, error);
-      return url; // Return original URL if parsing fails
+      logger.errorSync('Error starting element picker:', error);
+      this.showNotification('Could not start the element picker on this page', 'error');
     }
   }
 
+  /**
+   * Restore the track price button after a tracking attempt
+   */
+  resetTrackButton() {
+    const trackButton = document.getElementById('track-price-btn');
+    trackButton.textContent = 'Track price';
+    trackButton.disabled = false;
+  }
+
+  /**
+   * Find the tracked item of a page, by its URL or else by its product identity (see ProductIdentity)
+   * @param {string} url - The URL of the page
+   * @returns {Object|undefined} The tracked item
+   */
+  findTrackedItem(url) {
+    const productId = ProductIdentity.canonicalize(url);
+    return this.trackedPrices.find(item => item.url === url) ||
+      this.trackedPrices.find(item => item.productId === productId);
+  }
+
   /**
    * Display tracked prices
    */
@@ -393,17 +418,14 @@ class PriceTracker {
       const currentUrl = tabs[0].url;
       logger.logSync('displayPrices() called for URL:', currentUrl);
 
-      // Find tracked item for the current URL using normalized URL matching
-      const normalizedCurrentUrl = this.normalizeUrl(currentUrl);
-      const currentItem = this.trackedPrices.find(item => {
-        const normalizedStoredUrl = this.normalizeUrl(item.url);
-        return normalizedStoredUrl === normalizedCurrentUrl;
-      });
+      // Find tracked item for the current URL, other URLs of the same product match too
+      const currentItem = this.findTrackedItem(currentUrl);
+      const history = currentItem ? await this.dataManager.getPriceHistory(currentItem.url) : [];
 
       // Only clear the table after we know what content to show
       tableBody.innerHTML = '';
 
-      if (!currentItem || !currentItem.history || currentItem.history.length === 0) {
+      if (history.length === 0) {
         const row = document.createElement('tr');
         const cell = document.createElement('td');
         cell.setAttribute('colspan', '3');
@@ -415,11 +437,11 @@ class PriceTracker {
       }
 
       // Sort history by date (newest first)
-      const sortedHistory = [...currentItem.history].sort((a, b) => {
+      const sortedHistory = [...history].sort((a, b) => {
         return new Date(b.timestamp || b.date) - new Date(a.timestamp || a.date);
       });
 
-      sortedHistory.forEach((historyEntry, index) => {
+      sortedHistory.forEach(historyEntry => {
         const row = document.createElement('tr');
 
         // Format date
@@ -433,7 +455,9 @@ class PriceTracker {
 
         // Create price cell
         const priceCell = document.createElement('td');
-        priceCell.textContent = historyEntry.price;
+        const availabilityLabel = Availability.label(historyEntry.availability);
+        priceCell.textContent = availabilityLabel ?
+          `${PriceParser.format(historyEntry.price)} (${availabilityLabel})` : PriceParser.format(historyEntry.price);
         row.appendChild(priceCell);
 
         // Create delete cell
@@ -441,7 +465,7 @@ class PriceTracker {
         const deleteSpan = document.createElement('span');
         deleteSpan.className = 'delete-entry';
         deleteSpan.setAttribute('data-item-url', currentItem.url);
-        deleteSpan.setAttribute('data-history-index', index.toString());
+        deleteSpan.setAttribute('data-timestamp', historyEntry.timestamp);
         deleteSpan.textContent = '🗑️';
         deleteCell.appendChild(deleteSpan);
         row.appendChild(deleteCell);
@@ -453,8 +477,7 @@ class PriceTracker {
       document.querySelectorAll('.delete-entry').forEach(button => {
         button.addEventListener('click', async () => {
           const itemUrl = button.getAttribute('data-item-url');
-          const historyIndex = parseInt(button.getAttribute('data-history-index'));
-          await this.deletePriceHistoryEntry(itemUrl, historyIndex);
+          await this.deletePriceHistoryEntry(itemUrl, button.getAttribute('data-timestamp'));
         });
       });
     } catch (error) {
@@ -465,37 +488,28 @@ class PriceTracker {
 
   /**
    * Delete price history entry
+   * @param {string} itemUrl - The URL of the item
+   * @param {string} timestamp - The timestamp of the entry
    */
-  async deletePriceHistoryEntry(itemUrl, historyIndex) {
+  async deletePriceHistoryEntry(itemUrl, timestamp) {
     const confirmed = await this.customConfirm(
       'Are you sure you want to delete this price entry?',
       'Delete Price Entry'
     );
 
     if (confirmed) {
-      // Find the tracked item
-      const trackedItem = this.trackedPrices.find(item => item.url === itemUrl);
-      if (trackedItem && trackedItem.history && trackedItem.history[historyIndex]) {
-        // Remove the specific history entry
-        trackedItem.history.splice(historyIndex, 1);
-        
-        // If no history left, remove the entire item
-        if (trackedItem.history.length === 0) {
-          const itemIndex = this.trackedPrices.indexOf(trackedItem);
-          this.trackedPrices.splice(itemIndex, 1);
-        }
-        
-        await this.saveData();
-        await this.displayPrices();
-
-        // Update items list if needed
-        this.updateTrackedItems();
-        this.displayItems();
-
-        // Update current item display
-        await this.displayCurrentItem();
+      // The background removes the entry, and the item with its last entry
+      const success = await this.dataManager.requestTrackedDataUpdate('deletePriceEntry', {
+        url: itemUrl,
+        timestamp: timestamp
+      });
 
+      if (success) {
+        // Reload and refresh all displays
+        await this.loadData();
         this.showNotification('Price entry deleted', 'success');
+      } else {
+        this.showNotification('Error deleting the price entry. Please try again.', 'error');
       }
     }
   }
@@ -508,24 +522,6 @@ class PriceTracker {
     logger.warnSync('deletePrice method called - this should use deletePriceHistoryEntry instead');
   }
 
-  /**
-   * Update tracked items based on tracked items (new structure)
-   */
-  updateTrackedItems() {
-    // Clear existing trackedItems
-    this.trackedItems = {};
-
-    // Rebuild trackedItems from the new structure
-    this.trackedPrices.forEach(item => {
-      if (item.url && item.name) {
-        this.trackedItems[item.url] = {
-          name: item.name,
-          imageUrl: item.imageUrl || ''
-        };
-      }
-    });
-  }
-
   /**
    * Display tracked items
    */
@@ -543,7 +539,10 @@ class PriceTracker {
         uniqueItems.push({
           url: priceItem.url,
           name: priceItem.name,
-          imageUrl: priceItem.imageUrl
+          imageUrl: priceItem.imageUrl,
+          alertRules: priceItem.alertRules,
+          health: priceItem.health,
+          snoozedUntil: priceItem.snoozedUntil
         });
       }
     }
@@ -559,7 +558,8 @@ class PriceTracker {
 
     uniqueItems.forEach((item) => {
       const itemEntry = document.createElement('div');
-      itemEntry.className = 'item-entry';
+      const isBroken = this.dataManager.isItemBroken(item);
+      itemEntry.className = isBroken ? 'item-entry broken' : 'item-entry';
 
       // Truncate name if too long
       const truncatedName = item.name.length > 40 ? 
@@ -574,10 +574,45 @@ class PriceTracker {
       itemNameDiv.textContent = truncatedName;
       itemEntry.appendChild(itemNameDiv);
 
+      // Items whose automatic checks keep failing are flagged with the last error
+      if (isBroken) {
+        const { consecutiveFailures, lastSuccess, lastError } = item.health;
+        const healthDiv = document.createElement('div');
+        healthDiv.className = 'item-health';
+        healthDiv.setAttribute('title', `The last ${consecutiveFailures} checks failed ` +
+          `(last success: ${lastSuccess ? new Date(lastSuccess).toLocaleString() : 'never'}). ` +
+          `${CheckError.label(lastError?.type)}: ${lastError?.message}`);
+        healthDiv.textContent = 'broken';
+        itemEntry.appendChild(healthDiv);
+      }
+
+      // Create alert rules div, highlighted when the item has rules
+      const rules = item.alertRules || {};
+      const hasTypeOverrides = Object.values(rules.types || {}).some(setting => setting !== null);
+      const hasRules = Boolean(rules.targetPrice || rules.minDropPercent || rules.allTimeLowOnly || hasTypeOverrides);
+      const rulesDiv = document.createElement('div');
+      rulesDiv.className = hasRules ? 'item-rules has-rules' : 'item-rules';
+      rulesDiv.setAttribute('data-url', item.url);
+      rulesDiv.setAttribute('title', hasRules ? 'Edit alert rules' : 'Set alert rules');
+      rulesDiv.textContent = '🔔';
+      itemEntry.appendChild(rulesDiv);
+
+      // Create snooze div, highlighted while the notifications of the item are snoozed
+      const isSnoozed = this.dataManager.isItemSnoozed(item);
+      const snoozeDiv = document.createElement('div');
+      snoozeDiv.className = isSnoozed ? 'item-snooze snoozed' : 'item-snooze';
+      snoozeDiv.setAttribute('data-url', item.url);
+      snoozeDiv.setAttribute('title', isSnoozed ?
+        `Snoozed until ${new Date(item.snoozedUntil).toLocaleString()}, click to resume notifications` :
+        `Snooze notifications for ${this.dataManager.SNOOZE_DAYS} days`);
+      snoozeDiv.textContent = '💤';
+      itemEntry.appendChild(snoozeDiv);
+
       // Create delete item div
       const deleteItemDiv = document.createElement('div');
       deleteItemDiv.className = 'delete-item';
       deleteItemDiv.setAttribute('data-url', item.url);
+      deleteItemDiv.setAttribute('title', 'Stop tracking');
       deleteItemDiv.textContent = '🗑️';
       itemEntry.appendChild(deleteItemDiv);
 
@@ -592,6 +627,22 @@ class PriceTracker {
       });
     });
 
+    // Add event listeners to alert rules buttons
+    document.querySelectorAll('.item-rules').forEach(button => {
+      button.addEventListener('click', async () => {
+        const url = button.getAttribute('data-url');
+        await this.editAlertRules(url);
+      });
+    });
+
+    // Add event listeners to snooze buttons
+    document.querySelectorAll('.item-snooze').forEach(button => {
+      button.addEventListener('click', async () => {
+        const url = button.getAttribute('data-url');
+        await this.toggleSnooze(url, button.classList.contains('snoozed'));
+      });
+    });
+
     // Add event listeners to delete buttons
     document.querySelectorAll('.delete-item').forEach(button => {
       button.addEventListener('click', async () => {
@@ -601,6 +652,236 @@ class PriceTracker {
     });
   }
 
+  /**
+   * Load the alert events and show them, alerts arriving while the alerts tab is open are read right away
+   */
+  async loadAlerts() {
+    this.alerts = await this.dataManager.getAlerts();
+    this.displayAlerts();
+
+    if (document.getElementById('alerts-tab')?.classList.contains('active')) {
+      await this.markAlertsViewed();
+    }
+  }
+
+  /**
+   * Mark the shown alerts as read
+   */
+  async markAlertsViewed() {
+    const unreadIds = this.alerts.filter(alert => !alert.read).map(alert => alert.id);
+    if (unreadIds.length === 0) {
+      return;
+    }
+
+    unreadIds.forEach(id => this.viewedUnreadAlertIds.add(id));
+    await this.dataManager.requestTrackedDataUpdate('markAlertsRead', { alertIds: unreadIds });
+  }
+
+  /**
+   * Display the alert events and the unread count of the alerts tab
+   */
+  displayAlerts() {
+    const alertsList = document.getElementById('alerts-list');
+    const unreadCount = document.getElementById('alerts-unread-count');
+    if (!alertsList) {
+      return;
+    }
+
+    const unread = this.alerts.filter(alert => !alert.read).length;
+    unreadCount.textContent = unread;
+    unreadCount.classList.toggle('hidden', unread === 0);
+
+    alertsList.innerHTML = '';
+
+    if (this.alerts.length === 0) {
+      const noAlertsDiv = document.createElement('div');
+      noAlertsDiv.style.textAlign = 'center';
+      noAlertsDiv.style.padding = '20px';
+      noAlertsDiv.textContent = 'No alerts yet';
+      alertsList.appendChild(noAlertsDiv);
+      return;
+    }
+
+    this.alerts.forEach(alert => {
+      const isNew = !alert.read || this.viewedUnreadAlertIds.has(alert.id);
+      const alertEntry = document.createElement('div');
+      alertEntry.className = isNew ? 'item-entry alert-entry unread' : 'item-entry alert-entry';
+
+      const detailsDiv = document.createElement('div');
+      detailsDiv.className = 'alert-details';
+
+      const typeDiv = document.createElement('div');
+      typeDiv.className = 'alert-type';
+      typeDiv.textContent = CheckDigest.label(alert.type);
+
+      const nameDiv = document.createElement('div');
+      nameDiv.className = 'item-name';
+      nameDiv.setAttribute('title', alert.productName);
+      nameDiv.textContent = alert.productName;
+      nameDiv.addEventListener('click', () => this.navigateToUrl(alert.url));
+
+      const changeDiv = document.createElement('div');
+      changeDiv.className = 'alert-change';
+      changeDiv.textContent = `${CheckDigest.describe(alert)} · ${new Date(alert.timestamp).toLocaleString()}`;
+
+      detailsDiv.append(typeDiv, nameDiv, changeDiv);
+      alertEntry.appendChild(detailsDiv);
+      alertsList.appendChild(alertEntry);
+    });
+  }
+
+  /**
+   * Edit the alert rules of a tracked item
+   */
+  async editAlertRules(url) {
+    const item = this.trackedPrices.find(trackedItem => trackedItem.url === url);
+    if (!item) {
+      return;
+    }
+
+    // The latest price of the item gives the currency of a target price
+    const settings = await this.showRulesModal({ ...item, history: await this.dataManager.getPriceHistory(url) });
+    if (!settings) {
+      return;
+    }
+
+    let success = await this.dataManager.requestTrackedDataUpdate('saveAlertRules', { url: url, rules: settings.rules });
+    if (success && settings.checkInterval !== (item.checkInterval || null)) {
+      success = await this.dataManager.requestTrackedDataUpdate('saveCheckInterval', { url: url, checkInterval: settings.checkInterval });
+    }
+
+    if (success) {
+      await this.loadData();
+      this.showNotification('Alert rules saved', 'success');
+    } else {
+      this.showNotification('Error saving alert rules. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Show the alert rules form of an item
+   * @returns {Promise<Object|null>} The entered rules and check interval or null if the form was cancelled
+   */
+  showRulesModal(item) {
+    return new Promise((resolve) => {
+      const modal = document.getElementById('rules-modal');
+      const targetInput = document.getElementById('rule-target-price');
+      const dropInput = document.getElementById('rule-min-drop');
+      const allTimeLowInput = document.getElementById('rule-all-time-low');
+      const errorElement = document.getElementById('rules-error');
+      const saveBtn = document.getElementById('rules-save');
+      const cancelBtn = document.getElementById('rules-cancel');
+      const rules = item.alertRules || {};
+
+      // Fill the form with the current rules
+      document.getElementById('rules-item-name').textContent = item.name;
+      targetInput.value = rules.targetPrice ? PriceParser.format(rules.targetPrice) : '';
+      dropInput.value = rules.minDropPercent || '';
+      allTimeLowInput.checked = rules.allTimeLowOnly === true;
+      this.dataManager.alertTypes.forEach(type => {
+        const setting = rules.types?.[type];
+        document.getElementById(`rule-type-${type}`).value = typeof setting === 'boolean' ? (setting ? 'on' : 'off') : '';
+      });
+      this.showCheckIntervalOption(item.checkInterval);
+      errorElement.classList.add('hidden');
+      modal.classList.remove('hidden');
+
+      const close = (result) => {
+        saveBtn.removeEventListener('click', handleSave);
+        cancelBtn.removeEventListener('click', handleCancel);
+        document.removeEventListener('keydown', handleEscape);
+        modal.classList.add('hidden');
+        resolve(result);
+      };
+
+      // The form stays open until the rules are valid or the user cancels
+      const handleSave = () => {
+        try {
+          close(this.readRulesForm(item));
+        } catch (error) {
+          errorElement.textContent = error.message;
+          errorElement.classList.remove('hidden');
+        }
+      };
+
+      const handleCancel = () => close(null);
+
+      const handleEscape = (event) => {
+        if (event.key === 'Escape') {
+          handleCancel();
+        }
+      };
+
+      saveBtn.addEventListener('click', handleSave);
+      cancelBtn.addEventListener('click', handleCancel);
+      document.addEventListener('keydown', handleEscape);
+    });
+  }
+
+  /**
+   * Select the check interval of an item, intervals not in the list (synced from elsewhere) get an option of their own
+   */
+  showCheckIntervalOption(checkInterval) {
+    const select = document.getElementById('rule-check-interval');
+    const value = checkInterval ? String(checkInterval) : '';
+
+    if (!Array.from(select.options).some(option => option.value === value)) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = `Every ${checkInterval} minutes`;
+      select.appendChild(option);
+    }
+    select.value = value;
+  }
+
+  /**
+   * Read and validate the alert rules form
+   * @returns {{rules: Object, checkInterval: number|null}} The alert rules and check interval (null for the default)
+   * @throws {Error} With a message for the user if a value is invalid
+   */
+  readRulesForm(item) {
+    const targetText = document.getElementById('rule-target-price').value.trim();
+    const dropText = document.getElementById('rule-min-drop').value.trim();
+    const rules = {
+      targetPrice: null,
+      minDropPercent: null,
+      allTimeLowOnly: document.getElementById('rule-all-time-low').checked,
+      // Alert types left on Default follow the global setting
+      types: Object.fromEntries(this.dataManager.alertTypes.map(type => {
+        const value = document.getElementById(`rule-type-${type}`).value;
+        return [type, value === '' ? null : value === 'on'];
+      }))
+    };
+
+    if (targetText) {
+      // A target without a currency is taken in the currency of the item's latest price
+      const latestPrice = [...(item.history || [])].reverse().find(entry => PriceParser.isValid(entry.price))?.price;
+      const itemCurrency = latestPrice?.currency || '';
+      const targetPrice = PriceParser.parse(targetText, {
+        currency: PriceParser.detectCurrency(targetText) || itemCurrency
+      });
+
+      if (!PriceParser.isValid(targetPrice) || targetPrice.amountMinor <= 0) {
+        throw new Error('Please enter a valid target price.');
+      }
+      if (itemCurrency && targetPrice.currency !== itemCurrency) {
+        throw new Error(`The target price must be in ${itemCurrency}, the currency of this item.`);
+      }
+      rules.targetPrice = targetPrice;
+    }
+
+    if (dropText) {
+      const minDropPercent = parseFloat(dropText);
+      if (isNaN(minDropPercent) || minDropPercent <= 0 || minDropPercent >= 100) {
+        throw new Error('The minimum drop must be between 0 and 100%.');
+      }
+      rules.minDropPercent = minDropPercent;
+    }
+
+    const checkInterval = document.getElementById('rule-check-interval').value;
+    return { rules: rules, checkInterval: checkInterval ? parseInt(checkInterval, 10) : null };
+  }
+
   /**
    * Navigate to URL - behavior depends on navigationType
    */
@@ -612,6 +893,24 @@ class PriceTracker {
     }
   }
 
+  /**
+   * Snooze the notifications of an item, or resume them when it is snoozed
+   * @param {string} url - The item URL
+   * @param {boolean} isSnoozed - Whether the item is snoozed now
+   */
+  async toggleSnooze(url, isSnoozed) {
+    const snoozedUntil = isSnoozed ? null : this.dataManager.getSnoozeEnd();
+
+    if (await this.dataManager.requestTrackedDataUpdate('snoozeItem', { url: url, snoozedUntil: snoozedUntil })) {
+      await this.loadData();
+      this.showNotification(snoozedUntil ?
+        `Notifications snoozed until ${new Date(snoozedUntil).toLocaleString()}` :
+        'Notifications resumed', 'success');
+    } else {
+      this.showNotification('Error snoozing the item. Please try again.', 'error');
+    }
+  }
+
   /**
    * Delete item and all its price entries
    */
@@ -623,20 +922,13 @@ class PriceTracker {
 
     if (confirmed) {
       // Remove the tracked item (which contains all price history)
-      this.trackedPrices = this.trackedPrices.filter(item => item.url !== url);
-
-      // Remove from trackedItems as well
-      delete this.trackedItems[url];
-
-      // Save data
-      await this.saveData();
-
-      // Update displays
-      await this.displayPrices();
-      this.displayItems();
-      await this.displayCurrentItem();
-
-      this.showNotification('Item and all its price history deleted', 'success');
+      if (await this.dataManager.requestTrackedDataUpdate('deleteItem', { url: url })) {
+        // Reload and refresh all displays
+        await this.loadData();
+        this.showNotification('Item and all its price history deleted', 'success');
+      } else {
+        this.showNotification('Error deleting the item. Please try again.', 'error');
+      }
     }
   }
 
@@ -651,18 +943,13 @@ class PriceTracker {
 
     if (confirmed) {
       // Clear all data
-      this.trackedPrices = [];
-      this.trackedItems = {};
-
-      // Save the cleared data
-      await this.saveData();
-
-      // Update all displays
-      await this.displayPrices();
-      this.displayItems();
-      await this.displayCurrentItem();
-
-      this.showNotification('All price history cleared successfully', 'success');
+      if (await this.dataManager.requestTrackedDataUpdate('clearTrackedItems')) {
+        // Reload and refresh all displays
+        await this.loadData();
+        this.showNotification('All price history cleared successfully', 'success');
+      } else {
+        this.showNotification('Error clearing the price history. Please try again.', 'error');
+      }
     }
   }
 
@@ -0,0 +1,147 @@
+/**
+ * ProductIdentity - Derives one identity per product from the different URLs that lead to it
+ * Shop URLs with a known product ID pattern become the shortest URL of that product, other URLs are
+ * normalized (tracking parameters, fragment and trailing slash removed). The page's canonical link is
+ * used when the shop provides one for the same site
+ */
+class ProductIdentity {
+  /**
+   * Query parameters that only track where a visitor came from, on every site
+   */
+  static get TRACKING_PARAMS() {
+    return [
+      'ref', 'ref_', 'refid', 'referrer', 'affid', 'aff_id', 'affiliate',
+      'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid', 'srsltid',
+      'spm', 'scm', 'trk'
+    ];
+  }
+
+  /**
+   * Query parameters that are tracking noise only on some shops, elsewhere they may select the product
+   * (e.g. a "th" or "tag" variant parameter)
+   */
+  static get SHOP_TRACKING_PARAMS() {
+    return [
+      {
+        host: /(^|\.)amazon\.[a-z.]+$/,
+        params: [
+          'tag', 'psc', 'th', 'smid', 'keywords', 'sr', 'qid', 'crid', 'sprefix', '_encoding',
+          'pd_rd_i', 'pd_rd_r', 'pd_rd_w', 'pd_rd_wg', 'pf_rd_p', 'pf_rd_r'
+        ]
+      }
+    ];
+  }
+
+  /**
+   * Shops with product IDs in their URLs, the ID is turned into the shop's shortest product URL
+   */
+  static get PRODUCT_ID_PATTERNS() {
+    return [
+      { host: /(^|\.)amazon\.[a-z.]+$/, path: /\/(?:dp|gp\/product|gp\/aw\/d|exec\/obidos\/asin)\/([A-Z0-9]{10})(?:[/?]|$)/i, build: (origin, id) => `${origin}/dp/${id.toUpperCase()}` },
+      { host: /(^|\.)ebay\.[a-z.]+$/, path: /\/itm\/(?:[^/]+\/)?(\d{9,})(?:[/?]|$)/, build: (origin, id) => `${origin}/itm/${id}` },
+      { host: /(^|\.)aliexpress\.[a-z.]+$/, path: /\/item\/(?:[^/]+\/)?(\d+)\.html/, build: (origin, id) => `${origin}/item/${id}.html` },
+      { host: /(^|\.)walmart\.com$/, path: /\/ip\/(?:[^/]+\/)?(\d+)(?:[/?]|$)/, build: (origin, id) => `${origin}/ip/${id}` }
+    ];
+  }
+
+  /**
+   * Get the identity of a product
+   * @param {string} url - The URL the product was tracked from
+   * @param {string} canonicalUrl - The canonical link of the page (optional)
+   * @returns {string} The identity, the URL itself if it cannot be parsed
+   */
+  static canonicalize(url, canonicalUrl = '') {
+    const productUrl = this.fromProductIdPattern(url);
+    if (productUrl) {
+      return productUrl;
+    }
+
+    if (canonicalUrl && this.isSameSite(url, canonicalUrl)) {
+      return this.fromProductIdPattern(canonicalUrl) || this.normalizeUrl(canonicalUrl);
+    }
+
+    return this.normalizeUrl(url);
+  }
+
+  /**
+   * Build the product URL of a shop with a known product ID pattern
+   * @returns {string|null} The product URL or null if the URL has no known product ID
+   */
+  static fromProductIdPattern(url) {
+    try {
+      const parsedUrl = new URL(url);
+      const hostname = parsedUrl.hostname.toLowerCase();
+      const origin = `${parsedUrl.protocol}//${hostname}`;
+
+      for (const pattern of this.PRODUCT_ID_PATTERNS) {
+        const match = pattern.host.test(hostname) && parsedUrl.pathname.match(pattern.path);
+        if (match) {
+          return pattern.build(origin, match[1]);
+        }
+      }
+    } catch (error) {
+      // Not a URL, there is no product ID to find
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the tracking parameters of a host
+   * @param {string} hostname - The lowercase host name
+   * @returns {Array<string>} The parameter names
+   */
+  static getTrackingParams(hostname) {
+    return this.SHOP_TRACKING_PARAMS
+      .filter(shop => shop.host.test(hostname))
+      .reduce((params, shop) => [...params, ...shop.params], this.TRACKING_PARAMS);
+  }
+
+  /**
+   * Normalize a URL: lowercase host, no fragment, no tracking parameters, sorted parameters and no trailing slash
+   * @returns {string} The normalized URL, the URL itself if it cannot be parsed
+   */
+  static normalizeUrl(url) {
+    try {
+      const parsedUrl = new URL(url);
+      const trackingParams = this.getTrackingParams(parsedUrl.hostname.toLowerCase());
+      const params = Array.from(parsedUrl.searchParams.entries())
+        .filter(([name]) => !name.toLowerCase().startsWith('utm_') && !trackingParams.includes(name.toLowerCase()))
+        .sort(([a], [b]) => a.localeCompare(b));
+
+      const query = new URLSearchParams(params).toString();
+      const pathname = parsedUrl.pathname.replace(/\/+$/, '');
+      return `${parsedUrl.protocol}//${parsedUrl.host.toLowerCase()}${pathname}${query ? `?${query}` : ''}`;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * Check if two URLs belong to the same site, ignoring a www. prefix
+   */
+  static isSameSite(url, otherUrl) {
+    try {
+      const siteOf = value => new URL(value).hostname.toLowerCase().replace(/^www\./, '');
+      return siteOf(url) === siteOf(otherUrl);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Read the canonical link of a page
+   * @param {string} html - The page HTML
+   * @param {string} pageUrl - The page URL, relative links are resolved against it
+   * @returns {string} The absolute canonical URL or an empty string
+   */
+  static extractCanonicalLink(html, pageUrl) {
+    try {
+      const doc = new DOMParser().parseFromString(html || '', 'text/html');
+      const href = doc.querySelector('link[rel~="canonical"][href]')?.getAttribute('href');
+      return href ? new URL(href, pageUrl).href : '';
+    } catch (error) {
+      return '';
+    }
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * SelectorRecipeExtractor - Reads the price from a page using a selector recipe
+ * recorded with the element picker (see content/js/elementPicker.js)
+ */
+class SelectorRecipeExtractor {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Apply a selector recipe to the raw HTML of a page
+   * @param {string} html - The page HTML
+   * @param {Object} recipe - The recipe ({selectors: Array<string>, sampleText: string})
+   * @returns {Object|null} {price, text, selector} or null when no selector resolves to a price
+   */
+  extract(html, recipe) {
+    if (!html || !recipe || !Array.isArray(recipe.selectors)) {
+      return null;
+    }
+
+    try {
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+
+      for (const selector of recipe.selectors) {
+        const result = this.applySelector(doc, selector);
+        if (result) {
+          return result;
+        }
+      }
+
+      this.logger.logSync('No selector of the recipe resolved to a price:', recipe.selectors);
+      return null;
+    } catch (error) {
+      this.logger.errorSync('Error applying selector recipe:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Apply a single selector, returning the price of the first matching element
+   */
+  applySelector(doc, selector) {
+    let element;
+    try {
+      element = doc.querySelector(selector);
+    } catch (error) {
+      this.logger.logSync(`Skipping invalid selector ${selector}:`, error.message);
+      return null;
+    }
+
+    if (!element) {
+      return null;
+    }
+
+    const text = (element.getAttribute('content') || element.textContent || '').trim();
+    const price = PriceParser.fromText(text);
+    if (!price) {
+      return null;
+    }
+
+    return { price, text, selector };
+  }
+}
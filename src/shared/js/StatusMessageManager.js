@@ -48,6 +48,41 @@ class StatusMessageManager {
     this.showMessage('alarm-status-message', message, type, 3000);
   }
 
+  /**
+   * Display a notification setting status message (3 second timeout)
+   */
+  static showNotificationStatusMessage(message, type = 'info') {
+    this.showMessage('notification-status-message', message, type, 3000);
+  }
+
+  /**
+   * Display a webhook status message (5 second timeout to read test results)
+   */
+  static showWebhookStatusMessage(message, type = 'info') {
+    this.showMessage('webhook-status-message', message, type, 5000);
+  }
+
+  /**
+   * Display a budget status message (3 second timeout)
+   */
+  static showBudgetStatusMessage(message, type = 'info') {
+    this.showMessage('budget-status-message', message, type, 3000);
+  }
+
+  /**
+   * Display a sync status message (3 second timeout)
+   */
+  static showSyncStatusMessage(message, type = 'info') {
+    this.showMessage('sync-status-message', message, type, 3000);
+  }
+
+  /**
+   * Display an export/import status message (5 second timeout to read import results)
+   */
+  static showTransferStatusMessage(message, type = 'info') {
+    this.showMessage('transfer-status-message', message, type, 5000);
+  }
+
   /**
    * Display a clear status message (3 second timeout)
    */
@@ -0,0 +1,128 @@
+/**
+ * StorageAdapter - Base class for the backends that store tracked items, their price history and alerts
+ * Lists read items without their price history, the history of an item is read when it is needed (getHistory).
+ * saveItem() writes the item fields only, price history grows through addObservation().
+ * Implementations throw on storage errors, PriceDataManager handles them
+ */
+class StorageAdapter {
+  constructor() {
+    this.label = 'Base';
+  }
+
+  /**
+   * Get all tracked items without their price history
+   * @returns {Promise<Array>} The tracked items
+   */
+  async getItems() {
+    throw new Error(`${this.label} storage does not implement getItems()`);
+  }
+
+  /**
+   * Get all tracked items with their price history
+   * @returns {Promise<Array>} The tracked items
+   */
+  async getItemsWithHistory() {
+    throw new Error(`${this.label} storage does not implement getItemsWithHistory()`);
+  }
+
+  /**
+   * Get the price history of a tracked item, oldest first
+   * @param {string} url - The URL of the item
+   * @param {string|null} from - The ISO timestamp of the earliest entry (optional)
+   * @param {string|null} to - The ISO timestamp of the latest entry (optional)
+   * @returns {Promise<Array>} The price history entries
+   */
+  async getHistory(url, from = null, to = null) {
+    throw new Error(`${this.label} storage does not implement getHistory()`);
+  }
+
+  /**
+   * Get a tracked item with its price history
+   * @param {string} url - The URL of the item
+   * @returns {Promise<Object|null>} The item or null if it is not tracked
+   */
+  async getItem(url) {
+    throw new Error(`${this.label} storage does not implement getItem()`);
+  }
+
+  /**
+   * Replace all tracked items and their price history
+   * @param {Array} items - The tracked items with their price history
+   */
+  async saveItems(items) {
+    throw new Error(`${this.label} storage does not implement saveItems()`);
+  }
+
+  /**
+   * Add or update a tracked item, the price history already stored for it is kept
+   * @param {Object} item - The tracked item
+   */
+  async saveItem(item) {
+    throw new Error(`${this.label} storage does not implement saveItem()`);
+  }
+
+  /**
+   * Append an entry to the price history of a tracked item
+   * @param {string} url - The URL of the item
+   * @param {Object} entry - The price history entry
+   */
+  async addObservation(url, entry) {
+    throw new Error(`${this.label} storage does not implement addObservation()`);
+  }
+
+  /**
+   * Remove an entry from the price history of a tracked item
+   * @param {string} url - The URL of the item
+   * @param {string} timestamp - The timestamp of the entry
+   */
+  async deleteObservation(url, timestamp) {
+    throw new Error(`${this.label} storage does not implement deleteObservation()`);
+  }
+
+  /**
+   * Remove a tracked item with its price history
+   * @param {string} url - The URL of the item
+   */
+  async deleteItem(url) {
+    throw new Error(`${this.label} storage does not implement deleteItem()`);
+  }
+
+  /**
+   * Get the stored alert events, newest first
+   * @returns {Promise<Array>} The alerts
+   */
+  async getAlerts() {
+    throw new Error(`${this.label} storage does not implement getAlerts()`);
+  }
+
+  /**
+   * Store a new alert event
+   * @param {Object} alert - The alert
+   */
+  async addAlert(alert) {
+    throw new Error(`${this.label} storage does not implement addAlert()`);
+  }
+
+  /**
+   * Write changed alert events, matched by ID
+   * @param {Array} alerts - The changed alerts
+   */
+  async updateAlerts(alerts) {
+    throw new Error(`${this.label} storage does not implement updateAlerts()`);
+  }
+
+  /**
+   * Replace all alert events
+   * @param {Array} alerts - The alerts, newest first
+   */
+  async saveAlerts(alerts) {
+    throw new Error(`${this.label} storage does not implement saveAlerts()`);
+  }
+
+  /**
+   * Remove all alert events
+   */
+  async clearAlerts() {
+    throw new Error(`${this.label} storage does not implement clearAlerts()`);
+  }
+}
@@ -0,0 +1,336 @@
+/**
+ * StructuredDataExtractor - Reads product data embedded in a page's HTML
+ * Supports schema.org JSON-LD, schema.org microdata and Open Graph / product meta tags
+ */
+class StructuredDataExtractor {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Extract product data from the raw HTML of a page
+   * @param {string} html - The page HTML
+   * @param {string} pageUrl - The page URL (used to resolve relative image URLs)
+   * @returns {Object|null} {name, price, currency, availability, imageUrl, source, ambiguous, reason}
+   *   or null when the page has no structured product data
+   */
+  extract(html, pageUrl = '') {
+    if (!html) {
+      return null;
+    }
+
+    try {
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      const candidates = [
+        ...this.extractFromJsonLd(doc),
+        ...this.extractFromMicrodata(doc),
+        ...this.extractFromMetaTags(doc)
+      ];
+
+      if (candidates.length === 0) {
+        return null;
+      }
+
+      const result = this.combineCandidates(candidates);
+      result.imageUrl = this.resolveUrl(result.imageUrl, pageUrl);
+      return result;
+    } catch (error) {
+      this.logger.errorSync('Error extracting structured data:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Combine the candidates from all sources into one result, flagging disagreements as ambiguous
+   */
+  combineCandidates(candidates) {
+    const pricedCandidates = candidates.filter(candidate => candidate.price !== null);
+    const distinctPrices = [...new Set(pricedCandidates.map(candidate => candidate.price))];
+    const distinctCurrencies = [...new Set(pricedCandidates.map(candidate => candidate.currency).filter(currency => currency))];
+    const primary = pricedCandidates[0] || candidates[0];
+
+    const result = {
+      name: candidates.map(candidate => candidate.name).find(name => name) || '',
+      price: primary.price,
+      currency: primary.currency || distinctCurrencies[0] || '',
+      availability: candidates.map(candidate => candidate.availability).find(availability => availability) || '',
+      imageUrl: candidates.map(candidate => candidate.imageUrl).find(imageUrl => imageUrl) || '',
+      source: primary.source,
+      prices: distinctPrices,
+      ambiguous: false,
+      reason: ''
+    };
+
+    if (pricedCandidates.length === 0) {
+      result.ambiguous = true;
+      result.reason = 'no price found in structured data';
+    } else if (distinctPrices.length > 1) {
+      result.ambiguous = true;
+      result.reason = `structured data contains ${distinctPrices.length} different prices`;
+    } else if (distinctCurrencies.length > 1) {
+      result.ambiguous = true;
+      result.reason = `structured data contains ${distinctCurrencies.length} different currencies`;
+    } else if (!result.currency) {
+      result.ambiguous = true;
+      result.reason = 'no currency found in structured data';
+    } else if (!result.name) {
+      result.ambiguous = true;
+      result.reason = 'no product name found in structured data';
+    }
+
+    return result;
+  }
+
+  /**
+   * Extract candidates from <script type="application/ld+json"> blocks
+   */
+  extractFromJsonLd(doc) {
+    const candidates = [];
+    const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
+
+    scripts.forEach(script => {
+      let data;
+      try {
+        data = JSON.parse(script.textContent);
+      } catch (error) {
+        // Broken JSON-LD is common, other sources may still have the data
+        this.logger.logSync('Skipping invalid JSON-LD block:', error.message);
+        return;
+      }
+
+      this.findJsonLdProducts(data).forEach(product => {
+        const offers = this.getJsonLdOffers(product.offers);
+        const base = {
+          name: this.asText(product.name),
+          imageUrl: this.getJsonLdImage(product.image),
+          source: 'json-ld'
+        };
+
+        if (offers.length === 0) {
+          candidates.push({ ...base, price: null, currency: '', availability: '' });
+          return;
+        }
+
+        offers.forEach(offer => candidates.push({ ...base, ...offer }));
+      });
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Find all Product nodes in a JSON-LD document (arrays, @graph and nested entities)
+   */
+  findJsonLdProducts(node, products = [], depth = 0) {
+    if (!node || typeof node !== 'object' || depth > 10) {
+      return products;
+    }
+
+    if (Array.isArray(node)) {
+      node.forEach(child => this.findJsonLdProducts(child, products, depth + 1));
+      return products;
+    }
+
+    const types = [].concat(node['@type'] || []);
+    if (types.some(type => type === 'Product' || String(type).endsWith('/Product'))) {
+      products.push(node);
+      return products;
+    }
+
+    ['@graph', 'mainEntity', 'mainEntityOfPage', 'itemListElement', 'item'].forEach(key => {
+      if (node[key]) {
+        this.findJsonLdProducts(node[key], products, depth + 1);
+      }
+    });
+
+    return products;
+  }
+
+  /**
+   * Normalize the offers of a JSON-LD product into {price, currency, availability} entries
+   */
+  getJsonLdOffers(offers) {
+    return [].concat(offers || []).flatMap(offer => {
+      if (!offer || typeof offer !== 'object') {
+        return [];
+      }
+
+      const availability = this.normalizeAvailability(offer.availability);
+      const specification = [].concat(offer.priceSpecification || [])[0] || {};
+      const currency = this.asText(offer.priceCurrency || specification.priceCurrency).toUpperCase();
+
+      // An AggregateOffer is only usable when it boils down to a single price
+      if (offer.lowPrice !== undefined || offer.highPrice !== undefined) {
+        const lowPrice = PriceParser.parseDecimalAmount(offer.lowPrice);
+        const highPrice = PriceParser.parseDecimalAmount(offer.highPrice);
+        if (lowPrice !== null && highPrice !== null && lowPrice !== highPrice) {
+          return [
+            { price: lowPrice, currency, availability },
+            { price: highPrice, currency, availability }
+          ];
+        }
+        return [{ price: lowPrice ?? highPrice, currency, availability }];
+      }
+
+      if (offer.offers) {
+        return this.getJsonLdOffers(offer.offers);
+      }
+
+      const price = PriceParser.parseDecimalAmount(offer.price ?? specification.price);
+      return [{ price, currency, availability }];
+    });
+  }
+
+  /**
+   * Get the first image URL of a JSON-LD image property (string, ImageObject or array)
+   */
+  getJsonLdImage(image) {
+    const firstImage = [].concat(image || [])[0];
+    if (!firstImage) {
+      return '';
+    }
+
+    return typeof firstImage === 'string' ? firstImage : this.asText(firstImage.url || firstImage.contentUrl);
+  }
+
+  /**
+   * Extract candidates from schema.org microdata (itemscope/itemprop attributes)
+   */
+  extractFromMicrodata(doc) {
+    const candidates = [];
+    // Products nested as a property of another item (related products, accessories) are skipped
+    const products = Array.from(doc.querySelectorAll('[itemscope][itemtype*="schema.org/Product"]'))
+      .filter(product => !product.hasAttribute('itemprop'));
+
+    products.forEach(product => {
+      const base = {
+        name: this.getMicrodataValue(product, 'name'),
+        imageUrl: this.getMicrodataValue(product, 'image'),
+        source: 'microdata'
+      };
+
+      const offerScopes = this.getMicrodataProperties(product, 'offers').filter(offer => offer.hasAttribute('itemscope'));
+      const scopes = offerScopes.length > 0 ? offerScopes : [product];
+
+      scopes.forEach(scope => {
+        const price = PriceParser.parseDecimalAmount(
+          this.getMicrodataValue(scope, 'price') || this.getMicrodataValue(scope, 'lowPrice'));
+
+        candidates.push({
+          ...base,
+          price: price,
+          currency: this.getMicrodataValue(scope, 'priceCurrency').toUpperCase(),
+          availability: this.normalizeAvailability(this.getMicrodataValue(scope, 'availability'))
+        });
+      });
+    });
+
+    return candidates;
+  }
+
+  /**
+   * Get the elements carrying an itemprop that belong directly to the given item scope
+   */
+  getMicrodataProperties(scope, property) {
+    return Array.from(scope.querySelectorAll('[itemprop]')).filter(element => {
+      const properties = element.getAttribute('itemprop').split(/\s+/);
+      return properties.includes(property) && element.parentElement.closest('[itemscope]') === scope;
+    });
+  }
+
+  /**
+   * Get the value of a microdata property (content, href, src or text)
+   */
+  getMicrodataValue(scope, property) {
+    const element = this.getMicrodataProperties(scope, property)[0];
+    if (!element) {
+      return '';
+    }
+
+    const value = element.getAttribute('content') || element.getAttribute('href') ||
+      element.getAttribute('src') || element.textContent;
+    return (value || '').trim();
+  }
+
+  /**
+   * Extract a candidate from Open Graph and product meta tags
+   */
+  extractFromMetaTags(doc) {
+    const getMeta = (...names) => {
+      for (const name of names) {
+        const element = doc.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+        if (element && element.getAttribute('content')) {
+          return element.getAttribute('content').trim();
+        }
+      }
+      return '';
+    };
+
+    const amount = getMeta('product:price:amount', 'og:price:amount');
+    if (!amount) {
+      return [];
+    }
+
+    return [{
+      name: getMeta('og:title', 'twitter:title'),
+      price: PriceParser.parseDecimalAmount(amount),
+      currency: getMeta('product:price:currency', 'og:price:currency').toUpperCase(),
+      availability: this.normalizeAvailability(getMeta('product:availability', 'og:availability')),
+      imageUrl: getMeta('og:image', 'twitter:image'),
+      source: 'meta'
+    }];
+  }
+
+  /**
+   * Normalize schema.org / Open Graph availability values
+   * @returns {string} in_stock, out_of_stock, preorder, limited or an empty string when unknown
+   */
+  normalizeAvailability(value) {
+    const availability = this.asText(value).toLowerCase().replace(/^.*[\/#]/, '').replace(/[\s_-]/g, '');
+
+    const mapping = {
+      instock: 'in_stock',
+      onlineonly: 'in_stock',
+      instoreonly: 'in_stock',
+      outofstock: 'out_of_stock',
+      soldout: 'out_of_stock',
+      discontinued: 'out_of_stock',
+      preorder: 'preorder',
+      presale: 'preorder',
+      backorder: 'preorder',
+      limitedavailability: 'limited'
+    };
+
+    return mapping[availability] || '';
+  }
+
+  /**
+   * Resolve a possibly relative URL against the page URL
+   */
+  resolveUrl(url, pageUrl) {
+    if (!url) {
+      return '';
+    }
+
+    try {
+      return new URL(url, pageUrl || undefined).href;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * Convert a JSON-LD value to a trimmed string
+   */
+  asText(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    if (typeof value === 'object') {
+      return this.asText(value['@value'] || value['@id'] || value.name || '');
+    }
+
+    return String(value).trim();
+  }
+}
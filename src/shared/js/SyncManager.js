@@ -0,0 +1,354 @@
+/**
+ * SyncManager - Syncs the tracked item list, alert rules and settings between browsers through storage.sync
+ * Price history stays local. The synced document is split into chunks that fit the per-item quota of
+ * storage.sync; every item and setting carries the time the user last edited it and the newest version wins.
+ * Local changes are detected by comparing with the document as it was at the last sync, each changed record is
+ * stamped with the time of its own edit (see PriceDataManager.notifyItemEdit). Price checks refreshing the name or
+ * image of an item are no edits
+ */
+class SyncManager {
+  constructor(dataManager, logger) {
+    this.dataManager = dataManager;
+    this.logger = logger;
+    this.META_KEY = 'sync_meta';
+    this.CHUNK_KEY_PREFIX = 'sync_';
+    // storage.sync allows 8192 bytes per key (key and JSON value) and 102400 bytes in total
+    this.MAX_CHUNK_BYTES = 8000;
+    this.MAX_TOTAL_BYTES = 100000;
+    // Deleted items are remembered for a while so other browsers remove them too
+    this.TOMBSTONE_DAYS = 60;
+    this.SYNC_DELAY_MS = 5000;
+    this.syncTimer = null;
+    // Times of the local edits not synced yet, by item URL and by setting key
+    this.localEdits = { items: {}, settings: {} };
+    this.running = null;
+    this.pending = false;
+  }
+
+  /**
+   * The local settings that are synced, API keys and webhook URLs stay on this browser
+   */
+  getSyncedSettingKeys() {
+    const keys = this.dataManager.storageKeys;
+    return [keys.PRICE_ALARM_ENABLED, keys.CHECK_INTERVAL, keys.CHECK_CONCURRENCY, keys.DOMAIN_DELAY, keys.SCHEDULING_WINDOWS, keys.VIEW_MODE, keys.NOTIFICATION_MODE, keys.ALERT_TYPES, keys.MONTHLY_BUDGET];
+  }
+
+  /**
+   * Check if a storage change should be synced
+   * @param {Object} changes - The changes of a storage.onChanged event
+   * @param {string} areaName - The storage area
+   */
+  isSyncRelevantChange(changes, areaName) {
+    if (areaName === 'sync') {
+      return this.META_KEY in changes;
+    }
+
+    const keys = this.dataManager.storageKeys;
+    return [keys.ITEM_EDITS, keys.SYNC_ENABLED, ...this.getSyncedSettingKeys()].some(key => key in changes);
+  }
+
+  /**
+   * Schedule a sync for a storage change that should be synced
+   * @param {Object} changes - The changes of a storage.onChanged event
+   * @param {string} areaName - The storage area
+   */
+  handleStorageChange(changes, areaName) {
+    if (!this.isSyncRelevantChange(changes, areaName)) {
+      return;
+    }
+
+    if (areaName === 'local') {
+      this.recordLocalEdits(changes);
+    }
+    this.scheduleSync();
+  }
+
+  /**
+   * Remember when the items and settings of a local storage change were edited
+   * @param {Object} changes - The changes of a storage.onChanged event
+   */
+  recordLocalEdits(changes) {
+    const now = new Date().toISOString();
+    const itemEdits = changes[this.dataManager.storageKeys.ITEM_EDITS]?.newValue;
+    (itemEdits?.urls || []).forEach(url => {
+      this.localEdits.items[url] = itemEdits.editedAt || now;
+    });
+    this.getSyncedSettingKeys().filter(key => key in changes).forEach(key => {
+      this.localEdits.settings[key] = now;
+    });
+  }
+
+  /**
+   * Sync a few seconds after the last change, so a burst of changes is synced once
+   */
+  scheduleSync() {
+    clearTimeout(this.syncTimer);
+    this.syncTimer = setTimeout(() => this.sync(), this.SYNC_DELAY_MS);
+  }
+
+  /**
+   * Sync now if sync is turned on, a sync requested while one runs follows it
+   * @returns {Promise<boolean>} True if the sync succeeded or is turned off
+   */
+  async sync() {
+    if (this.running) {
+      this.pending = true;
+      return this.running;
+    }
+
+    this.running = this.runSync().finally(() => {
+      this.running = null;
+      if (this.pending) {
+        this.pending = false;
+        this.sync();
+      }
+    });
+    return this.running;
+  }
+
+  async runSync() {
+    if (!await this.dataManager.getSyncEnabled()) {
+      return true;
+    }
+
+    const state = await this.dataManager.getSyncState();
+    const edits = this.localEdits;
+    this.localEdits = { items: {}, settings: {} };
+    try {
+      const now = new Date().toISOString();
+      // Before the first sync nothing tells whether the local records were changed after the remote ones,
+      // they count as older so this browser picks up the synced items instead of overwriting them. A changed
+      // record without an edit time (edited before the browser restarted) counts as edited now
+      const editTimes = records => key => state.lastSyncedAt ? records[key] || now : new Date(0).toISOString();
+      const localDocument = await this.buildLocalDocument();
+      const remoteDocument = await this.readRemoteDocument();
+      const mergedDocument = {
+        items: this.mergeRecords(localDocument.items, state.document.items, remoteDocument?.items || {}, editTimes(edits.items), true),
+        settings: this.mergeRecords(localDocument.settings, state.document.settings, remoteDocument?.settings || {}, editTimes(edits.settings), false)
+      };
+      this.pruneTombstones(mergedDocument.items, now);
+
+      await this.applyToLocal(mergedDocument, localDocument);
+
+      if (!remoteDocument || JSON.stringify(mergedDocument) !== JSON.stringify(remoteDocument)) {
+        await this.writeRemoteDocument(mergedDocument);
+      }
+
+      await this.dataManager.saveSyncState({ document: mergedDocument, lastSyncedAt: now, lastError: null });
+      this.logger.logSync(`Synced ${Object.keys(mergedDocument.items).length} items and settings`);
+      return true;
+    } catch (error) {
+      this.logger.errorSync('Error syncing tracked items:', error);
+      // Keep the edit times for the next sync, edits made meanwhile are newer
+      this.localEdits = {
+        items: { ...edits.items, ...this.localEdits.items },
+        settings: { ...edits.settings, ...this.localEdits.settings }
+      };
+      await this.dataManager.saveSyncState({ ...state, lastError: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Build the synced records from the local data, without modification times
+   * @returns {Promise<{items: Object, settings: Object}>} Item records by URL and setting records by key
+   */
+  async buildLocalDocument() {
+    const trackedPrices = await this.dataManager.getTrackedPricesWithoutHistory();
+    const items = {};
+    trackedPrices.forEach(item => {
+      items[item.url] = {
+        name: item.name,
+        imageUrl: item.imageUrl || '',
+        alertRules: item.alertRules,
+        snoozedUntil: item.snoozedUntil || null,
+        checkInterval: item.checkInterval || null
+      };
+    });
+
+    const settingKeys = this.getSyncedSettingKeys();
+    const result = await browser.storage.local.get(settingKeys);
+    const settings = {};
+    settingKeys.filter(key => result[key] !== undefined).forEach(key => {
+      settings[key] = { value: result[key] };
+    });
+
+    return { items: items, settings: settings };
+  }
+
+  /**
+   * Get the content of a record the user edits, for comparisons
+   * The name and image of an item are synced along for new items, but price checks refresh them, so they are
+   * left out together with the modification time
+   */
+  getRecordContent(record) {
+    if (!record) {
+      return null;
+    }
+    const { modifiedAt, name, imageUrl, ...content } = record;
+    return JSON.stringify(content);
+  }
+
+  /**
+   * Merge the local, last synced and remote records, the most recently modified version of each record wins
+   * A local record that differs from the last synced one was modified since the last sync and gets the
+   * time of its edit; an item that was synced before but is no longer tracked here becomes a tombstone
+   * @param {Object} localRecords - The local records, without modification times
+   * @param {Object} syncedRecords - The records as they were at the last sync
+   * @param {Object} remoteRecords - The records in storage.sync
+   * @param {Function} getEditTime - Returns the time of the local edit of a record key as an ISO timestamp
+   * @param {boolean} trackDeletions - True to turn removed records into tombstones
+   * @returns {Object} The merged records
+   */
+  mergeRecords(localRecords, syncedRecords, remoteRecords, getEditTime, trackDeletions) {
+    // Sorted, so browsers that merged the same records write the same document and do not sync back and forth
+    const keys = [...new Set([...Object.keys(localRecords), ...Object.keys(syncedRecords), ...Object.keys(remoteRecords)])].sort();
+    const mergedRecords = {};
+
+    keys.forEach(key => {
+      const syncedRecord = syncedRecords[key];
+      let localRecord = syncedRecord;
+
+      if (localRecords[key]) {
+        localRecord = this.getRecordContent(localRecords[key]) === this.getRecordContent(syncedRecord)
+          ? syncedRecord
+          : { ...localRecords[key], modifiedAt: getEditTime(key) };
+      } else if (trackDeletions && syncedRecord && !syncedRecord.deleted) {
+        localRecord = { deleted: true, modifiedAt: getEditTime(key) };
+      }
+
+      // On a tie the synced record wins, e.g. records of two browsers that both synced for the first time
+      const remoteRecord = remoteRecords[key];
+      if (!remoteRecord || (localRecord && localRecord.modifiedAt > remoteRecord.modifiedAt)) {
+        mergedRecords[key] = localRecord;
+      } else {
+        mergedRecords[key] = remoteRecord;
+      }
+
+      if (!mergedRecords[key]) {
+        delete mergedRecords[key];
+      }
+    });
+
+    return mergedRecords;
+  }
+
+  /**
+   * Forget tombstones old enough for every browser to have seen them
+   */
+  pruneTombstones(records, now) {
+    const cutoff = new Date(now).getTime() - this.TOMBSTONE_DAYS * 24 * 60 * 60 * 1000;
+    Object.keys(records)
+      .filter(key => records[key].deleted && new Date(records[key].modifiedAt).getTime() < cutoff)
+      .forEach(key => delete records[key]);
+  }
+
+  /**
+   * Apply the merged records that differ from the local data
+   */
+  async applyToLocal(mergedDocument, localDocument) {
+    for (const [url, record] of Object.entries(mergedDocument.items)) {
+      if (record.deleted) {
+        if (localDocument.items[url]) {
+          this.logger.logSync(`Removing ${url}, it was removed on another browser`);
+          await this.dataManager.removeTrackedItem(url);
+        }
+      } else if (this.getRecordContent(record) !== this.getRecordContent(localDocument.items[url])) {
+        this.logger.logSync(`Updating ${url} from another browser`);
+        await this.dataManager.saveTrackedItemSettings(url, record);
+      }
+    }
+
+    const changedSettings = Object.entries(mergedDocument.settings)
+      .filter(([key, record]) => this.getRecordContent(record) !== this.getRecordContent(localDocument.settings[key]));
+    if (changedSettings.length > 0) {
+      await browser.storage.local.set(Object.fromEntries(changedSettings.map(([key, record]) => [key, record.value])));
+    }
+  }
+
+  /**
+   * Get the size of a storage.sync entry as counted by the quota
+   */
+  getEntryBytes(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+  }
+
+  /**
+   * Split text into chunks whose JSON encoding fits the per-item quota
+   * @param {string} text - The text
+   * @returns {Array<string>} The chunks
+   */
+  splitIntoChunks(text) {
+    const chunks = [];
+    const encoder = new TextEncoder();
+    let chunk = '';
+    let chunkBytes = 0;
+
+    // Count every character as it is stored: JSON escaped and UTF-8 encoded
+    for (const character of text) {
+      const characterBytes = encoder.encode(JSON.stringify(character)).length - 2;
+      if (chunkBytes + characterBytes > this.MAX_CHUNK_BYTES) {
+        chunks.push(chunk);
+        chunk = '';
+        chunkBytes = 0;
+      }
+      chunk += character;
+      chunkBytes += characterBytes;
+    }
+
+    if (chunk) {
+      chunks.push(chunk);
+    }
+    return chunks;
+  }
+
+  /**
+   * Read the synced document from storage.sync
+   * @returns {Promise<Object|null>} The document or null if nothing has been synced yet
+   * @throws {Error} If the stored chunks are incomplete, e.g. while another browser writes them
+   */
+  async readRemoteDocument() {
+    const meta = (await browser.storage.sync.get(this.META_KEY))[this.META_KEY];
+    if (!meta) {
+      return null;
+    }
+
+    const chunkKeys = Array.from({ length: meta.chunks }, (_, index) => `${this.CHUNK_KEY_PREFIX}${index}`);
+    const result = await browser.storage.sync.get(chunkKeys);
+    const text = chunkKeys.map(key => result[key] || '').join('');
+
+    if (text.length !== meta.length) {
+      throw new Error('The synced data is incomplete, it is probably being written by another browser');
+    }
+
+    return JSON.parse(text);
+  }
+
+  /**
+   * Write the synced document to storage.sync
+   * @throws {Error} If the document does not fit the storage.sync quota
+   */
+  async writeRemoteDocument(document) {
+    const text = JSON.stringify(document);
+    const chunks = this.splitIntoChunks(text);
+    const entries = Object.fromEntries(chunks.map((chunk, index) => [`${this.CHUNK_KEY_PREFIX}${index}`, chunk]));
+    entries[this.META_KEY] = { version: 1, chunks: chunks.length, length: text.length, modifiedAt: new Date().toISOString() };
+
+    const totalBytes = Object.entries(entries).reduce((total, [key, value]) => total + this.getEntryBytes(key, value), 0);
+    if (totalBytes > this.MAX_TOTAL_BYTES) {
+      throw new Error(`Too many tracked items to sync (${Math.ceil(totalBytes / 1024)} KB of the 100 KB Firefox allows)`);
+    }
+
+    const previousMeta = (await browser.storage.sync.get(this.META_KEY))[this.META_KEY];
+    await browser.storage.sync.set(entries);
+
+    // Remove the chunks of a longer previous document
+    const staleKeys = [];
+    for (let index = chunks.length; index < (previousMeta?.chunks || 0); index++) {
+      staleKeys.push(`${this.CHUNK_KEY_PREFIX}${index}`);
+    }
+    if (staleKeys.length > 0) {
+      await browser.storage.sync.remove(staleKeys);
+    }
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * UsageTracker - Records the token usage and cost of LLM calls and enforces the monthly budget
+ * Available in both background.js and options.js
+ */
+class UsageTracker {
+  constructor(dataManager, logger) {
+    this.dataManager = dataManager;
+    this.logger = logger;
+    this.MAX_RECENT_CALLS = 100;
+    this.MAX_DAYS = 62;
+    this.MAX_MONTHS = 24;
+  }
+
+  /**
+   * Record the usage of one LLM call
+   * @param {LLMProvider} provider - The provider that made the call
+   * @param {Object} completion - The completion returned by the provider ({model, usage})
+   * @param {Object} context - The reason for the call ({url, trigger: 'manual'|'scheduled'|'catch_up'})
+   * @returns {Promise<Object>} The recorded call
+   */
+  async record(provider, completion, context = {}) {
+    const model = completion.model || provider.getModel();
+    const inputTokens = completion.usage?.inputTokens || 0;
+    const outputTokens = completion.usage?.outputTokens || 0;
+    const pricing = provider.getPricing(model);
+
+    const call = {
+      timestamp: new Date().toISOString(),
+      url: context.url || '',
+      trigger: context.trigger || 'manual',
+      provider: provider.id,
+      model: model,
+      inputTokens: inputTokens,
+      outputTokens: outputTokens,
+      cost: pricing ? (inputTokens * pricing.input + outputTokens * pricing.output) / 1000000 : 0,
+      unpriced: !pricing
+    };
+
+    try {
+      await this.dataManager.updateUsageStats(stats => {
+        const day = call.timestamp.split('T')[0];
+        const month = day.substring(0, 7);
+
+        stats.days[day] = this.addToTotals(stats.days[day], call);
+        stats.months[month] = this.addToTotals(stats.months[month], call);
+
+        const triggers = stats.months[month].triggers || {};
+        triggers[call.trigger] = this.addToTotals(triggers[call.trigger], call);
+        stats.months[month].triggers = triggers;
+
+        stats.recentCalls.unshift(call);
+        stats.recentCalls = stats.recentCalls.slice(0, this.MAX_RECENT_CALLS);
+        stats.days = this.keepLatest(stats.days, this.MAX_DAYS);
+        stats.months = this.keepLatest(stats.months, this.MAX_MONTHS);
+        return stats;
+      });
+      this.logger.logSync(`LLM usage for ${call.url} (${call.trigger}): ${inputTokens} input / ${outputTokens} output tokens, $${call.cost.toFixed(4)}`);
+    } catch (error) {
+      this.logger.errorSync('Error recording LLM usage:', error);
+    }
+
+    return call;
+  }
+
+  /**
+   * Add a call to a totals object
+   */
+  addToTotals(totals, call) {
+    const result = {
+      calls: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      cost: 0,
+      unpricedCalls: 0,
+      ...totals
+    };
+
+    result.calls++;
+    result.inputTokens += call.inputTokens;
+    result.outputTokens += call.outputTokens;
+    result.cost += call.cost;
+    if (call.unpriced) {
+      result.unpricedCalls++;
+    }
+
+    return result;
+  }
+
+  /**
+   * Keep only the latest entries of an object keyed by date (YYYY-MM-DD or YYYY-MM)
+   */
+  keepLatest(entries, count) {
+    const keys = Object.keys(entries).sort().slice(-count);
+    return Object.fromEntries(keys.map(key => [key, entries[key]]));
+  }
+
+  /**
+   * Get the totals of the current month
+   * @returns {Promise<Object>} {calls, inputTokens, outputTokens, cost, unpricedCalls, triggers}
+   */
+  async getCurrentMonthTotals() {
+    const stats = await this.dataManager.getUsageStats();
+    return { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpricedCalls: 0, triggers: {}, ...stats.months[this.getCurrentMonth()] };
+  }
+
+  /**
+   * Get the totals of the current day
+   * @returns {Promise<Object>} {calls, inputTokens, outputTokens, cost, unpricedCalls}
+   */
+  async getTodayTotals() {
+    const stats = await this.dataManager.getUsageStats();
+    const today = new Date().toISOString().split('T')[0];
+    return { calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpricedCalls: 0, ...stats.days[today] };
+  }
+
+  /**
+   * Get the current month as YYYY-MM
+   */
+  getCurrentMonth() {
+    return new Date().toISOString().substring(0, 7);
+  }
+
+  /**
+   * Check if the spend of the current month has reached the monthly budget
+   * @returns {Promise<{exceeded: boolean, spent: number, budget: number}>} The budget status (a budget of 0 means no limit)
+   */
+  async getBudgetStatus() {
+    const budget = await this.dataManager.getMonthlyBudget();
+    const { cost } = await this.getCurrentMonthTotals();
+
+    return {
+      exceeded: budget > 0 && cost >= budget,
+      spent: cost,
+      budget: budget
+    };
+  }
+
+  /**
+   * Mark the budget notification as sent for the current month
+   * @returns {Promise<boolean>} True if it had not been sent yet this month
+   */
+  async markBudgetNotified() {
+    const month = this.getCurrentMonth();
+    return await this.dataManager.updateUsageStats(stats =>
+      stats.budgetNotifiedMonth === month ? null : { ...stats, budgetNotifiedMonth: month });
+  }
+}
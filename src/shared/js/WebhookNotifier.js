@@ -0,0 +1,195 @@
+/**
+ * WebhookNotifier - Posts price alerts to user-configured webhooks (team chat, home automation)
+ * Webhooks are stored as {id, url, template, enabled}; the template decides the shape of the request body
+ * Available in both background.js and options.js
+ */
+class WebhookNotifier {
+  constructor(dataManager, logger) {
+    this.dataManager = dataManager;
+    this.logger = logger;
+    this.MAX_ATTEMPTS = 3;
+    this.RETRY_DELAY_MS = 2000;
+    // A webhook that does not answer within this time counts as a failed attempt
+    this.REQUEST_TIMEOUT_MS = 10000;
+  }
+
+  /**
+   * Display labels of the body templates
+   */
+  static get TEMPLATES() {
+    return {
+      json: 'Plain JSON',
+      slack: 'Slack',
+      discord: 'Discord',
+      ntfy: 'ntfy',
+      matrix: 'Matrix (hookshot)'
+    };
+  }
+
+  /**
+   * Event names of the alert types in the payload
+   */
+  static get EVENTS() {
+    return {
+      drop: 'price_drop',
+      increase: 'price_increase',
+      all_time_low: 'all_time_low',
+      lowest_in_days: 'lowest_in_days'
+    };
+  }
+
+  /**
+   * Build the template independent payload of a price alert
+   * @param {Object} alert - The alert ({type, url, productName, oldPrice, newPrice})
+   */
+  buildPayload(alert) {
+    const previous = PriceParser.normalize(alert.oldPrice);
+    const current = PriceParser.normalize(alert.newPrice);
+    const comparable = PriceParser.compare(current, previous) !== null && previous.amountMinor > 0;
+
+    return {
+      event: WebhookNotifier.EVENTS[alert.type] || 'price_drop',
+      name: alert.productName,
+      url: alert.url,
+      oldPrice: PriceParser.format(previous),
+      newPrice: PriceParser.format(current),
+      currency: current?.currency || '',
+      changePercent: comparable ?
+        Math.round((current.amountMinor - previous.amountMinor) / previous.amountMinor * 1000) / 10 :
+        null,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get the one line message of a payload used by the chat templates
+   */
+  formatMessage(payload) {
+    const change = payload.changePercent !== null ? ` (${payload.changePercent > 0 ? '+' : ''}${payload.changePercent}%)` : '';
+    const prefixes = { all_time_low: 'All-time low: ', lowest_in_days: 'Lowest recent price: ' };
+    const verb = payload.event === 'price_increase' ? 'went up' : 'dropped';
+    return `${prefixes[payload.event] || ''}${payload.name} ${verb} from ${payload.oldPrice} to ${payload.newPrice}${change}`;
+  }
+
+  /**
+   * Escape text for the HTML body of the Matrix template
+   */
+  escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Build the request of a webhook for a payload
+   * @returns {{url: string, body: Object}} The URL to post to and the JSON body
+   */
+  buildRequest(webhook, payload) {
+    const message = this.formatMessage(payload);
+
+    switch (webhook.template) {
+      case 'slack':
+        return { url: webhook.url, body: { text: `${message}\n<${payload.url}|Open product>` } };
+      case 'discord':
+        return { url: webhook.url, body: { content: `${message}\n${payload.url}` } };
+      case 'ntfy': {
+        // ntfy takes JSON messages on the server root, the topic is the last path segment of the topic URL
+        const topicUrl = new URL(webhook.url);
+        const segments = topicUrl.pathname.split('/').filter(segment => segment !== '');
+        const topic = segments.pop() || '';
+        return {
+          url: `${topicUrl.origin}/${segments.join('/')}`,
+          body: { topic: topic, title: 'Price Alert', message: message, click: payload.url, tags: ['moneybag'] }
+        };
+      }
+      case 'matrix':
+        return {
+          url: webhook.url,
+          body: { text: `${message} ${payload.url}`, html: `${this.escapeHtml(message)} <a href="${this.escapeHtml(payload.url)}">Open product</a>` }
+        };
+      default:
+        return { url: webhook.url, body: payload };
+    }
+  }
+
+  /**
+   * Post a payload to a webhook, retrying network errors, rate limits and server errors
+   * @returns {Promise<{ok: boolean, status: number|null, attempts: number, error: string}>} The delivery result
+   */
+  async send(webhook, payload) {
+    const request = this.buildRequest(webhook, payload);
+    let result = { ok: false, status: null, attempts: 0, error: '' };
+
+    for (let attempt = 1; attempt <= this.MAX_ATTEMPTS; attempt++) {
+      result = { ok: false, status: null, attempts: attempt, error: '' };
+
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), this.REQUEST_TIMEOUT_MS);
+
+      try {
+        const response = await fetch(request.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(request.body),
+          signal: controller.signal
+        });
+
+        result.status = response.status;
+        result.ok = response.ok;
+        if (response.ok) {
+          return result;
+        }
+
+        result.error = `${response.status} ${response.statusText}`;
+        // Other client errors (bad URL, revoked hook) fail the same way on every attempt
+        if (response.status < 500 && response.status !== 429) {
+          return result;
+        }
+      } catch (error) {
+        result.error = error.name === 'AbortError' ? `No response within ${this.REQUEST_TIMEOUT_MS / 1000} seconds` : error.message;
+      } finally {
+        clearTimeout(timeout);
+      }
+
+      if (attempt < this.MAX_ATTEMPTS) {
+        this.logger.warnSync(`Webhook ${webhook.url} failed (${result.error}), retrying (attempt ${attempt + 1} of ${this.MAX_ATTEMPTS})`);
+        await new Promise(resolve => setTimeout(resolve, this.RETRY_DELAY_MS * attempt));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Post a price alert to every enabled webhook, the webhooks are posted to at the same time
+   * @param {Object} alert - The alert ({type, url, productName, oldPrice, newPrice})
+   */
+  async notifyPriceAlert(alert) {
+    const webhooks = (await this.dataManager.getWebhooks()).filter(webhook => webhook.enabled);
+    if (webhooks.length === 0) {
+      return;
+    }
+
+    const payload = this.buildPayload(alert);
+    await Promise.all(webhooks.map(async webhook => {
+      const result = await this.send(webhook, payload);
+      if (result.ok) {
+        this.logger.logSync(`Price alert for ${alert.url} posted to webhook ${webhook.url}`);
+      } else {
+        this.logger.errorSync(`Error posting price alert to webhook ${webhook.url} after ${result.attempts} attempts:`, result.error);
+      }
+    }));
+  }
+
+  /**
+   * Post a sample price drop to a webhook
+   */
+  async sendTest(webhook) {
+    const payload = this.buildPayload({
+      type: 'drop',
+      url: 'https://example.com/product',
+      productName: 'Test product',
+      oldPrice: PriceParser.fromAmount(100, 'EUR'),
+      newPrice: PriceParser.fromAmount(79.99, 'EUR')
+    });
+    return await this.send(webhook, payload);
+  }
+}
@@ -0,0 +1,137 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SOURCE_DIR = path.join(__dirname, '..', 'src', 'shared', 'js');
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'migrations');
+const NOW = '2024-05-01T12:00:00.000Z';
+
+/**
+ * Load the migrator into a context of its own, with an in-memory browser.storage.local
+ */
+function loadMigrator(localData = {}) {
+  const context = vm.createContext({ console: console });
+  const local = { ...localData };
+  const writes = [];
+
+  context.browser = {
+    storage: {
+      local: {
+        get: async keys => keys === null ? JSON.parse(JSON.stringify(local))
+          : Object.fromEntries([].concat(keys).filter(key => key in local).map(key => [key, local[key]])),
+        set: async values => {
+          writes.push(JSON.parse(JSON.stringify(values)));
+          Object.assign(local, JSON.parse(JSON.stringify(values)));
+        },
+        remove: async keys => { [].concat(keys).forEach(key => delete local[key]); }
+      }
+    }
+  };
+
+  // The steps depend on no other script of the extension, so the current model cannot change what they produce
+  vm.runInContext(fs.readFileSync(path.join(SOURCE_DIR, 'DataMigrator.js'), 'utf8'), context, { filename: 'DataMigrator.js' });
+
+  return { DataMigrator: vm.runInContext('DataMigrator', context), local: local, writes: writes };
+}
+
+/**
+ * Copy a value out of the script context, so it compares equal to plain objects of the tests
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+const logger = { logSync() {}, errorSync() {} };
+
+fs.readdirSync(FIXTURE_DIR).filter(file => file.endsWith('.json')).sort().forEach(file => {
+  const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'));
+  const version = Number(file.match(/^v(\d+)-/)[1]);
+
+  test(`migration step ${version}: ${fixture.description}`, () => {
+    const { DataMigrator } = loadMigrator();
+    const migration = new DataMigrator({}, logger).getMigrations().find(step => step.version === version);
+
+    const migratedData = plain(migration.migrate(plain(fixture.input), NOW));
+    assert.deepStrictEqual(migratedData, fixture.expected);
+    assert.deepStrictEqual(plain(migration.migrate(plain(migratedData), NOW)), fixture.expected, 'the step is not idempotent');
+  });
+});
+
+/**
+ * A storage adapter and data manager for migrate(), holding the given tracked items
+ */
+function createDataManager(items) {
+  const storage = {
+    items: items,
+    alerts: [],
+    getItemsWithHistory: async () => plain(storage.items),
+    getAlerts: async () => plain(storage.alerts),
+    saveItems: async savedItems => { storage.items = plain(savedItems); },
+    saveAlerts: async savedAlerts => { storage.alerts = plain(savedAlerts); }
+  };
+  return {
+    storage: storage,
+    storageKeys: {
+      SCHEMA_VERSION: 'schemaVersion', SCHEMA_BACKUP: 'schemaBackup', TRACKED_PRICES: 'trackedPrices', ALERTS: 'alerts',
+      API_KEY: 'apiKey', WEBHOOKS: 'webhooks', LLM_PROVIDER_SETTINGS: 'llmProviderSettings'
+    },
+    getStorageAdapter: async () => storage
+  };
+}
+
+const SECRETS = {
+  apiKey: 'sk-legacy',
+  webhooks: [{ id: 'hook-1', url: 'https://hooks.example/secret-token' }],
+  llmProviderSettings: { openai: { apiKey: 'sk-openai', model: 'gpt-4o-mini' } }
+};
+
+test('migrate backs up the stored data, runs the pending steps and saves the schema version', async () => {
+  const items = [{ url: 'https://shop.example/phone', name: 'Phone', history: [{ price: '199,99', date: '2023-01-02' }] }];
+  const { DataMigrator, local, writes } = loadMigrator({
+    ...SECRETS,
+    trackedItems: { 'https://shop.example/tv': { name: 'TV' } },
+    priceDropHistory: [{ url: 'https://shop.example/phone', productName: 'Phone', newPrice: '189,99', timestamp: NOW }]
+  });
+  const dataManager = createDataManager(items);
+  const storage = dataManager.storage;
+  const migrator = new DataMigrator(dataManager, logger);
+
+  assert.strictEqual(await migrator.migrate(), migrator.getLatestVersion());
+  assert.strictEqual(local.schemaVersion, migrator.getLatestVersion());
+  const backup = writes.find(values => 'schemaBackup' in values).schemaBackup;
+  assert.strictEqual(backup.version, 0);
+  assert.deepStrictEqual(backup.data.trackedPrices, items);
+  assert.ok(!('apiKey' in backup.data) && !('webhooks' in backup.data), 'secrets are backed up');
+  assert.deepStrictEqual(backup.data.llmProviderSettings, { openai: { model: 'gpt-4o-mini' } });
+  assert.ok(!('schemaBackup' in local), 'the backup is kept after a successful migration');
+  assert.deepStrictEqual(plain(local.llmProviderSettings), SECRETS.llmProviderSettings);
+  assert.ok(!('priceDropHistory' in local));
+  assert.deepStrictEqual(storage.items.map(item => item.url), ['https://shop.example/phone', 'https://shop.example/tv']);
+  assert.deepStrictEqual(storage.items[0].history[0].price, { amountMinor: 19999, currency: null, raw: '199,99' });
+  assert.deepStrictEqual(storage.alerts.map(alert => [alert.type, alert.newPrice.amountMinor, alert.read]), [['drop', 18999, true]]);
+
+  const writeCount = writes.length;
+  assert.strictEqual(await migrator.migrate(), migrator.getLatestVersion());
+  assert.strictEqual(writes.length, writeCount, 'an up to date store is written again');
+});
+
+test('migrate keeps the backup of a failed run and does not replace it on the retry', async () => {
+  const items = [{ url: 'https://shop.example/phone', name: 'Phone', history: [{ price: '199,99', date: '2023-01-02' }] }];
+  const { DataMigrator, local } = loadMigrator({ ...SECRETS });
+  const dataManager = createDataManager(items);
+  const saveItems = dataManager.storage.saveItems;
+  dataManager.storage.saveItems = async () => { throw new Error('Disk full'); };
+  const migrator = new DataMigrator(dataManager, logger);
+
+  const version = await migrator.migrate();
+  assert.ok(version < migrator.getLatestVersion());
+  const backup = plain(local.schemaBackup);
+  assert.strictEqual(backup.version, 0);
+
+  dataManager.storage.saveItems = saveItems;
+  assert.strictEqual(await migrator.migrate(), migrator.getLatestVersion());
+  assert.ok(!('schemaBackup' in local));
+  assert.deepStrictEqual(backup.data.trackedPrices, items);
+});